@@ -1,146 +1,732 @@
 /*
-  Admin dashboard logic (localStorage only)
-  - Pending Found Reports: verify to move items into Lost Items
-  - Claims: list submitted claims
+  Admin dashboard logic; data goes through localdb.js and the storage.js adapter (this browser's
+  localStorage, or a sync server shared with other devices)
+  - Sign-in: first-run super-admin setup, login, idle session timeout
+  - Pending Found Reports: verify to move items into Lost Items, reject, mark duplicate or ask for more info;
+    finder and owner photos are compared and a mismatch is flagged before verification
+  - All Found Reports: every report, filterable by status
+  - Items: lifecycle status, history timeline, manual status changes and printable QR tag sheets
+  - Untagged Found Items: confirm drop-offs and manage their lifecycle
+  - Lost Reports: owners' open lost reports with ranked candidate matches; resolve when handled
+  - Claims: review proof and secret-question results, approve/deny, and record the handover
+    (the collector answers the owner's secret questions at the desk)
+  - Owner PIN Reset: issue a one-time My Items reset code to a student who forgot their PIN, or
+    whose items were registered before PINs
   - Analytics: simple counts and recovery rate
-  - Data controls: export/import JSON snapshot
+  - Categories: add, edit, nest and remove item categories with keywords and custom fields (super-admin)
+  - QR tag signing: create or load the ECDSA signing key for this device (super-admin); while the
+    dashboard is open on a device holding it, items without a valid tag signature are signed
+  - Sync device: register this device with the sync server as a kiosk or staff device, using the
+    server's admin key, or forget its registration (super-admin)
+  - Data controls: export JSON; import with a dry-run preview of adds, updates and
+    conflicts, settled newest-wins, keep-local or per record before anything is written (super-admin)
+  - Encrypted backups: passphrase-protected export (AES-GCM, key from PBKDF2), imported through
+    the same preview (super-admin)
+  - Snapshots: rolling local copies of the store with their count and interval, and restore
+    after a summary of what would change (super-admin)
+  - Spreadsheets: CSV export of items, found reports or claims with picked columns and a date
+    range; bulk item import from CSV with column mapping and per-row errors (super-admin)
+  - Audit Log: searchable, hash-chained change history with chain verification (super-admin)
+  - Admin Accounts: add/remove staff (super-admin)
+  - Sync: the top bar shows the sync server state, and the dashboard redraws when changes made on
+    other devices arrive
 
-  Depends on utils.js (h, assetUrl) and localdb.js (ifoundDB).
+  Depends on utils.js (h, photoImg, photoGallery, pagedList, statusLabel, statusTimeline, categoryLabel,
+  fillCategorySelect, recordDetailsText, formatShortCode, recordNumber, registerServiceWorker,
+  syncStatusBadge, storeErrorNotice, qrVerifyKey, signQrTag, verifyQrTag, QR_KEY_ALGORITHM),
+  auth.js (ifoundAuth), tags.js (tagSheetControls, tagPick, pickedTagItems), csv.js (ifoundCsv),
+  backup.js (ifoundBackup), storage.js (ifoundStorage) and localdb.js (ifoundDB).
 */
 
 document.addEventListener("DOMContentLoaded", () => {
+  registerServiceWorker();
+  document.querySelector(".topbar").appendChild(syncStatusBadge());
+  const storeError = storeErrorNotice();
+  if (storeError) document.querySelector("main").prepend(storeError);
+  // Redraw the dashboard when another device's changes come in
+  window.addEventListener("ifound:sync", (e) => {
+    if (e.detail.changed && ifoundAuth.currentUser()) showDashboard();
+  });
+  bindAuth();
+  bindReportFilter();
+  bindQrSigning();
+  bindSyncDevice();
+  bindDataControls();
+  bindSnapshots();
+  bindSpreadsheets();
+  bindCategories();
+  bindAccounts();
+  bindAuditLog();
+  bindOwnerReset();
+  if (ifoundAuth.currentUser()) showDashboard();
+  else showAuth();
+});
+
+// Show the sign-in (or first-run setup) form and hide the dashboard
+function showAuth() {
+  const panel = document.getElementById("authPanel");
+  const content = document.getElementById("adminContent");
+  const sessionBar = document.getElementById("sessionBar");
+  const setup = !ifoundAuth.hasAccounts();
+  if (content) content.style.display = "none";
+  if (sessionBar) sessionBar.style.display = "none";
+  if (!panel) return;
+  panel.style.display = "block";
+  panel.dataset.mode = setup ? "setup" : "login";
+  document.getElementById("authTitle").textContent = setup
+    ? "Create the first super-admin account"
+    : "Admin sign-in";
+  document.getElementById("authConfirmWrap").style.display = setup
+    ? "block"
+    : "none";
+}
+
+// Show the dashboard for the signed-in admin; super-admin sections follow the role
+function showDashboard() {
+  const user = ifoundAuth.currentUser();
+  if (!user) return showAuth();
+  document.getElementById("authPanel").style.display = "none";
+  document.getElementById("adminContent").style.display = "block";
+  const sessionBar = document.getElementById("sessionBar");
+  sessionBar.style.display = "flex";
+  document.getElementById(
+    "sessionUser"
+  ).textContent = `Signed in as ${user.username} (${user.role})`;
+  const isSuper = ifoundAuth.hasRole("super-admin");
+  document.querySelectorAll("[data-role='super-admin']").forEach((el) => {
+    el.style.display = isSuper ? "" : "none";
+  });
   loadPending();
+  loadAllReports();
+  loadItems();
+  loadFoundItems();
+  loadLostReports();
   loadClaims();
   loadAnalytics();
-  bindDataControls();
-});
+  // Sign new items' tags when this device holds the signing key
+  signPendingTags()
+    .then((count) => count && loadItems())
+    .catch((e) => console.warn("Tag signing failed", e));
+  if (isSuper) {
+    loadCategories();
+    loadQrSigning();
+    loadSyncDevice();
+    loadSnapshots();
+    loadAccounts();
+    loadAuditLog();
+  }
+}
 
-// Render the list of pending found reports and wire Verify actions
+// Wire the sign-in form, logout, passphrase change and the idle timeout
+function bindAuth() {
+  const form = document.getElementById("authForm");
+  const logoutBtn = document.getElementById("logoutBtn");
+  const changeBtn = document.getElementById("changePassphraseBtn");
+  if (form) {
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const username = document.getElementById("authUsername").value.trim();
+      const passphrase = document.getElementById("authPassphrase").value;
+      const setup = document.getElementById("authPanel").dataset.mode;
+      try {
+        if (setup === "setup") {
+          const confirmPass = document.getElementById("authConfirm").value;
+          if (passphrase !== confirmPass) {
+            alert("Passphrases do not match.");
+            return;
+          }
+          await ifoundAuth.setupSuperAdmin(username, passphrase);
+        } else if (!(await ifoundAuth.login(username, passphrase))) {
+          alert("Wrong username or passphrase.");
+          return;
+        }
+        form.reset();
+        showDashboard();
+      } catch (err) {
+        console.error("Sign-in error", err);
+        alert(err.message || "Sign-in failed.");
+      }
+    });
+  }
+  if (logoutBtn) {
+    logoutBtn.addEventListener("click", () => {
+      ifoundAuth.logout();
+      showAuth();
+    });
+  }
+  if (changeBtn) {
+    changeBtn.addEventListener("click", async () => {
+      const current = prompt("Current passphrase:");
+      if (!current) return;
+      const next = prompt("New passphrase (at least 10 characters):");
+      if (!next) return;
+      try {
+        const ok = await ifoundAuth.changePassphrase(current, next);
+        alert(ok ? "Passphrase changed." : "Current passphrase is wrong.");
+      } catch (err) {
+        alert(err.message || "Failed to change passphrase.");
+      }
+    });
+  }
+  // Activity keeps the session alive; check for expiry every 30 seconds
+  ["click", "keydown"].forEach((type) =>
+    document.addEventListener(type, () => ifoundAuth.touch(), true)
+  );
+  setInterval(() => {
+    const content = document.getElementById("adminContent");
+    const visible = content && content.style.display !== "none";
+    if (visible && !ifoundAuth.currentUser()) {
+      showAuth();
+      alert("Your admin session has expired. Please sign in again.");
+    }
+  }, 30000);
+}
+
+// Human-readable found report status
+function reportStatusLabel(status) {
+  const map = {
+    pending: "Pending",
+    "needs-info": "Needs more info",
+    verified: "Verified",
+    rejected: "Rejected",
+    duplicate: "Duplicate",
+  };
+  return map[status] || status;
+}
+
+// Re-render everything a report decision can affect
+function refreshReports() {
+  loadPending();
+  loadAllReports();
+  loadItems();
+  loadLostReports();
+  loadAnalytics();
+  loadAuditLog();
+}
+
+// Similarity line for a report with both finder and owner photos (the closest pair counts);
+// filled in once the comparison resolves. `low` turns true when the photos look like different items.
+function photoSimilarityNote(report) {
+  if (!report.photos.length || !report.itemPhotos.length) return null;
+  const el = h(
+    "div",
+    { class: "photo-similarity" },
+    "Comparing finder and owner photos..."
+  );
+  const note = { el, low: false };
+  ifoundDB
+    .photoSimilarity(report.photos, report.itemPhotos)
+    .then((sim) => {
+      if (!sim) {
+        el.textContent = "Photo similarity unavailable.";
+        return;
+      }
+      const pct = (v) => `${Math.round(v * 100)}%`;
+      el.textContent = `Photo similarity: ${pct(sim.score)} (shape ${pct(
+        sim.shape
+      )}, colour ${pct(sim.colour)})`;
+      if (sim.low) {
+        note.low = true;
+        el.classList.add("scan-warning");
+        el.appendChild(
+          h(
+            "div",
+            {},
+            "The finder photos look unlike the owner's photos. Check it is the same item before verifying."
+          )
+        );
+      }
+    })
+    .catch((e) => {
+      console.error("Photo comparison failed", e);
+      el.textContent = "Photo similarity unavailable.";
+    });
+  return note;
+}
+
+// Build a report card; open reports (pending / needs info) get the review actions
+function reportCard(report) {
+  const isOpen = report.status === "pending" || report.status === "needs-info";
+  const similarity = photoSimilarityNote(report);
+  const card = h("div", { class: "card", style: "margin-bottom:8px" }, [
+    h("strong", {}, report.itemName),
+    " ",
+    h(
+      "span",
+      { class: `status-${report.status}` },
+      reportStatusLabel(report.status)
+    ),
+    h(
+      "div",
+      { style: "font-size:12px;color:#6b7280" },
+      `Report #${recordNumber(report.id)} · ${new Date(
+        report.createdAt
+      ).toLocaleString()}`
+    ),
+    h("div", {}, `Finder: ${report.finderName}`),
+    h("div", {}, `Location: ${report.location}`),
+    report.reviewNote
+      ? h(
+          "div",
+          { style: "margin-top:4px" },
+          `Review note: ${report.reviewNote}`
+        )
+      : null,
+    h(
+      "div",
+      {
+        style: "display:flex; gap:12px; margin-top:8px; align-items:flex-start",
+      },
+      [
+        report.photos.length
+          ? h("div", {}, [
+              h(
+                "div",
+                { style: "font-size:12px;color:#6b7280" },
+                "Finder Photos"
+              ),
+              photoGallery(report.photos, {
+                style: "max-width:200px;border-radius:6px;margin-top:4px",
+              }),
+            ])
+          : null,
+        report.itemPhotos.length
+          ? h("div", {}, [
+              h(
+                "div",
+                { style: "font-size:12px;color:#6b7280" },
+                "Owner Photos"
+              ),
+              photoGallery(report.itemPhotos, {
+                style: "max-width:200px;border-radius:6px;margin-top:4px",
+              }),
+            ])
+          : null,
+      ]
+    ),
+    similarity ? similarity.el : null,
+  ]);
+  if (!isOpen) return card;
+
+  // Run a review action with the button disabled, then refresh on success
+  async function review(ev, busyText, action, doneText) {
+    const btn = ev.currentTarget;
+    btn.disabled = true;
+    const prev = btn.textContent;
+    btn.textContent = busyText;
+    try {
+      const ok = action();
+      if (ok) {
+        // Immediate visual feedback
+        card.innerHTML = "";
+        card.appendChild(h("div", { class: "status-claimed" }, doneText));
+        refreshReports();
+      } else {
+        alert("Action failed. The report may already have been reviewed.");
+        btn.disabled = false;
+        btn.textContent = prev;
+      }
+    } catch (e) {
+      console.error("Review error", e);
+      alert(e.message || "Error while reviewing the report.");
+      btn.disabled = false;
+      btn.textContent = prev;
+    }
+  }
+
+  card.appendChild(
+    h("div", { style: "margin-top:10px;display:flex;gap:8px;flex-wrap:wrap" }, [
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn primary",
+          onclick: (ev) => {
+            const ok = confirm(
+              similarity && similarity.low
+                ? "The finder photos look unlike the owner's photos. Verify anyway and move to Lost Items?"
+                : "Verify and move to Lost Items?"
+            );
+            if (!ok) return;
+            review(
+              ev,
+              "Verifying...",
+              () => ifoundDB.verifyReportMoveToLost(report.id),
+              "Moved to Lost Items"
+            );
+          },
+        },
+        "Verify & Move to Lost Items"
+      ),
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn",
+          onclick: (ev) => {
+            const message = prompt("What information is missing?");
+            if (!message || !message.trim()) return;
+            review(
+              ev,
+              "Saving...",
+              () => ifoundDB.requestReportInfo(report.id, message.trim()),
+              "Marked as needing more info"
+            );
+          },
+        },
+        "Needs More Info"
+      ),
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn",
+          onclick: (ev) => {
+            const other = prompt(
+              "Duplicate of report # (enter the report number):"
+            );
+            if (!other || !other.trim()) return;
+            review(
+              ev,
+              "Saving...",
+              () => ifoundDB.markReportDuplicate(report.id, other.trim()),
+              `Marked as duplicate of #${other.trim().replace(/^#/, "")}`
+            );
+          },
+        },
+        "Mark Duplicate"
+      ),
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn secondary",
+          onclick: (ev) => {
+            const reason = prompt("Reason for rejecting this report:");
+            if (!reason || !reason.trim()) return;
+            review(
+              ev,
+              "Rejecting...",
+              () => ifoundDB.rejectReport(report.id, reason.trim()),
+              "Report rejected"
+            );
+          },
+        },
+        "Reject"
+      ),
+    ])
+  );
+  return card;
+}
+
+// Render the pending found reports with their review actions, a page at a time
 async function loadPending() {
   const container = document.getElementById("reports");
   if (!container) return;
   try {
-    const reports = ifoundDB.listPendingReportsWithItem();
+    pagedList(container, {
+      fetchPage: (page) => ifoundDB.listPendingReportsWithItem(page),
+      renderRow: reportCard,
+      emptyText: "No pending reports.",
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Render all found reports, filtered by the status dropdown
+async function loadAllReports() {
+  const container = document.getElementById("allReports");
+  const filter = document.getElementById("reportStatusFilter");
+  if (!container) return;
+  try {
+    const status = (filter && filter.value) || "";
+    pagedList(container, {
+      fetchPage: (page) =>
+        ifoundDB.listReportsWithItem({ ...page, status: status || undefined }),
+      renderRow: reportCard,
+      emptyText: "No reports.",
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Fill the report status filter and reload the list when it changes
+function bindReportFilter() {
+  const filter = document.getElementById("reportStatusFilter");
+  if (!filter) return;
+  filter.innerHTML = "";
+  filter.appendChild(h("option", { value: "" }, "All statuses"));
+  ifoundDB.REPORT_STATES.forEach((status) =>
+    filter.appendChild(
+      h("option", { value: status }, reportStatusLabel(status))
+    )
+  );
+  filter.addEventListener("change", loadAllReports);
+}
+
+// Render every item with its lifecycle timeline and the status changes allowed from here
+async function loadItems() {
+  const container = document.getElementById("items");
+  if (!container) return;
+  try {
+    const items = ifoundDB.listAllItems();
     container.innerHTML = "";
-    if (!reports.length) {
-      container.appendChild(h("div", { class: "card" }, "No pending reports."));
+    if (!items.length) {
+      container.appendChild(h("div", { class: "card" }, "No items yet."));
       return;
     }
-    reports.forEach((report) => {
-      const card = h("div", { class: "card", style: "margin-bottom:8px" }, [
-        h("strong", {}, report.itemName),
-        h("div", {}, `Finder: ${report.finderName}`),
-        h("div", {}, `Location: ${report.location}`),
+    container.appendChild(
+      tagSheetControls(() => pickedTagItems(container, items))
+    );
+    items.forEach((item) => {
+      const actions = ifoundDB.allowedTransitions(item.status).map((to) =>
         h(
-          "div",
+          "button",
           {
-            style:
-              "display:flex; gap:12px; margin-top:8px; align-items:flex-start",
+            type: "button",
+            class: "btn",
+            onclick: () => {
+              const note = prompt(`Note for "${statusLabel(to)}" (optional):`);
+              if (note === null) return;
+              try {
+                ifoundDB.setItemStatus(item.id, to, { note });
+                loadItems();
+                loadAnalytics();
+                loadAuditLog();
+              } catch (e) {
+                console.error("Status change error", e);
+                alert(e.message || "Failed to change status.");
+              }
+            },
           },
-          [
-            report.photoPath
-              ? h("div", {}, [
-                  h(
-                    "div",
-                    { style: "font-size:12px;color:#6b7280" },
-                    "Finder Photo"
-                  ),
-                  h("img", {
-                    src: assetUrl(report.photoPath),
-                    style: "max-width:200px;border-radius:6px;margin-top:4px",
-                  }),
-                ])
-              : null,
-            report.itemPhoto
-              ? h("div", {}, [
-                  h(
-                    "div",
-                    { style: "font-size:12px;color:#6b7280" },
-                    "Owner Photo"
-                  ),
-                  h("img", {
-                    src: assetUrl(report.itemPhoto),
-                    style: "max-width:200px;border-radius:6px;margin-top:4px",
-                  }),
-                ])
-              : null,
-          ]
-        ),
-        h("div", { style: "margin-top:10px" }, [
+          statusLabel(to)
+        )
+      );
+      container.appendChild(
+        h("div", { class: "card", style: "margin-bottom:8px" }, [
+          h("strong", {}, item.itemName),
+          " ",
+          h(
+            "span",
+            { class: `status-${item.status}` },
+            statusLabel(item.status)
+          ),
+          h("div", {}, `Owner: ${item.ownerName} (${item.studentId})`),
+          h("div", {}, `Code: ${formatShortCode(item.shortCode)}`),
           h(
+            "div",
+            {},
+            [
+              categoryLabel(item.category),
+              recordDetailsText(item, { sensitive: true }),
+            ]
+              .filter(Boolean)
+              .join(" · ")
+          ),
+          tagPick(item.id),
+          h("details", { style: "margin-top:6px" }, [
+            h("summary", {}, "Status history"),
+            statusTimeline(item.history),
+          ]),
+          actions.length
+            ? h(
+                "div",
+                {
+                  style: "margin-top:8px;display:flex;gap:8px;flex-wrap:wrap",
+                },
+                actions
+              )
+            : null,
+        ])
+      );
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Untagged found items with their lifecycle actions
+async function loadFoundItems() {
+  const container = document.getElementById("foundItems");
+  if (!container) return;
+  try {
+    const foundItems = ifoundDB.listFoundItems();
+    container.innerHTML = "";
+    if (!foundItems.length) {
+      container.appendChild(
+        h("div", { class: "card" }, "No untagged found items yet.")
+      );
+      return;
+    }
+    foundItems.forEach((found) => {
+      const actions = ifoundDB
+        .allowedFoundItemTransitions(found.status)
+        .map((to) => {
+          const label =
+            found.status === "reported-found" && to === "in-custody"
+              ? "Confirm Drop-off"
+              : statusLabel(to);
+          return h(
             "button",
             {
               type: "button",
-              class: "btn primary",
-              onclick: async (ev) => {
-                const ok = confirm("Verify and move to Lost Items?");
-                if (!ok) return;
-                const btn = ev.currentTarget;
-                btn.disabled = true;
-                const prev = btn.textContent;
-                btn.textContent = "Verifying...";
+              class: "btn",
+              onclick: () => {
+                const note = prompt(`Note for "${label}" (optional):`);
+                if (note === null) return;
                 try {
-                  const ok2 = ifoundDB.verifyReportMoveToLost(report.id);
-                  if (ok2) {
-                    // Immediate visual feedback
-                    card.innerHTML = "";
-                    card.appendChild(
-                      h(
-                        "div",
-                        { class: "status-claimed" },
-                        "Moved to Lost Items"
-                      )
-                    );
-                    // Refresh lists/analytics
-                    loadPending();
-                    loadAnalytics();
-                    alert("Verified and moved to Lost Items.");
-                  } else {
-                    alert("Failed to verify.");
-                    btn.disabled = false;
-                    btn.textContent = prev;
-                  }
+                  ifoundDB.setFoundItemStatus(found.id, to, { note });
+                  loadFoundItems();
+                  loadLostReports();
+                  loadAnalytics();
+                  loadAuditLog();
                 } catch (e) {
-                  console.error("Verify error", e);
-                  alert("Error during verification.");
-                  btn.disabled = false;
-                  btn.textContent = prev;
+                  console.error("Status change error", e);
+                  alert(e.message || "Failed to change status.");
                 }
               },
             },
-            "Verify & Move to Lost Items"
+            label
+          );
+        });
+      const details = [found.colour, found.brand].filter(Boolean).join(" · ");
+      container.appendChild(
+        h("div", { class: "card", style: "margin-bottom:8px" }, [
+          h("strong", {}, `#${recordNumber(found.id)} ${found.description}`),
+          " ",
+          h(
+            "span",
+            { class: `status-${found.status}` },
+            statusLabel(found.status)
           ),
-        ]),
-      ]);
-      container.appendChild(card);
+          details ? h("div", {}, details) : null,
+          h(
+            "div",
+            {},
+            `Found at ${found.location} · Drop-off: ${found.dropOffPoint}`
+          ),
+          h(
+            "div",
+            {},
+            `Finder: ${found.finderName}` +
+              (found.finderContact ? ` (${found.finderContact})` : "")
+          ),
+          found.photoPath
+            ? photoImg(found.photoPath, {
+                style: "max-width:200px;border-radius:6px;margin-top:6px",
+              })
+            : null,
+          h("details", { style: "margin-top:6px" }, [
+            h("summary", {}, "Status history"),
+            statusTimeline(found.history),
+          ]),
+          actions.length
+            ? h(
+                "div",
+                {
+                  style: "margin-top:8px;display:flex;gap:8px;flex-wrap:wrap",
+                },
+                actions
+              )
+            : null,
+        ])
+      );
     });
   } catch (e) {
     console.error(e);
   }
 }
 
-// Render the list of claims with timestamps
-async function loadClaims() {
-  const container = document.getElementById("claims");
+// Open lost reports, each with the found reports and found items that may be it
+async function loadLostReports() {
+  const container = document.getElementById("lostReports");
   if (!container) return;
   try {
-    const claims = ifoundDB.listClaimsWithItem();
+    const reports = ifoundDB.listLostReports({ status: "open" });
     container.innerHTML = "";
-    if (!claims.length) {
-      container.appendChild(h("div", { class: "card" }, "No claims yet."));
+    if (!reports.length) {
+      container.appendChild(
+        h("div", { class: "card" }, "No open lost reports.")
+      );
       return;
     }
-    claims.forEach((claim) => {
+    reports.forEach((report) => {
+      const matches = ifoundDB.listLostReportMatches(report.id);
+      const lastSeen = report.lastSeenAt
+        ? ` on ${new Date(report.lastSeenAt).toLocaleString()}`
+        : "";
       container.appendChild(
         h("div", { class: "card", style: "margin-bottom:8px" }, [
-          h("strong", {}, `Claim: ${claim.itemName}`),
-          h("div", {}, `Claimant: ${claim.claimantName}`),
-          h("div", {}, `Student ID: ${claim.studentId}`),
+          h("strong", {}, `#${recordNumber(report.id)} ${report.description}`),
+          report.itemId ? " (registered item)" : " (untagged)",
           h(
             "div",
-            { style: "font-size:12px;color:#6b7280" },
-            `On: ${new Date(claim.createdAt).toLocaleString()}`
+            {},
+            `Owner: ${report.ownerName} (${report.studentId}) · ${
+              report.contact || "no contact"
+            }`
+          ),
+          h(
+            "div",
+            {},
+            `Category: ${categoryLabel(report.category)} · Last seen at ${
+              report.lastSeenLocation
+            }${lastSeen}`
           ),
+          matches.length
+            ? h(
+                "ol",
+                { class: "match-list" },
+                matches.map(({ candidate, score, reasons }) =>
+                  h("li", {}, [
+                    h(
+                      "strong",
+                      {},
+                      `${Math.round(score * 100)}% · ${
+                        candidate.kind === "found_report"
+                          ? `Found report #${recordNumber(candidate.id)}`
+                          : `Untagged found item #${recordNumber(candidate.id)}`
+                      }: ${candidate.title}`
+                    ),
+                    h(
+                      "div",
+                      {},
+                      `${candidate.location} · ${new Date(
+                        candidate.at
+                      ).toLocaleString()} · ${candidate.status}`
+                    ),
+                    h("div", { class: "match-reasons" }, reasons.join(" · ")),
+                  ])
+                )
+              )
+            : h("div", { style: "margin-top:6px" }, "No likely matches yet."),
+          h("div", { style: "margin-top:8px" }, [
+            h(
+              "button",
+              {
+                type: "button",
+                class: "btn",
+                onclick: () => {
+                  const note = prompt(
+                    "Resolution note (e.g., returned via claim #3):"
+                  );
+                  if (note === null) return;
+                  try {
+                    ifoundDB.resolveLostReport(report.id, { note });
+                    loadLostReports();
+                    loadAnalytics();
+                    loadAuditLog();
+                  } catch (e) {
+                    console.error("Resolve error", e);
+                    alert(e.message || "Failed to resolve lost report.");
+                  }
+                },
+              },
+              "Resolve"
+            ),
+          ]),
         ])
       );
     });
@@ -149,6 +735,284 @@ async function loadClaims() {
   }
 }
 
+// Human-readable claim status
+function claimStatusLabel(status) {
+  const map = {
+    pending: "Pending review",
+    approved: "Approved — awaiting handover",
+    denied: "Denied",
+    released: "Released",
+  };
+  return map[status] || status;
+}
+
+// Re-render everything a claim decision can affect
+function refreshClaims() {
+  loadClaims();
+  loadItems();
+  loadFoundItems();
+  loadLostReports();
+  loadAnalytics();
+  loadAuditLog();
+}
+
+// Run a claim decision and refresh; permission errors are shown as-is
+async function runClaimAction(action, failText) {
+  try {
+    if (await action()) refreshClaims();
+    else alert(failText);
+  } catch (e) {
+    console.error("Claim action error", e);
+    alert(e.message || failText);
+  }
+}
+
+// Render the list of claims a page at a time
+async function loadClaims() {
+  const container = document.getElementById("claims");
+  if (!container) return;
+  try {
+    pagedList(container, {
+      fetchPage: (page) => ifoundDB.listClaimsWithItem(page),
+      renderRow: claimCard,
+      emptyText: "No claims yet.",
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// "2 of 3 secret answers correct" for a claim's secretCheck / releaseCheck
+function secretCheckText({ asked, correct }) {
+  return `${correct} of ${asked} secret answer${
+    asked === 1 ? "" : "s"
+  } correct`;
+}
+
+// Ask the collector the owner's secret questions at the desk. Resolves to the answers in
+// question order, [] when the item has none, or null when the admin cancels.
+function askSecretQuestions(itemId) {
+  const answers = [];
+  for (const question of ifoundDB.secretQuestions(itemId)) {
+    const answer = prompt(`Ask the collector: ${question}\nTheir answer:`);
+    if (answer === null) return null;
+    answers.push(answer);
+  }
+  return answers;
+}
+
+// One claim with its proof and approve/deny/release actions
+function claimCard(claim) {
+  const found = claim.foundItem;
+  const idMatches =
+    !!found ||
+    (claim.claimantStudentId || "").trim() === (claim.studentId || "").trim();
+  const actions = [];
+  if (claim.status === "pending") {
+    actions.push(
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn primary",
+          onclick: () => {
+            if (!idMatches) {
+              const ok = confirm(
+                "The claimant's Student ID does not match the registered owner. Approve anyway?"
+              );
+              if (!ok) return;
+            }
+            const check = claim.secretCheck;
+            if (check && check.correct < check.asked) {
+              const ok = confirm(
+                `Only ${secretCheckText(check)}. Approve anyway?`
+              );
+              if (!ok) return;
+            }
+            const note = prompt("Approval note (optional):");
+            if (note === null) return;
+            runClaimAction(
+              () => ifoundDB.approveClaim(claim.id, { note }),
+              "Failed to approve claim."
+            );
+          },
+        },
+        "Approve"
+      ),
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn secondary",
+          onclick: () => {
+            const reason = prompt("Reason for denying this claim:");
+            if (!reason || !reason.trim()) return;
+            runClaimAction(
+              () => ifoundDB.denyClaim(claim.id, { reason: reason.trim() }),
+              "Failed to deny claim."
+            );
+          },
+        },
+        "Deny"
+      )
+    );
+  }
+  if (claim.status === "approved") {
+    actions.push(
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn primary",
+          onclick: async () => {
+            const secretAnswers = found ? [] : askSecretQuestions(claim.itemId);
+            if (secretAnswers === null) return;
+            const check = secretAnswers.length
+              ? await ifoundDB.checkSecretAnswers(claim.itemId, secretAnswers)
+              : null;
+            const ok = confirm(
+              (check ? `${secretCheckText(check)}. ` : "") +
+                `Hand the item over to ${claim.claimantName} now? The release is recorded under your account.`
+            );
+            if (!ok) return;
+            runClaimAction(
+              () => ifoundDB.releaseClaim(claim.id, { secretAnswers }),
+              "Failed to record the handover."
+            );
+          },
+        },
+        "Release to Claimant"
+      )
+    );
+  }
+  return h("div", { class: "card", style: "margin-bottom:8px" }, [
+    h("strong", {}, `Claim: ${claim.itemName}`),
+    " ",
+    h(
+      "span",
+      { class: `status-${claim.status}` },
+      claimStatusLabel(claim.status)
+    ),
+    h("div", {}, `Claimant: ${claim.claimantName}`),
+    h(
+      "div",
+      {},
+      `Claimant Student ID: ${claim.claimantStudentId || "n/a"}` +
+        (found
+          ? ""
+          : idMatches
+          ? " (matches owner)"
+          : " (does not match owner)")
+    ),
+    h("div", {}, `Contact: ${claim.claimantContact || "n/a"}`),
+    found
+      ? h(
+          "div",
+          {},
+          `Untagged found item #${recordNumber(found.id)}: ${[
+            found.description,
+            found.colour,
+            found.brand,
+          ]
+            .filter(Boolean)
+            .join(", ")}. Compare the proof with the item.`
+        )
+      : h("div", {}, `Owner: ${claim.ownerName} (${claim.studentId})`),
+    claim.proofDescription
+      ? h(
+          "div",
+          { style: "margin-top:4px" },
+          `Proof: ${claim.proofDescription}`
+        )
+      : null,
+    claim.secretCheck
+      ? h(
+          "div",
+          {
+            class:
+              claim.secretCheck.correct < claim.secretCheck.asked
+                ? "scan-warning"
+                : "",
+            style: "margin-top:4px",
+          },
+          `Secret questions at claim: ${secretCheckText(claim.secretCheck)}`
+        )
+      : null,
+    claim.releaseCheck
+      ? h(
+          "div",
+          { style: "margin-top:4px" },
+          `Secret questions at handover: ${secretCheckText(claim.releaseCheck)}`
+        )
+      : null,
+    h(
+      "div",
+      {
+        style: "display:flex; gap:12px; margin-top:8px; align-items:flex-start",
+      },
+      [
+        claim.proofPhotoPath
+          ? h("div", {}, [
+              h(
+                "div",
+                { style: "font-size:12px;color:#6b7280" },
+                "Proof Photo"
+              ),
+              photoImg(claim.proofPhotoPath, {
+                style: "max-width:200px;border-radius:6px;margin-top:4px",
+              }),
+            ])
+          : null,
+        claim.itemPhotos.length
+          ? h("div", {}, [
+              h(
+                "div",
+                { style: "font-size:12px;color:#6b7280" },
+                found ? "Found Item Photo" : "Owner Photos"
+              ),
+              photoGallery(claim.itemPhotos, {
+                style: "max-width:200px;border-radius:6px;margin-top:4px",
+              }),
+            ])
+          : null,
+      ]
+    ),
+    h(
+      "div",
+      { style: "font-size:12px;color:#6b7280;margin-top:6px" },
+      `On: ${new Date(claim.createdAt).toLocaleString()}`
+    ),
+    claim.reviewedAt
+      ? h(
+          "div",
+          { style: "font-size:12px;color:#6b7280" },
+          `Reviewed by ${claim.reviewedBy} on ${new Date(
+            claim.reviewedAt
+          ).toLocaleString()}` +
+            (claim.reviewNote ? ` — ${claim.reviewNote}` : "")
+        )
+      : null,
+    claim.releasedAt
+      ? h(
+          "div",
+          { style: "font-size:12px;color:#6b7280" },
+          `Released by ${claim.releasedBy} on ${new Date(
+            claim.releasedAt
+          ).toLocaleString()}`
+        )
+      : null,
+    actions.length
+      ? h(
+          "div",
+          {
+            style: "margin-top:10px;display:flex;gap:8px;flex-wrap:wrap",
+          },
+          actions
+        )
+      : null,
+  ]);
+}
+
 // Render a small analytics summary
 async function loadAnalytics() {
   const container = document.getElementById("analytics");
@@ -157,34 +1021,308 @@ async function loadAnalytics() {
     const a = ifoundDB.analytics();
     container.innerHTML = "";
     container.appendChild(h("div", {}, `Total items: ${a.total}`));
-    container.appendChild(h("div", {}, `Lost: ${a.lost}`));
+    container.appendChild(h("div", {}, `In custody: ${a.inCustody}`));
     container.appendChild(h("div", {}, `Claimed: ${a.claimed}`));
+    container.appendChild(h("div", {}, `Returned to owner: ${a.returned}`));
+    container.appendChild(h("div", {}, `Disposed: ${a.disposed}`));
     container.appendChild(h("div", {}, `Pending reports: ${a.pendingReports}`));
+    container.appendChild(h("div", {}, `Pending claims: ${a.pendingClaims}`));
+    container.appendChild(
+      h("div", {}, `Reports needing info: ${a.needsInfoReports}`)
+    );
+    container.appendChild(
+      h("div", {}, `Rejected reports: ${a.rejectedReports}`)
+    );
+    container.appendChild(
+      h("div", {}, `Duplicate reports: ${a.duplicateReports}`)
+    );
+    container.appendChild(
+      h(
+        "div",
+        {},
+        `Untagged items awaiting drop-off: ${a.foundItemsAwaitingDropOff}`
+      )
+    );
+    container.appendChild(
+      h("div", {}, `Untagged items in custody: ${a.foundItemsInCustody}`)
+    );
+    container.appendChild(
+      h("div", {}, `Open lost reports: ${a.openLostReports}`)
+    );
     container.appendChild(h("div", {}, `Recovery rate: ${a.recoveryRate}%`));
   } catch (e) {
     console.error(e);
   }
 }
 
+// QR tag signing key: one private CryptoKey per staff device, kept in IndexedDB and imported
+// as not extractable, so page scripts can sign with it but never read it out
+const QR_KEY_DB = "ifound_qr_signing";
+const QR_KEY_STORE = "keys";
+
+function qrKeyRequest(mode, fn) {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const open = indexedDB.open(QR_KEY_DB, 1);
+    open.onupgradeneeded = () => open.result.createObjectStore(QR_KEY_STORE);
+    open.onerror = () => reject(open.error);
+    open.onsuccess = () => {
+      const tx = open.result.transaction(QR_KEY_STORE, mode);
+      const req = fn(tx.objectStore(QR_KEY_STORE));
+      tx.oncomplete = () => {
+        open.result.close();
+        resolve(req.result);
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    };
+  });
+}
+
+async function storeQrSigningKey(jwk) {
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    jwk,
+    QR_KEY_ALGORITHM,
+    false,
+    ["sign"]
+  );
+  await qrKeyRequest("readwrite", (store) => store.put(key, "private"));
+  return key;
+}
+
+// { state, key }: state is "ready", "missing" (no key on this device), "no-verify-key"
+// (config.js has no qrVerifyKey) or "mismatch" (the key does not pair with qrVerifyKey)
+async function qrSigningKeyHere() {
+  const key = await qrKeyRequest("readonly", (store) =>
+    store.get("private")
+  ).catch(() => null);
+  if (!key) return { state: "missing" };
+  const verify = await qrVerifyKey();
+  if (!verify) return { state: "no-verify-key" };
+  const probe = await signQrTag(key, "probe");
+  return (await verifyQrTag(verify, "probe", probe))
+    ? { state: "ready", key }
+    : { state: "mismatch" };
+}
+
+// Sign every item whose tag has no valid signature yet; resolves to how many were signed
+async function signPendingTags() {
+  const { state, key } = await qrSigningKeyHere();
+  if (state !== "ready") return 0;
+  const verify = await qrVerifyKey();
+  const signatures = {};
+  for (const item of ifoundDB.listAllItems()) {
+    if (item.qrSig && (await verifyQrTag(verify, item.id, item.qrSig))) {
+      continue;
+    }
+    signatures[item.id] = await signQrTag(key, item.id);
+  }
+  return Object.keys(signatures).length
+    ? ifoundDB.setTagSignatures(signatures)
+    : 0;
+}
+
+const QR_SIGNING_STATES = {
+  ready: "This device signs QR tags.",
+  missing:
+    "No signing key on this device. Tags are signed on a device that has one.",
+  "no-verify-key":
+    "config.js has no qrVerifyKey yet. Add the public key shown when the key pair was created.",
+  mismatch:
+    "The signing key on this device does not match qrVerifyKey in config.js, so it is not used.",
+};
+
+// The config.js line for a key pair's public half
+function showQrPublicKey(jwk) {
+  const { kty, crv, x, y } = jwk;
+  document.getElementById(
+    "qrPublicKey"
+  ).textContent = `qrVerifyKey: ${JSON.stringify({ kty, crv, x, y })},`;
+}
+
+async function loadQrSigning() {
+  const status = document.getElementById("qrSigningStatus");
+  if (!status) return;
+  const { state } = await qrSigningKeyHere();
+  status.textContent = QR_SIGNING_STATES[state];
+}
+
+function bindQrSigning() {
+  const createBtn = document.getElementById("qrKeyCreate");
+  const fileInput = document.getElementById("qrKeyFile");
+  const forgetBtn = document.getElementById("qrKeyForget");
+  if (!createBtn) return;
+  const signed = async () => {
+    await loadQrSigning();
+    if (await signPendingTags()) loadItems();
+  };
+  createBtn.addEventListener("click", async () => {
+    const { state } = await qrSigningKeyHere();
+    if (
+      state !== "missing" &&
+      !confirm(
+        "Replace the signing key on this device? Tags signed with the old key stop checking out once config.js has the new public key, until they are printed again."
+      )
+    ) {
+      return;
+    }
+    try {
+      const pair = await crypto.subtle.generateKey(QR_KEY_ALGORITHM, true, [
+        "sign",
+        "verify",
+      ]);
+      const jwk = await crypto.subtle.exportKey("jwk", pair.privateKey);
+      downloadFile(
+        new Blob([JSON.stringify(jwk)], { type: "application/json" }),
+        "ifound-qr-signing-key.json"
+      );
+      await storeQrSigningKey(jwk);
+      showQrPublicKey(jwk);
+      alert(
+        "Key pair created. Keep the downloaded key file offline (it signs tags on other staff devices) and put the line shown below into config.js on every device."
+      );
+      await signed();
+    } catch (e) {
+      alert(e.message || "Could not create a key pair");
+    }
+  });
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    try {
+      const jwk = JSON.parse(await file.text());
+      if (!jwk.d) throw new Error("This file holds no private key");
+      await storeQrSigningKey(jwk);
+      showQrPublicKey(jwk);
+      await signed();
+    } catch (e) {
+      alert(e.message || "Could not load the key file");
+    }
+  });
+  forgetBtn.addEventListener("click", async () => {
+    if (!confirm("Remove the signing key from this device?")) return;
+    await qrKeyRequest("readwrite", (store) => store.delete("private"));
+    document.getElementById("qrPublicKey").textContent = "";
+    loadQrSigning();
+  });
+}
+
+function loadSyncDevice() {
+  const status = document.getElementById("syncDeviceStatus");
+  if (!status) return;
+  const url = (window.IFOUND_CONFIG || {}).syncServerUrl;
+  const device = ifoundStorage.currentDevice();
+  if (!url) {
+    status.textContent =
+      "No sync server is set in config.js; this device keeps its data to itself.";
+  } else if (!device) {
+    status.textContent = `Not registered with ${url} yet, so this device cannot sync.`;
+  } else {
+    status.textContent = `Registered with ${url} as "${device.name}" (${
+      device.role
+    }) on ${new Date(device.createdAt).toLocaleDateString()}.`;
+  }
+}
+
+function bindSyncDevice() {
+  const form = document.getElementById("syncDeviceForm");
+  const forgetBtn = document.getElementById("syncDeviceForget");
+  if (!form) return;
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const url = (window.IFOUND_CONFIG || {}).syncServerUrl;
+    if (!url) {
+      alert("Set syncServerUrl in config.js first.");
+      return;
+    }
+    const adminKey = document.getElementById("syncAdminKey");
+    try {
+      const device = await ifoundStorage.registerDevice(url, adminKey.value, {
+        name: document.getElementById("syncDeviceName").value.trim(),
+        role: document.getElementById("syncDeviceRole").value,
+      });
+      adminKey.value = "";
+      alert(
+        `Registered as "${device.name}" (${device.role}). The page reloads to start syncing.`
+      );
+      location.reload();
+    } catch (err) {
+      alert(err.message || "Could not register this device");
+    }
+  });
+  forgetBtn.addEventListener("click", () => {
+    if (
+      !confirm(
+        "Forget this device's sync registration? It stops syncing until it is registered again. Remove it on the server as well to lock out its key."
+      )
+    ) {
+      return;
+    }
+    ifoundStorage.forgetDevice();
+    location.reload();
+  });
+}
+
+function downloadFile(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // Wire export/import buttons for local data management
 function bindDataControls() {
   const exportBtn = document.getElementById("exportData");
+  const backupBtn = document.getElementById("exportBackup");
   const importInput = document.getElementById("importFile");
+  const passphraseInput = document.getElementById("backupPassphrase");
+  if (backupBtn) {
+    backupBtn.addEventListener("click", async () => {
+      const passphrase = passphraseInput.value;
+      if (passphrase !== document.getElementById("backupConfirm").value) {
+        return alert("Passphrases do not match.");
+      }
+      backupBtn.disabled = true;
+      try {
+        const file = await ifoundBackup.encryptBackup(
+          await ifoundDB.exportAll({ owners: true }),
+          passphrase
+        );
+        downloadFile(
+          new Blob([JSON.stringify(file)], { type: "application/json" }),
+          `ifound-backup-${file.createdAt.slice(0, 10)}.json`
+        );
+        document.getElementById("backupConfirm").value = "";
+      } catch (e) {
+        alert(e.message || "Backup failed");
+      } finally {
+        backupBtn.disabled = false;
+      }
+    });
+  }
   if (exportBtn) {
     exportBtn.addEventListener("click", async () => {
+      const ok = confirm(
+        "The file will hold students' contact details and photos unencrypted (owner PINs are left out). Export anyway?"
+      );
+      if (!ok) return;
       try {
-        const data = ifoundDB.exportAll();
-        const blob = new Blob([JSON.stringify(data, null, 2)], {
-          type: "application/json",
-        });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = "ifound-export.json";
-        a.click();
-        URL.revokeObjectURL(url);
+        const data = await ifoundDB.exportAll();
+        downloadFile(
+          new Blob([JSON.stringify(data, null, 2)], {
+            type: "application/json",
+          }),
+          "ifound-export.json"
+        );
       } catch (e) {
-        alert("Export failed");
+        alert(e.message || "Export failed");
       }
     });
   }
@@ -192,19 +1330,887 @@ function bindDataControls() {
     importInput.addEventListener("change", async () => {
       const file = importInput.files[0];
       if (!file) return;
+      let data;
       try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        const ok = ifoundDB.importMerge(data);
-        if (ok) {
-          alert("Import complete");
-          loadAnalytics();
-          loadPending();
-          loadClaims();
-        } else alert("Import failed");
+        data = JSON.parse(await file.text());
       } catch (e) {
         alert("Invalid JSON file");
+        return;
+      }
+      try {
+        if (ifoundBackup.isEncryptedBackup(data)) {
+          if (!passphraseInput.value) {
+            importInput.value = "";
+            return alert(
+              "Enter the backup's passphrase, then pick the file again."
+            );
+          }
+          data = await ifoundBackup.decryptBackup(data, passphraseInput.value);
+        }
+        showImportPreview(data, ifoundDB.previewImport(data), () => {
+          importInput.value = "";
+        });
+      } catch (e) {
+        importInput.value = "";
+        alert(e.message || "Import failed");
+      }
+    });
+  }
+}
+
+const IMPORT_POLICY_LABELS = {
+  newest: "Newest wins",
+  "keep-local": "Keep local",
+  "per-record": "Choose per record",
+};
+
+// Dry run of an import file: what it adds, updates and clashes with, and the policy for
+// records both sides hold. Nothing is written until Apply.
+function showImportPreview(data, plan, onClose) {
+  const container = document.getElementById("importPreview");
+  if (!container) return;
+  const close = () => {
+    container.innerHTML = "";
+    onClose();
+  };
+  const policySel = h(
+    "select",
+    { style: "width:auto" },
+    ifoundDB.IMPORT_POLICIES.map((policy) =>
+      h("option", { value: policy }, IMPORT_POLICY_LABELS[policy])
+    )
+  );
+  // Record key -> its "Use file" / "Keep local" select, enabled for per-record resolution
+  const choices = new Map();
+  policySel.addEventListener("change", () => {
+    choices.forEach((select) => {
+      select.disabled = policySel.value !== "per-record";
+    });
+  });
+  const time = (at) => (at ? new Date(at).toLocaleString() : "unknown");
+  const changedRow = (entry, newer) => {
+    const select = h("select", { style: "width:auto" }, [
+      h("option", { value: "incoming" }, "Use file"),
+      h("option", { value: "local" }, "Keep local"),
+    ]);
+    select.value = newer ? "incoming" : "local";
+    select.disabled = true;
+    choices.set(entry.key, select);
+    return h("li", {}, [
+      h("strong", {}, entry.label),
+      " ",
+      select,
+      h(
+        "div",
+        { class: "hint" },
+        `Changed: ${entry.fields.join(", ") || "timestamps only"} · here ${time(
+          entry.localAt
+        )} · file ${time(entry.incomingAt)}`
+      ),
+    ]);
+  };
+  const group = (title, rows) =>
+    h("details", { class: "import-group", open: "" }, [
+      h("summary", {}, `${title} (${rows.length})`),
+      h("ul", { class: "import-list" }, rows),
+    ]);
+  // Long files: list the first adds only, like the audit log
+  const addRows = plan.adds
+    .slice(0, 200)
+    .map((entry) => h("li", {}, entry.label));
+  if (plan.adds.length > addRows.length) {
+    addRows.push(
+      h("li", { class: "hint" }, `…and ${plan.adds.length - 200} more`)
+    );
+  }
+
+  const apply = async (ev) => {
+    const btn = ev.currentTarget;
+    btn.disabled = true;
+    try {
+      const result = await ifoundDB.importMerge(data, {
+        policy: policySel.value,
+        choices: Object.fromEntries(
+          Array.from(choices, ([key, select]) => [key, select.value])
+        ),
+      });
+      close();
+      alert(
+        `Import complete: ${result.added} added, ${result.updated} updated, ${result.kept} kept as they were.`
+      );
+      showDashboard();
+    } catch (e) {
+      btn.disabled = false;
+      alert(e.message || "Import failed");
+    }
+  };
+
+  container.innerHTML = "";
+  container.appendChild(
+    h("div", { class: "import-preview" }, [
+      h(
+        "p",
+        {},
+        `${plan.adds.length} to add · ${plan.updates.length} newer in the file · ${plan.conflicts.length} newer or as new here · ${plan.unchanged} unchanged`
+      ),
+      plan.adds.length ? group("New records", addRows) : "",
+      plan.updates.length
+        ? group(
+            "Updates: the file's copy changed more recently",
+            plan.updates.map((entry) => changedRow(entry, true))
+          )
+        : "",
+      plan.conflicts.length
+        ? group(
+            "Conflicts: the copy here is as new or newer",
+            plan.conflicts.map((entry) => changedRow(entry, false))
+          )
+        : "",
+      h("div", { class: "filters" }, [
+        h("label", {}, ["Records in both: ", policySel]),
+        h(
+          "button",
+          { type: "button", class: "btn primary", onclick: apply },
+          "Apply Import"
+        ),
+        h("button", { type: "button", class: "btn", onclick: close }, "Cancel"),
+      ]),
+    ])
+  );
+}
+
+const SNAPSHOT_REASONS = {
+  scheduled: "Scheduled",
+  manual: "Taken by hand",
+  "before restore": "Before a restore",
+};
+
+// Snapshot count and interval for this device, and a snapshot on demand
+function bindSnapshots() {
+  const form = document.getElementById("snapshotSettings");
+  const nowBtn = document.getElementById("snapshotNow");
+  if (!form) return;
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      await ifoundBackup.saveSnapshotSettings({
+        count: document.getElementById("snapshotCount").value,
+        intervalHours: document.getElementById("snapshotHours").value,
+      });
+      loadSnapshots();
+    } catch (err) {
+      alert(err.message || "Failed to save snapshot settings.");
+    }
+  });
+  nowBtn.addEventListener("click", async () => {
+    nowBtn.disabled = true;
+    try {
+      await ifoundBackup.takeSnapshot("manual");
+      loadSnapshots();
+    } catch (e) {
+      alert(e.message || "Snapshot failed");
+    } finally {
+      nowBtn.disabled = false;
+    }
+  });
+}
+
+async function loadSnapshots() {
+  const container = document.getElementById("snapshotList");
+  if (!container) return;
+  const settings = ifoundBackup.snapshotSettings();
+  document.getElementById("snapshotCount").value = settings.count;
+  document.getElementById("snapshotHours").value = settings.intervalHours;
+  let snapshots;
+  try {
+    snapshots = await ifoundBackup.listSnapshots();
+  } catch (e) {
+    container.textContent = `Snapshots are unavailable: ${e.message}`;
+    return;
+  }
+  container.innerHTML = "";
+  if (!snapshots.length) {
+    container.appendChild(h("p", { class: "hint" }, "No snapshots yet."));
+    return;
+  }
+  snapshots.forEach((snapshot) => {
+    const counts = ["items", "found_reports", "found_items", "claims"]
+      .map((key) => `${snapshot.counts[key] || 0} ${key.replace("_", " ")}`)
+      .join(" · ");
+    container.appendChild(
+      h(
+        "div",
+        {
+          class: "card",
+          style:
+            "margin-bottom:8px;display:flex;flex-wrap:wrap;gap:8px;align-items:center",
+        },
+        [
+          h("strong", {}, new Date(snapshot.takenAt).toLocaleString()),
+          h(
+            "span",
+            { class: "badge" },
+            SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason
+          ),
+          h("span", { class: "hint" }, counts),
+          h(
+            "button",
+            {
+              type: "button",
+              class: "btn",
+              style: "margin-left:auto",
+              onclick: () => showRestorePreview(snapshot.id),
+            },
+            "Review & Restore"
+          ),
+          h(
+            "button",
+            {
+              type: "button",
+              class: "btn secondary",
+              onclick: async () => {
+                if (!confirm("Delete this snapshot?")) return;
+                await ifoundBackup.deleteSnapshot(snapshot.id);
+                loadSnapshots();
+              },
+            },
+            "Delete"
+          ),
+        ]
+      )
+    );
+  });
+}
+
+// What restoring a snapshot would change here, before anything is written
+async function showRestorePreview(id) {
+  const container = document.getElementById("snapshotRestore");
+  if (!container) return;
+  let snapshot;
+  let plan;
+  try {
+    snapshot = await ifoundBackup.getSnapshot(id);
+    plan = ifoundDB.previewRestore(snapshot);
+  } catch (e) {
+    alert(e.message || "Could not read the snapshot");
+    return;
+  }
+  const close = () => {
+    container.innerHTML = "";
+  };
+  const group = (title, entries) => {
+    // Long lists: the first entries only, like the import preview
+    const rows = entries.slice(0, 200).map((entry) => h("li", {}, entry.label));
+    if (entries.length > rows.length) {
+      rows.push(
+        h("li", { class: "hint" }, `…and ${entries.length - 200} more`)
+      );
+    }
+    return entries.length
+      ? h("details", { class: "import-group" }, [
+          h("summary", {}, `${title} (${entries.length})`),
+          h("ul", { class: "import-list" }, rows),
+        ])
+      : "";
+  };
+  const takenAt = new Date(snapshot.takenAt).toLocaleString();
+
+  const restore = async (ev) => {
+    const ok = confirm(
+      `Put the data back as it was on ${takenAt}? A snapshot of the current data is taken first.`
+    );
+    if (!ok) return;
+    const btn = ev.currentTarget;
+    btn.disabled = true;
+    try {
+      await ifoundBackup.takeSnapshot("before restore");
+      const result = await ifoundDB.restoreSnapshot(snapshot);
+      close();
+      alert(
+        `Restore complete: ${result.restored} records back, ${result.removed} removed, ${result.changed} changed back.`
+      );
+      showDashboard();
+    } catch (e) {
+      btn.disabled = false;
+      alert(e.message || "Restore failed");
+    }
+  };
+
+  const restoreBtn = h(
+    "button",
+    { type: "button", class: "btn primary", onclick: restore },
+    "Restore This Snapshot"
+  );
+  // Nothing to put back when the data is as it was
+  restoreBtn.disabled = !(
+    plan.restored.length +
+    plan.removed.length +
+    plan.changed.length
+  );
+
+  container.innerHTML = "";
+  container.appendChild(
+    h("div", { class: "import-preview" }, [
+      h("h3", {}, `Restore the snapshot from ${takenAt}`),
+      h(
+        "p",
+        {},
+        `${plan.restored.length} records come back · ${plan.removed.length} added since are removed · ${plan.changed.length} change back · ${plan.unchanged} unchanged`
+      ),
+      group("Come back: gone since the snapshot", plan.restored),
+      group("Removed: added since the snapshot", plan.removed),
+      group("Changed back to the snapshot's copy", plan.changed),
+      h("div", { class: "filters" }, [
+        restoreBtn,
+        h("button", { type: "button", class: "btn", onclick: close }, "Cancel"),
+      ]),
+    ])
+  );
+}
+
+// CSV export with picked columns and a date range, and the bulk item import
+function bindSpreadsheets() {
+  const table = document.getElementById("csvTable");
+  const photos = document.getElementById("csvPhotos");
+  const columnsBox = document.getElementById("csvColumns");
+  const exportBtn = document.getElementById("csvExport");
+  const importInput = document.getElementById("csvImportFile");
+  if (!table || !columnsBox) return;
+  // One checkbox per column; photo columns only when photos are referenced
+  const renderColumns = () => {
+    columnsBox.innerHTML = "";
+    ifoundDB
+      .listExportColumns(table.value)
+      .filter((c) => !c.photo || photos.value === "reference")
+      .forEach((c) => {
+        columnsBox.appendChild(
+          h("label", {}, [
+            h("input", {
+              type: "checkbox",
+              value: c.key,
+              checked: "",
+              style: "width:auto",
+            }),
+            c.label,
+          ])
+        );
+      });
+  };
+  table.addEventListener("change", renderColumns);
+  photos.addEventListener("change", renderColumns);
+  renderColumns();
+
+  exportBtn.addEventListener("click", () => {
+    const columns = Array.from(
+      columnsBox.querySelectorAll("input:checked"),
+      (el) => el.value
+    );
+    if (!columns.length) return alert("Pick at least one column.");
+    // Date inputs are local days; records carry UTC times
+    const from = document.getElementById("csvFrom").value;
+    const to = document.getElementById("csvTo").value;
+    try {
+      const { headers, rows } = ifoundDB.exportTable(table.value, {
+        columns,
+        photos: photos.value,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null,
+      });
+      downloadFile(
+        new Blob([ifoundCsv.stringify([headers, ...rows])], {
+          type: "text/csv;charset=utf-8",
+        }),
+        `ifound-${table.value.replace("_", "-")}.csv`
+      );
+    } catch (e) {
+      alert(e.message || "Export failed");
+    }
+  });
+
+  if (importInput) {
+    importInput.addEventListener("change", async () => {
+      const file = importInput.files[0];
+      if (!file) return;
+      const { headers, records } = ifoundCsv.toRecords(
+        ifoundCsv.parse(await file.text())
+      );
+      if (!records.length) {
+        importInput.value = "";
+        return alert("The file has no rows below its header line.");
       }
+      showCsvImport(headers, records, () => {
+        importInput.value = "";
+      });
     });
   }
 }
+
+// Column mapping for a CSV item import, with a row check before anything is written
+function showCsvImport(headers, records, onClose) {
+  const container = document.getElementById("csvImport");
+  if (!container) return;
+  const close = () => {
+    container.innerHTML = "";
+    onClose();
+  };
+  const fields = ifoundDB.itemImportFields();
+  const simple = (text) =>
+    String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  // Field key -> select of the file's columns, preset where a header names the field
+  const selects = new Map();
+  const mapping = h(
+    "div",
+    { class: "csv-mapping" },
+    fields.map((field) => {
+      const select = h("select", {}, [
+        h("option", { value: "" }, "(not in file)"),
+        ...headers.map((header, i) =>
+          h("option", { value: String(i) }, header)
+        ),
+      ]);
+      const match = headers.findIndex((header) =>
+        [field.key, field.label].some((name) => simple(name) === simple(header))
+      );
+      if (match >= 0) select.value = String(match);
+      selects.set(field.key, select);
+      return h("label", {}, [
+        `${field.label}${field.required ? " *" : ""}`,
+        select,
+      ]);
+    })
+  );
+  const result = h("div", { class: "csv-result" });
+  const rows = () =>
+    records.map((record) =>
+      Object.fromEntries(
+        fields.map((field) => {
+          const column = selects.get(field.key).value;
+          return [field.key, column === "" ? "" : record[Number(column)]];
+        })
+      )
+    );
+  const label = (key) => fields.find((f) => f.key === key)?.label || key;
+  const showResult = (summary, errors) => {
+    result.innerHTML = "";
+    result.appendChild(h("p", {}, summary));
+    if (!errors.length) return;
+    result.appendChild(
+      h(
+        "ul",
+        { class: "import-list csv-errors" },
+        errors.map((e) =>
+          h("li", {}, `Row ${e.row} · ${label(e.field)}: ${e.message}`)
+        )
+      )
+    );
+  };
+  const skipped = (errors) => new Set(errors.map((e) => e.row)).size;
+
+  const check = () => {
+    try {
+      const { items, errors } = ifoundDB.importItems(rows(), { dryRun: true });
+      showResult(
+        `${items} of ${records.length} rows ready to import · ${skipped(
+          errors
+        )} with problems`,
+        errors
+      );
+    } catch (e) {
+      alert(e.message || "Check failed");
+    }
+  };
+  const run = () => {
+    try {
+      const { items, errors } = ifoundDB.importItems(rows());
+      showResult(
+        `Imported ${items} of ${records.length} rows · ${skipped(
+          errors
+        )} skipped`,
+        errors
+      );
+      importBtn.disabled = true;
+      showDashboard();
+    } catch (e) {
+      alert(e.message || "Import failed");
+    }
+  };
+  const importBtn = h(
+    "button",
+    { type: "button", class: "btn primary", onclick: run },
+    "Import Items"
+  );
+
+  container.innerHTML = "";
+  container.appendChild(
+    h("div", { class: "import-preview" }, [
+      h(
+        "p",
+        { class: "hint" },
+        `${records.length} rows. Pick the column that holds each field; * marks required fields.`
+      ),
+      mapping,
+      h("div", { class: "filters" }, [
+        h(
+          "button",
+          { type: "button", class: "btn", onclick: check },
+          "Check Rows"
+        ),
+        importBtn,
+        h("button", { type: "button", class: "btn", onclick: close }, "Close"),
+      ]),
+      result,
+    ])
+  );
+  check();
+}
+
+// Render audit entries matching the search box (newest first, capped for speed)
+function loadAuditLog() {
+  const container = document.getElementById("auditLog");
+  const search = document.getElementById("auditSearch");
+  if (!container || !ifoundAuth.hasRole("super-admin")) return;
+  try {
+    const entries = ifoundDB.listAuditLog({ query: search && search.value });
+    container.innerHTML = "";
+    if (!entries.length) {
+      container.appendChild(h("div", { class: "card" }, "No audit entries."));
+      return;
+    }
+    entries.slice(0, 200).forEach((entry) => {
+      container.appendChild(
+        h("div", { class: "card audit-entry" }, [
+          h("strong", {}, `#${entry.seq} ${entry.action}`),
+          h(
+            "div",
+            { style: "font-size:12px;color:#6b7280" },
+            `${new Date(entry.at).toLocaleString()} · ${entry.actor} · ${
+              entry.targetType
+            }${entry.targetId ? ` ${entry.targetId}` : ""}`
+          ),
+          h("details", {}, [
+            h("summary", {}, "Changes"),
+            h("pre", {}, JSON.stringify(entry.diff, null, 2)),
+          ]),
+        ])
+      );
+    });
+    if (entries.length > 200) {
+      container.appendChild(
+        h(
+          "div",
+          { style: "color:#6b7280" },
+          `Showing 200 of ${entries.length} entries. Narrow the search to see more.`
+        )
+      );
+    }
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Wire the audit search box and the chain verification button
+function bindAuditLog() {
+  const search = document.getElementById("auditSearch");
+  const verifyBtn = document.getElementById("verifyAudit");
+  const status = document.getElementById("auditStatus");
+  if (search) search.addEventListener("input", loadAuditLog);
+  if (verifyBtn && status) {
+    verifyBtn.addEventListener("click", () => {
+      try {
+        const result = ifoundDB.verifyAuditChain();
+        status.innerHTML = "";
+        status.appendChild(
+          result.ok
+            ? h(
+                "div",
+                { class: "status-verified" },
+                result.firstSeq > 1
+                  ? `Chain intact: ${result.count} entries verified from #${result.firstSeq}. Older entries have rolled off; the chain cannot show whether any were removed.`
+                  : `Chain intact: ${result.count} entries verified.`
+              )
+            : h(
+                "div",
+                { class: "status-rejected" },
+                `Chain broken at entry #${result.brokenAt}: this entry or the link to the one before it was altered.`
+              )
+        );
+      } catch (e) {
+        alert(e.message || "Verification failed.");
+      }
+    });
+  }
+}
+
+// Render the category tree with edit/remove actions (super-admin only)
+function loadCategories() {
+  const container = document.getElementById("categories");
+  if (!container || !ifoundAuth.hasRole("super-admin")) return;
+  try {
+    container.innerHTML = "";
+    ifoundDB.listCategories().forEach((category) => {
+      const details = [
+        `id: ${category.id}`,
+        category.keywords.length
+          ? `keywords: ${category.keywords.join(", ")}`
+          : "no keywords",
+        category.attributes.length
+          ? `fields: ${category.attributes
+              .map((a) => `${a.label}${a.sensitive ? " (private)" : ""}`)
+              .join(", ")}`
+          : "",
+      ].filter(Boolean);
+      container.appendChild(
+        h(
+          "div",
+          {
+            class: "card",
+            style: `margin-bottom:8px;margin-left:${
+              category.depth * 24
+            }px;display:flex;gap:8px;align-items:center;flex-wrap:wrap`,
+          },
+          [
+            h(
+              "strong",
+              {},
+              `${category.icon ? `${category.icon} ` : ""}${category.label}`
+            ),
+            h(
+              "span",
+              { style: "color:#6b7280;font-size:12px" },
+              details.join(" · ")
+            ),
+            h(
+              "button",
+              {
+                type: "button",
+                class: "btn",
+                style: "margin-left:auto",
+                onclick: () => editCategory(category),
+              },
+              "Edit"
+            ),
+            category.id === ifoundDB.FALLBACK_CATEGORY
+              ? null
+              : h(
+                  "button",
+                  {
+                    type: "button",
+                    class: "btn secondary",
+                    onclick: () => {
+                      const ok = confirm(
+                        `Remove "${category.label}"? Its items and subcategories move up a level.`
+                      );
+                      if (!ok) return;
+                      try {
+                        ifoundDB.deleteCategory(category.id);
+                        refreshCategories();
+                      } catch (e) {
+                        alert(e.message || "Failed to remove category.");
+                      }
+                    },
+                  },
+                  "Remove"
+                ),
+          ]
+        )
+      );
+    });
+    fillCategorySelect(document.getElementById("categoryParent"), {
+      placeholder: "No parent (top level)",
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Re-render the taxonomy and the lists showing category names
+function refreshCategories() {
+  resetCategoryForm();
+  loadCategories();
+  loadItems();
+  loadFoundItems();
+  loadLostReports();
+  loadAuditLog();
+}
+
+// Load a category into the form for editing
+function editCategory(category) {
+  document.getElementById("categoryId").value = category.id;
+  document.getElementById("categoryLabel").value = category.label;
+  document.getElementById("categoryIcon").value = category.icon || "";
+  document.getElementById("categoryParent").value = category.parent || "";
+  document.getElementById("categoryKeywords").value =
+    category.keywords.join(", ");
+  document.getElementById("categoryAttributes").value = category.attributes
+    .map((a) => `${a.label}${a.sensitive ? "*" : ""}`)
+    .join(", ");
+  document.getElementById("categorySave").textContent = "Save Category";
+  document.getElementById("categoryLabel").focus();
+}
+
+function resetCategoryForm() {
+  const form = document.getElementById("categoryForm");
+  if (!form) return;
+  form.reset();
+  document.getElementById("categoryId").value = "";
+  document.getElementById("categorySave").textContent = "Add Category";
+}
+
+// Wire the add/edit category form (super-admin only)
+function bindCategories() {
+  const form = document.getElementById("categoryForm");
+  if (!form) return;
+  const list = (id) =>
+    document
+      .getElementById(id)
+      .value.split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const id = document.getElementById("categoryId").value;
+    const existing = id ? ifoundDB.getCategory(id) : null;
+    try {
+      ifoundDB.saveCategory({
+        id: id || undefined,
+        label: document.getElementById("categoryLabel").value,
+        icon: document.getElementById("categoryIcon").value,
+        parent: document.getElementById("categoryParent").value,
+        keywords: list("categoryKeywords"),
+        // "IMEI*" marks a private field. Fields still listed keep their keys, so
+        // values stored on items stay attached.
+        attributes: list("categoryAttributes").map((entry) => {
+          const sensitive = entry.endsWith("*");
+          const label = entry.replace(/\*+$/, "").trim();
+          const kept =
+            existing &&
+            existing.attributes.find(
+              (a) => a.label.toLowerCase() === label.toLowerCase()
+            );
+          return { key: kept ? kept.key : undefined, label, sensitive };
+        }),
+      });
+      refreshCategories();
+    } catch (err) {
+      alert(err.message || "Failed to save category.");
+    }
+  });
+  document
+    .getElementById("categoryReset")
+    .addEventListener("click", resetCategoryForm);
+}
+
+// Render admin accounts with a remove action (super-admin only)
+function loadAccounts() {
+  const container = document.getElementById("accounts");
+  if (!container) return;
+  try {
+    const me = ifoundAuth.currentUser();
+    const accounts = ifoundAuth.listAccounts();
+    container.innerHTML = "";
+    accounts.forEach((account) => {
+      container.appendChild(
+        h(
+          "div",
+          {
+            class: "card",
+            style: "margin-bottom:8px;display:flex;gap:8px;align-items:center",
+          },
+          [
+            h("strong", {}, account.username),
+            h("span", { class: "badge" }, account.role),
+            account.username === me.username
+              ? h("span", { style: "color:#6b7280" }, "(you)")
+              : h(
+                  "button",
+                  {
+                    type: "button",
+                    class: "btn secondary",
+                    style: "margin-left:auto",
+                    onclick: () => {
+                      const ok = confirm(`Remove ${account.username}?`);
+                      if (!ok) return;
+                      try {
+                        ifoundAuth.removeAccount(account.username);
+                        loadAccounts();
+                      } catch (e) {
+                        alert(e.message || "Failed to remove account.");
+                      }
+                    },
+                  },
+                  "Remove"
+                ),
+          ]
+        )
+      );
+    });
+  } catch (e) {
+    console.error(e);
+  }
+}
+
+// Wire the add-account form (super-admin only)
+function bindAccounts() {
+  const form = document.getElementById("accountForm");
+  const roleSelect = document.getElementById("accountRole");
+  if (!form) return;
+  if (roleSelect) {
+    roleSelect.innerHTML = "";
+    ifoundAuth.ROLES.forEach((role) =>
+      roleSelect.appendChild(h("option", { value: role }, role))
+    );
+  }
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    try {
+      await ifoundAuth.addAccount({
+        username: document.getElementById("accountUsername").value.trim(),
+        passphrase: document.getElementById("accountPassphrase").value,
+        role: roleSelect.value,
+      });
+      form.reset();
+      loadAccounts();
+    } catch (err) {
+      alert(err.message || "Failed to add account.");
+    }
+  });
+}
+
+// Staff hand a reset code to a student who forgot their My Items PIN, or whose items predate
+// PINs; shown once, never stored
+function bindOwnerReset() {
+  const form = document.getElementById("ownerResetForm");
+  const result = document.getElementById("ownerResetResult");
+  if (!form) return;
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const studentId = document.getElementById("ownerResetId").value.trim();
+    if (!studentId) return;
+    if (
+      !confirm(
+        `Issue a new PIN reset code for student ${studentId}? Their current PIN stops working.`
+      )
+    )
+      return;
+    try {
+      const code = await ifoundDB.resetOwnerPin(studentId);
+      form.reset();
+      result.innerHTML = "";
+      result.appendChild(
+        h("div", { class: "missing-box" }, [
+          h("div", {}, `Reset code for ${studentId}:`),
+          h("div", { class: "short-code" }, code),
+          h(
+            "div",
+            { class: "hint" },
+            "Shown only once. The student signs in to My Items with it and must choose a new PIN."
+          ),
+        ])
+      );
+    } catch (err) {
+      alert(err.message || "Failed to reset the PIN.");
+    }
+  });
+}
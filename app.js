@@ -1,18 +1,32 @@
 /*
-  App logic (client-only, localStorage-backed)
+  App logic; data goes through localdb.js and the storage.js adapter (this browser's localStorage,
+  or a sync server shared with other devices)
   - Router: show one panel per hash, stop cameras when leaving
-  - Register: upload/capture photo, validate, save, and show QR in My Items
-  - Scan: camera or image upload QR scanning, submit found reports
-  - My Items: list user's items with QR download
-  - Lost Items: searchable/filterable list with claim action
+  - Register: category from the admin-managed taxonomy (suggested from the item name) with its
+    custom fields, descriptors (serial and marks kept private), up to three secret questions with
+    hashed answers, an ordered gallery of uploaded/captured photos, validate, save, and show QR
+    in My Items
+  - Scan: camera or image upload QR scanning (bundled jsQR when the browser has no BarcodeDetector),
+    or a typed short code; submit found reports with photos
+  - My Items: owners sign in with their student ID and PIN (set at first registration; staff can issue
+    a reset code). Lists their items with QR, short code and QR download and printable tag sheets
+    (tags.js); flag items missing or file lost reports for untagged items, with ranked candidate
+    matches; edit, archive/restore or delete an item
+  - Found Untagged Item: intake for found items without a QR tag (listed once staff confirm the drop-off)
+  - Lost Items: ranked fuzzy search over tagged and untagged items with filters kept in the URL hash,
+    rendered a page at a time, and a claim form (claims await admin approval)
 
-  Depends on utils.js (h, assetUrl, categoryLabel, inferCategoryFromName, fileToDataUrl, downloadQr)
+  Depends on utils.js (h, photoGallery, photoPicker, statusLabel, statusTimeline, categoryLabel,
+    inferCategoryFromName, fillCategorySelect, recordDetailsText, fileToDataUrl, downloadQr,
+    formatShortCode, recordNumber, highlightText, pagedList, whenVisible, registerServiceWorker,
+    syncStatusBadge, storeErrorNotice),
+  tags.js (tagSheetControls, tagPick, pickedTagItems)
   and localdb.js (ifoundDB).
 */
 
-// Simple router to set active panel by hash
+// Simple router to set active panel by hash; anything after "?" is panel state (see Lost Items)
 function setActivePanel() {
-  const hash = window.location.hash || "#home";
+  const hash = (window.location.hash || "#home").split("?")[0];
   document
     .querySelectorAll(".panel")
     .forEach((el) => el.classList.remove("active"));
@@ -32,10 +46,21 @@ function setActivePanel() {
 }
 window.addEventListener("hashchange", setActivePanel);
 document.addEventListener("DOMContentLoaded", async () => {
+  registerServiceWorker();
+  document.querySelector(".topbar").appendChild(syncStatusBadge());
+  const storeError = storeErrorNotice();
+  if (storeError) document.querySelector("main").prepend(storeError);
+  // Reports and claims filed on other devices show up in the gallery as they sync in
+  window.addEventListener("ifound:sync", (e) => {
+    if (e.detail.changed && window.location.hash.startsWith("#lost")) {
+      loadLostItems();
+    }
+  });
   setActivePanel();
   bindRegister();
   bindMyItems();
   bindScan();
+  bindUntaggedFound();
 });
 
 // Register & Generate QR
@@ -43,7 +68,7 @@ function bindRegister() {
   const form = document.getElementById("registerForm");
   if (!form) return;
   const fileInput = document.getElementById("itemPhoto");
-  const previewImg = document.getElementById("regPreview");
+  const photosWrap = document.getElementById("regPhotos");
   const openCamBtn = document.getElementById("regOpenCam");
   const camPanel = document.getElementById("regCamPanel");
   const stopCamBtn = document.getElementById("regStopCam");
@@ -52,21 +77,67 @@ function bindRegister() {
   const videoWrap = document.getElementById("regVideoWrap");
   const quickActions = document.getElementById("regQuickActions");
   const catSelect = document.getElementById("itemCategory");
+  const nameInput = document.getElementById("itemName");
+  const attrWrap = document.getElementById("itemAttributes");
 
-  let regMediaStream = null;
-  let regCapturedDataUrl = null;
-
-  function showPreview(src) {
-    if (!previewImg) return;
-    if (src) {
-      previewImg.src = src;
-      previewImg.style.display = "block";
-    } else {
-      previewImg.removeAttribute("src");
-      previewImg.style.display = "none";
+  // One input per custom field of the chosen category (e.g. IMEI for phones)
+  function renderAttributeFields() {
+    if (!attrWrap) return;
+    attrWrap.innerHTML = "";
+    ifoundDB.categoryAttributes(catSelect.value).forEach((field) => {
+      attrWrap.appendChild(
+        h("input", { "data-key": field.key, placeholder: field.label })
+      );
+    });
+  }
+  // colour, brand, model, serial and marks inputs (ids "itemColour", "itemSerial", ...)
+  function descriptorValues() {
+    return Object.fromEntries(
+      ifoundDB.ITEM_DESCRIPTORS.map(({ key }) => {
+        const el = document.getElementById(
+          `item${key[0].toUpperCase()}${key.slice(1)}`
+        );
+        return [key, el ? el.value.trim() : ""];
+      })
+    );
+  }
+  function secretQuestionValues() {
+    return Array.from(form.querySelectorAll(".secret-question")).map((row) => ({
+      question: row.querySelector(".secret-q").value,
+      answer: row.querySelector(".secret-a").value,
+    }));
+  }
+  function attributeValues() {
+    if (!attrWrap) return {};
+    return Object.fromEntries(
+      Array.from(attrWrap.querySelectorAll("input[data-key]")).map((el) => [
+        el.dataset.key,
+        el.value.trim(),
+      ])
+    );
+  }
+  if (catSelect) {
+    fillCategorySelect(catSelect, { placeholder: "Select Category" });
+    let picked = false;
+    catSelect.addEventListener("change", () => {
+      picked = true;
+      renderAttributeFields();
+    });
+    // Suggest a category from the item name until the owner picks one
+    if (nameInput) {
+      nameInput.addEventListener("input", () => {
+        if (picked) return;
+        const name = nameInput.value.trim();
+        catSelect.value = name ? inferCategoryFromName(name) : "";
+        renderAttributeFields();
+      });
     }
   }
 
+  let regMediaStream = null;
+  // Front, back, distinguishing marks...: uploads and camera shots join one ordered gallery
+  const picker = photoPicker(photosWrap);
+
   // Start camera for Register capture (mirrored preview)
   async function startRegCamera() {
     try {
@@ -113,19 +184,15 @@ function bindRegister() {
 
   if (fileInput)
     fileInput.addEventListener("change", async (e) => {
-      regCapturedDataUrl = null; // prioritize new file
-      const f = e.target.files && e.target.files[0];
-      if (!f) {
-        showPreview(null);
-        return;
-      }
-      try {
-        const dataUrl = await fileToDataUrl(f, 800);
-        showPreview(dataUrl);
-      } catch (err) {
-        console.error("Preview failed", err);
-        showPreview(null);
+      for (const f of Array.from(e.target.files || [])) {
+        try {
+          if (!picker.add(await fileToDataUrl(f, 800))) break;
+        } catch (err) {
+          console.error("Preview failed", err);
+        }
       }
+      // Empty the input so the same file can be added again after removing it
+      fileInput.value = "";
     });
 
   if (openCamBtn)
@@ -137,8 +204,7 @@ function bindRegister() {
   if (clearBtn)
     clearBtn.addEventListener("click", () => {
       if (fileInput) fileInput.value = "";
-      regCapturedDataUrl = null;
-      showPreview(null);
+      picker.clear();
     });
   if (captureBtn)
     captureBtn.addEventListener("click", () => {
@@ -156,8 +222,7 @@ function bindRegister() {
         ctx.scale(-1, 1);
         ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
         ctx.restore();
-        regCapturedDataUrl = canvas.toDataURL("image/jpeg", 0.8);
-        showPreview(regCapturedDataUrl);
+        picker.add(canvas.toDataURL("image/jpeg", 0.8));
         toggleCamPanel(false);
       } catch (e) {
         console.error("Capture failed", e);
@@ -178,49 +243,57 @@ function bindRegister() {
       alert("Please select a category.");
       return;
     }
-    const photo = fileInput && fileInput.files[0];
-    // Validate unique item name per student
-    const existing = (ifoundDB.listItemsByStudent(studentId) || []).some(
-      (x) => (x.itemName || "").trim().toLowerCase() === itemName.toLowerCase()
-    );
-    if (existing) {
-      alert(
-        "You already registered an item with this name. Please use a different name."
-      );
+    const secretQuestions = secretQuestionValues();
+    if (secretQuestions.some((q) => !q.question.trim() !== !q.answer.trim())) {
+      alert("Each secret question needs both a question and an answer.");
+      return;
+    }
+    // The PIN unlocks My Items; it is only set (and confirmed) on a student's first registration
+    const pin = document.getElementById("ownerPin").value;
+    const pinConfirm = document.getElementById("ownerPinConfirm");
+    if (
+      !(await ifoundDB.hasOwnerAccount(studentId)) &&
+      pinConfirm &&
+      pinConfirm.value !== pin
+    ) {
+      alert("The PINs do not match.");
+      return;
+    }
+
+    // Photos were downscaled to data URLs as they were added
+    const photoDataUrls = picker.values();
+    if (!photoDataUrls.length) {
+      alert("Please add a photo via upload or camera.");
       return;
     }
 
     try {
-      // Read and downscale image to data URL for storage
-      let photoDataUrl = null;
-      if (regCapturedDataUrl) {
-        photoDataUrl = regCapturedDataUrl;
-      } else if (photo) {
-        photoDataUrl = await fileToDataUrl(photo, 800);
-      }
-      if (!photoDataUrl) {
-        alert("Please add a photo via upload or camera.");
-        return;
-      }
-      const item = ifoundDB.addItem({
+      const item = await ifoundDB.addItem({
         itemName,
         studentId,
         ownerName: fullName,
         strand,
         email,
         contact,
-        photoDataUrl,
+        photoDataUrls,
         category,
+        attributes: attributeValues(),
+        ...descriptorValues(),
+        secretQuestions,
+        pin,
       });
       const sidInput = document.getElementById("myStudentId");
       if (sidInput) sidInput.value = item.studentId;
       window.location.hash = "#myitems";
       const showBtn = document.getElementById("myItemsBtn");
       if (showBtn) showBtn.click();
+      picker.clear();
+      document.getElementById("ownerPin").value = "";
+      if (pinConfirm) pinConfirm.value = "";
       alert("Registered! Your QR is available under My Registered Items.");
     } catch (err) {
       console.error(err);
-      alert("Failed to register. Please try again.");
+      alert(err.message || "Failed to register. Please try again.");
     }
   });
 }
@@ -237,7 +310,8 @@ function bindScan() {
   const foundForm = document.getElementById("foundForm");
   const imgFile = document.getElementById("img-file");
   const foundPhotoInput = document.getElementById("foundPhoto");
-  const foundPreview = document.getElementById("foundPreview");
+  const foundPhotos = document.getElementById("foundPhotos");
+  const codeForm = document.getElementById("codeForm");
 
   if (resultCard)
     resultCard.innerHTML = "<div><em>Waiting for scan...</em></div>";
@@ -273,9 +347,9 @@ function bindScan() {
         try {
           const codes = await detector.detect(video);
           if (codes && codes.length) {
-            scannedItemId = (codes[0].rawValue || "").trim();
+            const raw = codes[0].rawValue || "";
             await stopCamera();
-            loadScannedItem(scannedItemId, resultCard);
+            handleScannedCode(raw, resultCard);
             return;
           }
         } catch (e) {}
@@ -304,20 +378,6 @@ function bindScan() {
 
   // Decode QR from an uploaded image (fallback)
   async function decodeFromImage(file) {
-    // Helper to dynamically load a script
-    function loadScript(src) {
-      return new Promise((resolve, reject) => {
-        if (document.querySelector('script[data-src="' + src + '"]')) return resolve();
-        const s = document.createElement('script');
-        s.async = true;
-        s.setAttribute('data-src', src);
-        s.onload = () => resolve();
-        s.onerror = () => reject(new Error('Failed to load ' + src));
-        s.src = src;
-        document.head.appendChild(s);
-      });
-    }
-
     const url = URL.createObjectURL(file);
     const img = new Image();
     img.crossOrigin = 'anonymous';
@@ -335,8 +395,7 @@ function bindScan() {
             const detector = new BarcodeDetector({ formats: ['qr_code'] });
             const codes = await detector.detect(canvas);
             if (codes && codes.length) {
-              scannedItemId = (codes[0].rawValue || '').trim();
-              loadScannedItem(scannedItemId, resultCard);
+              handleScannedCode(codes[0].rawValue || '', resultCard);
               return;
             }
             // fallthrough to jsQR if detector found nothing
@@ -346,23 +405,17 @@ function bindScan() {
           }
         }
 
-        // Fallback: use jsQR library loaded from CDN if not present
+        // Fallback: the bundled jsQR decoder (libs/jsQR.js, precached for offline use)
         if (typeof jsQR === 'undefined') {
-          try {
-            await loadScript('https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.min.js');
-          } catch (e) {
-            console.error('Failed to load jsQR fallback', e);
-            alert('QR decoding is not supported in this browser. Please use Chrome/Edge or an up-to-date browser.');
-            return;
-          }
+          alert('QR decoding is not supported in this browser. Please use Chrome/Edge or an up-to-date browser.');
+          return;
         }
 
         try {
           const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
           const code = jsQR(imageData.data, imageData.width, imageData.height);
           if (code && code.data) {
-            scannedItemId = (code.data || '').trim();
-            loadScannedItem(scannedItemId, resultCard);
+            handleScannedCode(code.data || '', resultCard);
           } else {
             alert('No QR found in the image.');
           }
@@ -390,23 +443,23 @@ function bindScan() {
       if (f) decodeFromImage(f);
     });
 
-  if (foundPhotoInput && foundPreview) {
+  if (codeForm)
+    codeForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      handleTypedCode(document.getElementById("tagCode").value, resultCard);
+    });
+
+  const foundPicker = foundPhotos ? photoPicker(foundPhotos) : null;
+  if (foundPhotoInput && foundPicker) {
     foundPhotoInput.addEventListener("change", async (e) => {
-      const f = e.target.files && e.target.files[0];
-      if (!f) {
-        foundPreview.style.display = "none";
-        foundPreview.removeAttribute("src");
-        return;
-      }
-      try {
-        const dataUrl = await fileToDataUrl(f, 800);
-        foundPreview.src = dataUrl;
-        foundPreview.style.display = "block";
-      } catch (err) {
-        console.error("Found preview failed", err);
-        foundPreview.style.display = "none";
-        foundPreview.removeAttribute("src");
+      for (const f of Array.from(e.target.files || [])) {
+        try {
+          if (!foundPicker.add(await fileToDataUrl(f, 800))) break;
+        } catch (err) {
+          console.error("Found preview failed", err);
+        }
       }
+      foundPhotoInput.value = "";
     });
   }
 
@@ -414,38 +467,29 @@ function bindScan() {
     foundForm.addEventListener("submit", async (e) => {
       e.preventDefault();
       if (!scannedItemId) {
-        alert("Scan an item QR first.");
+        alert("Scan an item QR or enter its tag code first.");
         return;
       }
       const finderName = document.getElementById("finderName").value.trim();
       const location = document.getElementById("foundLocation").value.trim();
-      const photo = document.getElementById("foundPhoto").files[0];
       try {
-        let photoDataUrl = null;
-        if (photo) photoDataUrl = await fileToDataUrl(photo, 800);
-        const r = ifoundDB.addFoundReport({
+        const r = await ifoundDB.addFoundReport({
           itemId: scannedItemId,
           finderName,
           location,
-          photoDataUrl,
+          photoDataUrls: foundPicker ? foundPicker.values() : [],
         });
         if (!r) throw new Error("Submit failed");
         alert("Report submitted. Thank you!");
         foundForm.reset();
-        // Clear found photo preview and input
-        const foundPreviewEl = document.getElementById("foundPreview");
-        const foundPhotoEl = document.getElementById("foundPhoto");
-        if (foundPreviewEl) {
-          foundPreviewEl.style.display = "none";
-          foundPreviewEl.removeAttribute("src");
-        }
-        if (foundPhotoEl) foundPhotoEl.value = "";
+        if (foundPicker) foundPicker.clear();
         // Reset scan state: clear result card and image QR file input
         const resultCard = document.getElementById("scan-result");
         if (resultCard)
           resultCard.innerHTML = "<div><em>Waiting for scan...</em></div>";
         const qrImgFile = document.getElementById("img-file");
         if (qrImgFile) qrImgFile.value = "";
+        if (codeForm) codeForm.reset();
         scannedItemId = null;
       } catch (err) {
         console.error(err);
@@ -455,23 +499,95 @@ function bindScan() {
   }
 }
 
-// Render scanned item card in Scan panel
-async function loadScannedItem(itemId, container) {
+// Verify decoded QR text, then show the item or a forged/unknown tag warning.
+// Only a recognised tag sets scannedItemId, so reports cannot target made-up ids.
+async function handleScannedCode(raw, container) {
+  scannedItemId = null;
+  let tag;
+  try {
+    tag = await parseQrPayload(raw);
+  } catch (e) {
+    console.error("QR verification failed", e);
+    tag = { status: "unknown", id: null };
+  }
+  if (!tag.id || !ifoundDB.getItem(tag.id)) {
+    showUnknownTag(container, tag.status === "forged");
+    return;
+  }
+  scannedItemId = tag.id;
+  loadScannedItem(tag.id, container, tag.status);
+}
+
+// Resolve a short code typed from the tag, for finders without a camera or with a damaged QR
+function handleTypedCode(input, container) {
+  scannedItemId = null;
+  const valid = ifoundDB.isValidShortCode(input);
+  const item = valid ? ifoundDB.findItemByShortCode(input) : null;
+  if (!item) {
+    container.innerHTML = "";
+    container.appendChild(
+      h("div", { class: "scan-warning" }, [
+        h("strong", {}, "Code not recognised"),
+        h(
+          "div",
+          {},
+          valid
+            ? "No registered item has this code."
+            : "Check the code for typos. It has 8 letters and digits, for example 7KQ2-M9XD."
+        ),
+      ])
+    );
+    return;
+  }
+  scannedItemId = item.id;
+  loadScannedItem(item.id, container, "code");
+}
+
+// Scan result state for tags that fail verification or match no registered item
+function showUnknownTag(container, forged) {
+  container.innerHTML = "";
+  container.appendChild(
+    h("div", { class: "scan-warning" }, [
+      h("strong", {}, "Forged or unknown tag"),
+      h(
+        "div",
+        {},
+        forged
+          ? "This QR code's signature does not match. It was not issued by ifound."
+          : "This QR code does not belong to any registered item."
+      ),
+      h(
+        "div",
+        { style: "margin-top:4px" },
+        "Please hand the item to the guidance office instead."
+      ),
+    ])
+  );
+}
+
+// Render scanned item card in Scan panel; `tagStatus` comes from parseQrPayload
+async function loadScannedItem(itemId, container, tagStatus) {
   try {
     const item = ifoundDB.getItem(itemId);
     if (!item) throw new Error("Item not found");
     const wrap = h("div", {}, [
+      tagStatus === "legacy" || tagStatus === "unverified"
+        ? h(
+            "div",
+            { style: "font-size:12px;color:#6b7280;margin-bottom:6px" },
+            tagStatus === "legacy"
+              ? "Unsigned tag. Ask the owner to print a new QR from My Items."
+              : "Tag not checked: this device has no key to verify tags."
+          )
+        : null,
       h("div", { style: "display:flex; gap:12px; align-items:flex-start" }, [
-        item.photoPath
-          ? h("img", {
-              src: assetUrl(item.photoPath),
-              style: "max-width:160px;border-radius:6px",
-            })
-          : null,
+        photoGallery(item.photos, {
+          style: "max-width:160px;border-radius:6px",
+        }),
         h("div", {}, [
-          h("div", { html: `<strong>${item.itemName}</strong>` }),
+          h("div", {}, h("strong", {}, item.itemName)),
           h("div", {}, `Owner: ${item.ownerName} (${item.contact || "n/a"})`),
-          h("div", {}, `Status: ${item.status}`),
+          h("div", {}, `Status: ${statusLabel(item.status)}`),
           item.lastClaimedAt
             ? h(
                 "div",
@@ -481,6 +597,7 @@ async function loadScannedItem(itemId, container) {
             : null,
         ]),
       ]),
+      statusTimeline(item.history),
     ]);
     container.innerHTML = "";
     container.appendChild(wrap);
@@ -489,188 +606,981 @@ async function loadScannedItem(itemId, container) {
   }
 }
 
+// Found item without a QR tag
+function bindUntaggedFound() {
+  const form = document.getElementById("untaggedForm");
+  if (!form) return;
+  fillCategorySelect(document.getElementById("ufCategory"), {
+    placeholder: "Select Category",
+  });
+  const photoInput = document.getElementById("ufPhoto");
+  const preview = document.getElementById("ufPreview");
+  const clearPreview = () => {
+    preview.style.display = "none";
+    preview.removeAttribute("src");
+  };
+
+  photoInput.addEventListener("change", async (e) => {
+    const f = e.target.files && e.target.files[0];
+    if (!f) return clearPreview();
+    try {
+      preview.src = await fileToDataUrl(f, 800);
+      preview.style.display = "block";
+    } catch (err) {
+      console.error("Found item preview failed", err);
+      clearPreview();
+    }
+  });
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const value = (id) => document.getElementById(id).value.trim();
+    try {
+      const photo = photoInput.files && photoInput.files[0];
+      const found = await ifoundDB.addFoundItem({
+        description: value("ufDescription"),
+        category: value("ufCategory"),
+        colour: value("ufColour"),
+        brand: value("ufBrand"),
+        location: value("ufLocation"),
+        dropOffPoint: value("ufDropOff"),
+        finderName: value("ufFinderName"),
+        finderContact: value("ufFinderContact"),
+        photoDataUrl: photo ? await fileToDataUrl(photo, 800) : null,
+      });
+      alert(
+        `Thank you! Please hand the item in at the ${
+          found.dropOffPoint
+        } and mention found item #${recordNumber(found.id)}.`
+      );
+      form.reset();
+      clearPreview();
+    } catch (err) {
+      console.error(err);
+      alert("Failed to submit found item.");
+    }
+  });
+}
+
 // My Registered Items
 function bindMyItems() {
   const btn = document.getElementById("myItemsBtn");
   const list = document.getElementById("myItemsList");
   if (!btn || !list) return;
 
+  const pinInput = document.getElementById("myPin");
+  const signedIn = document.getElementById("myOwnerActions");
   list.innerHTML = "";
   btn.addEventListener("click", async () => {
     const sid = document.getElementById("myStudentId").value.trim();
     if (!sid) return alert("Enter Student ID");
     try {
-      const items = ifoundDB.listItemsByStudent(sid);
+      if (!(await signInOwner(sid, pinInput ? pinInput.value : ""))) return;
+    } catch (err) {
+      console.error(err);
+      return alert(err.message || "Sign-in failed.");
+    }
+    if (pinInput) pinInput.value = "";
+    if (signedIn) signedIn.style.display = "flex";
+    renderMyItems(sid, list);
+  });
+  const signOutBtn = document.getElementById("mySignOut");
+  if (signOutBtn)
+    signOutBtn.addEventListener("click", () => {
+      ifoundDB.ownerSignOut();
       list.innerHTML = "";
-      if (!items.length) {
-        list.appendChild(h("div", {}, "No items found."));
-        return;
+      if (signedIn) signedIn.style.display = "none";
+    });
+  const changePinBtn = document.getElementById("myChangePin");
+  if (changePinBtn)
+    changePinBtn.addEventListener("click", async () => {
+      const current = prompt("Current PIN:");
+      if (current == null) return;
+      try {
+        const next = askNewPin();
+        if (!next) return;
+        if (!(await ifoundDB.changeOwnerPin(current, next))) {
+          alert("Current PIN is incorrect.");
+          return;
+        }
+        alert("PIN changed.");
+      } catch (err) {
+        console.error(err);
+        alert(err.message || "Failed to change PIN.");
       }
-      items.forEach((item) => {
-        // Create card and async-generate QR to keep UI responsive
-        const qrImg = h("img", {
-          alt: "QR",
-          style:
-            "width:120px;height:120px;background:#fff;padding:6px;border-radius:8px",
-        });
-        const card = h("div", { class: "card", style: "margin-bottom:8px" }, [
-          h("div", {
-            html: `<strong>${item.itemName}</strong> <span class=\"status-${item.status}\">${item.status}</span>`,
-          }),
-          item.photoPath
-            ? h("img", {
-                src: assetUrl(item.photoPath),
-                style: "max-width:200px;margin-top:8px",
-              })
-            : null,
-          h(
-            "div",
-            { style: "margin-top:6px;font-size:12px;color:#6b7280" },
-            `Category: ${categoryLabel(
-              item.category || inferCategoryFromName(item.itemName)
-            )}`
-          ),
-          h(
-            "div",
+    });
+}
+
+// New PIN typed twice; null when cancelled or the two do not match
+function askNewPin() {
+  const next = prompt(
+    `Choose a new PIN (at least ${ifoundDB.MIN_OWNER_PIN_LENGTH} characters):`
+  );
+  if (!next) return null;
+  if (prompt("Enter the new PIN again:") !== next) {
+    alert("The PINs do not match.");
+    return null;
+  }
+  return next;
+}
+
+// Sign the owner in, or keep their session. Covers a first PIN for an unused student ID and
+// staff reset codes (the owner must choose a new PIN straight away); students whose items
+// predate PINs get their first PIN as a reset code. Resolves to true once My Items may be shown.
+async function signInOwner(sid, pin) {
+  const current = ifoundDB.currentOwner();
+  if (current && current.studentId === sid && !current.mustChange) return true;
+  if (!(await ifoundDB.hasOwnerAccount(sid))) {
+    if (pin.length < ifoundDB.MIN_OWNER_PIN_LENGTH) {
+      alert(
+        `No PIN is set for this student ID yet. Type a new PIN of at least ${ifoundDB.MIN_OWNER_PIN_LENGTH} characters.`
+      );
+      return false;
+    }
+    if (
+      prompt(
+        "No PIN is set for this student ID yet. Enter the same PIN again to set it:"
+      ) !== pin
+    ) {
+      alert("The PINs do not match.");
+      return false;
+    }
+    await ifoundDB.setupOwnerAccount(sid, pin);
+    return true;
+  }
+  const owner = await ifoundDB.ownerSignIn(sid, pin);
+  if (!owner) {
+    alert("Wrong student ID or PIN.");
+    return false;
+  }
+  if (owner.mustChange) {
+    const next = askNewPin();
+    if (!next) return false;
+    await ifoundDB.changeOwnerPin(pin, next);
+  }
+  return true;
+}
+
+// A student's items and open lost reports; re-rendered after each owner action
+function renderMyItems(sid, list) {
+  try {
+    const { total } = ifoundDB.listItemsByStudent(sid, { limit: 0 });
+    const lostReports = ifoundDB.listLostReports({
+      studentId: sid,
+      status: "open",
+    });
+    const refresh = () => renderMyItems(sid, list);
+    list.innerHTML = "";
+    if (total) {
+      // Only cards rendered so far have a checkbox, so only those can be picked
+      list.appendChild(
+        tagSheetControls(() =>
+          pickedTagItems(list, ifoundDB.listItemsByStudent(sid).rows)
+        )
+      );
+    }
+    const cards = h("div");
+    list.appendChild(cards);
+    pagedList(cards, {
+      fetchPage: (page) => ifoundDB.listItemsByStudent(sid, page),
+      renderRow: (item) => myItemCard(item, lostReports, sid, refresh),
+      emptyText: "No items found.",
+    });
+    list.appendChild(
+      untaggedLostSection(
+        sid,
+        lostReports.filter((r) => !r.itemId),
+        refresh
+      )
+    );
+  } catch (err) {
+    console.error(err);
+    alert("Failed to fetch items");
+  }
+}
+
+// One My Items card: photo, QR and short code, tag pick, missing report and history
+function myItemCard(item, lostReports, sid, refresh) {
+  // Create card and generate the QR once it scrolls into view
+  const qrImg = h("img", {
+    alt: "QR",
+    style:
+      "width:120px;height:120px;background:#fff;padding:6px;border-radius:8px",
+  });
+  const statusText = statusLabel(item.status);
+  const card = h("div", { class: "card", style: "margin-bottom:8px" }, [
+    h("div", {}, [
+      h("strong", {}, item.itemName),
+      " ",
+      h("span", { class: `status-${item.status}` }, statusText),
+    ]),
+    photoGallery(item.photos, {
+      style: "max-width:200px;margin-top:8px",
+    }),
+    h(
+      "div",
+      { style: "margin-top:6px;font-size:12px;color:#6b7280" },
+      `Category: ${categoryLabel(
+        item.category || inferCategoryFromName(item.itemName)
+      )}`
+    ),
+    // The owner signed in with their PIN, so the private details are shown too
+    recordDetailsText(item, { sensitive: true })
+      ? h(
+          "div",
+          { style: "margin-top:4px;font-size:12px;color:#6b7280" },
+          recordDetailsText(item, { sensitive: true })
+        )
+      : null,
+    (item.secretQuestions || []).length
+      ? h(
+          "div",
+          { style: "margin-top:4px;font-size:12px;color:#6b7280" },
+          `Secret questions set: ${item.secretQuestions.length}`
+        )
+      : null,
+    h(
+      "div",
+      {
+        style: "margin-top:8px;display:flex;gap:8px;align-items:center",
+      },
+      [
+        qrImg,
+        h("div", {}, [
+          h("div", { style: "font-size:12px;color:#6b7280" }, "Code"),
+          h("div", { class: "short-code" }, formatShortCode(item.shortCode)),
+        ]),
+        h(
+          "a",
+          {
+            href: "#",
+            class: "btn",
+            onclick: (e) => {
+              e.preventDefault();
+              downloadQr(item);
+            },
+          },
+          "Download QR"
+        ),
+      ]
+    ),
+    item.qrSig
+      ? null
+      : h(
+          "div",
+          { class: "hint" },
+          "This QR is not signed yet. Staff sign new items; print the tag again after that."
+        ),
+    h("div", { style: "margin-top:8px" }, tagPick(item.id)),
+    ownerActions(item, refresh),
+    missingSection(
+      item,
+      lostReports.find((r) => r.itemId === item.id),
+      sid,
+      refresh
+    ),
+    h("details", { style: "margin-top:8px" }, [
+      h("summary", {}, "Status history"),
+      statusTimeline(item.history),
+    ]),
+  ]);
+  // Generate QR offline and set image src
+  whenVisible(qrImg, () =>
+    qrPayloadFor(item)
+      .then((payload) => generateQrDataUrl(payload, 200))
+      .then((url) => {
+        qrImg.setAttribute("src", url);
+      })
+      .catch(() => {
+        qrImg.setAttribute("alt", "QR generation failed");
+      })
+  );
+  return card;
+}
+
+// Edit, archive/restore and delete for the signed-in owner
+function ownerActions(item, refresh) {
+  const run = async (action, failText) => {
+    try {
+      await action();
+      refresh();
+    } catch (e) {
+      console.error(e);
+      alert(e.message || failText);
+    }
+  };
+  const archived = item.status === "archived";
+  const canArchive = ifoundDB
+    .allowedTransitions(item.status)
+    .includes("archived");
+  // Staff hold in-custody and claimed items; those go back to the owner through a claim
+  const canDelete = !["in-custody", "claimed"].includes(item.status);
+  const wrap = h("div", { style: "margin-top:8px" });
+  wrap.appendChild(
+    h("div", { class: "owner-actions" }, [
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn",
+          onclick: () => {
+            const open = wrap.querySelector("form");
+            if (open) open.remove();
+            else wrap.appendChild(buildItemEditForm(item, refresh));
+          },
+        },
+        "Edit"
+      ),
+      archived
+        ? h(
+            "button",
+            {
+              type: "button",
+              class: "btn",
+              onclick: () =>
+                run(
+                  () => ifoundDB.restoreItem(item.id),
+                  "Failed to restore the item."
+                ),
+            },
+            "Restore"
+          )
+        : null,
+      canArchive
+        ? h(
+            "button",
             {
-              style: "margin-top:8px;display:flex;gap:8px;align-items:center",
+              type: "button",
+              class: "btn",
+              onclick: () => {
+                if (
+                  !confirm(
+                    `Archive "${item.itemName}"? It stays in your list and can be restored later.`
+                  )
+                ) {
+                  return;
+                }
+                run(
+                  () => ifoundDB.archiveItem(item.id),
+                  "Failed to archive the item."
+                );
+              },
             },
-            [
-              qrImg,
-              h(
-                "a",
-                {
-                  href: "#",
-                  class: "btn",
-                  onclick: (e) => {
-                    e.preventDefault();
-                    downloadQr(item.id);
-                  },
-                },
-                "Download QR"
-              ),
-            ]
-          ),
-        ]);
-        list.appendChild(card);
-        // Generate QR offline and set image src
-        generateQrDataUrl(String(item.id), 200)
-          .then((url) => {
-            qrImg.setAttribute("src", url);
-          })
-          .catch(() => {
-            qrImg.setAttribute("alt", "QR generation failed");
-          });
+            "Archive"
+          )
+        : null,
+      canDelete
+        ? h(
+            "button",
+            {
+              type: "button",
+              class: "btn secondary",
+              onclick: () => {
+                if (
+                  !confirm(
+                    `Delete "${item.itemName}" for good? Its QR tag stops working and any found reports, claims and lost reports for it are removed too.`
+                  )
+                ) {
+                  return;
+                }
+                run(
+                  () => ifoundDB.deleteItem(item.id),
+                  "Failed to delete the item."
+                );
+              },
+            },
+            "Delete"
+          )
+        : null,
+    ])
+  );
+  return wrap;
+}
+
+// Owner edit form, filled from the item; the QR tag and short code are unaffected
+function buildItemEditForm(item, onDone) {
+  const field = (key, placeholder, attrs = {}) =>
+    h("input", { placeholder, value: item[key] || "", ...attrs });
+  const nameInput = field("itemName", "Item name", { required: "" });
+  const ownerInput = field("ownerName", "Full name", { required: "" });
+  const strandInput = field("strand", "Strand");
+  const emailInput = field("email", "Email", { type: "email" });
+  const contactInput = field("contact", "Contact number");
+  const catSelect = h("select", { required: "" });
+  fillCategorySelect(catSelect);
+  catSelect.value = item.category;
+  const attrWrap = h("div", { class: "two-col" });
+  function renderAttributeFields() {
+    attrWrap.innerHTML = "";
+    ifoundDB.categoryAttributes(catSelect.value).forEach((f) => {
+      attrWrap.appendChild(
+        h("input", {
+          "data-key": f.key,
+          placeholder: f.label,
+          value: (item.attributes || {})[f.key] || "",
+        })
+      );
+    });
+  }
+  catSelect.addEventListener("change", renderAttributeFields);
+  renderAttributeFields();
+  const descriptorInputs = ifoundDB.ITEM_DESCRIPTORS.map(({ key, label }) =>
+    field(key, label)
+  );
+  const photoWrap = h("div", { class: "photo-picker" });
+  const picker = photoPicker(photoWrap, { photos: item.photos });
+  const fileInput = h("input", {
+    type: "file",
+    accept: "image/*",
+    multiple: "",
+  });
+  fileInput.addEventListener("change", async () => {
+    for (const f of Array.from(fileInput.files || [])) {
+      try {
+        if (!picker.add(await fileToDataUrl(f, 800))) break;
+      } catch (err) {
+        console.error("Preview failed", err);
+      }
+    }
+    fileInput.value = "";
+  });
+  const questionRows = Array.from(
+    { length: ifoundDB.MAX_SECRET_QUESTIONS },
+    (_, i) =>
+      h("div", { class: "two-col" }, [
+        h("input", { class: "secret-q", placeholder: `Question ${i + 1}` }),
+        h("input", {
+          class: "secret-a",
+          placeholder: "Answer",
+          autocomplete: "off",
+        }),
+      ])
+  );
+  const form = h("form", { class: "claim-form" }, [
+    h("div", { class: "two-col" }, [nameInput, ownerInput]),
+    h("div", { class: "two-col" }, [strandInput, catSelect]),
+    h("div", { class: "two-col" }, [emailInput, contactInput]),
+    attrWrap,
+    h("div", { class: "two-col" }, descriptorInputs),
+    h("label", {}, "Photos (the first is the main one)"),
+    photoWrap,
+    fileInput,
+    h("details", { class: "secret-questions" }, [
+      h("summary", {}, "Replace secret questions"),
+      h(
+        "div",
+        { class: "hint" },
+        (item.secretQuestions || []).length
+          ? `Current: ${item.secretQuestions
+              .map((q) => q.question)
+              .join(" · ")}. Leave blank to keep them.`
+          : "Leave blank to keep the item without secret questions."
+      ),
+      ...questionRows,
+    ]),
+    h("button", { class: "btn primary", type: "submit" }, "Save Changes"),
+  ]);
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const questions = questionRows
+      .map((row) => ({
+        question: row.querySelector(".secret-q").value,
+        answer: row.querySelector(".secret-a").value,
+      }))
+      .filter((q) => q.question.trim() || q.answer.trim());
+    try {
+      await ifoundDB.updateItem(item.id, {
+        itemName: nameInput.value,
+        ownerName: ownerInput.value,
+        strand: strandInput.value,
+        email: emailInput.value,
+        contact: contactInput.value,
+        category: catSelect.value,
+        attributes: Object.fromEntries(
+          Array.from(attrWrap.querySelectorAll("input[data-key]")).map((el) => [
+            el.dataset.key,
+            el.value.trim(),
+          ])
+        ),
+        ...Object.fromEntries(
+          ifoundDB.ITEM_DESCRIPTORS.map(({ key }, i) => [
+            key,
+            descriptorInputs[i].value,
+          ])
+        ),
+        photos: picker.values(),
+        secretQuestions: questions.length ? questions : undefined,
+      });
+      onDone();
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Failed to save changes.");
+    }
+  });
+  return form;
+}
+
+// "Report Missing" for an item the owner should have, or the open report with its matches
+function missingSection(item, report, sid, refresh) {
+  if (report) return lostReportBox(report, sid, refresh);
+  if (!["registered", "returned-to-owner"].includes(item.status)) return null;
+  return h("div", { style: "margin-top:8px" }, [
+    h(
+      "button",
+      {
+        type: "button",
+        class: "btn",
+        onclick: (e) => {
+          const host = e.currentTarget.parentNode;
+          const open = host.querySelector("form");
+          if (open) open.remove();
+          else {
+            host.appendChild(
+              buildLostReportForm({ itemId: item.id, studentId: sid }, refresh)
+            );
+          }
+        },
+      },
+      "Report Missing"
+    ),
+  ]);
+}
+
+// Free-text lost reports for items without a QR tag
+function untaggedLostSection(sid, reports, refresh) {
+  return h("div", { class: "card", style: "margin-top:12px" }, [
+    h("h3", {}, "Lost something without a QR tag?"),
+    ...reports.map((report) => lostReportBox(report, sid, refresh)),
+    h("div", { style: "margin-top:8px" }, [
+      h(
+        "button",
+        {
+          type: "button",
+          class: "btn",
+          onclick: (e) => {
+            const host = e.currentTarget.parentNode;
+            const open = host.querySelector("form");
+            if (open) open.remove();
+            else {
+              host.appendChild(
+                buildLostReportForm({ studentId: sid }, refresh)
+              );
+            }
+          },
+        },
+        "File a Lost Report"
+      ),
+    ]),
+  ]);
+}
+
+// Lost report form; untagged reports (no base.itemId) also ask for a description
+function buildLostReportForm(base, onDone) {
+  const untagged = !base.itemId;
+  const nameInput = h("input", { placeholder: "Your full name", required: "" });
+  const contactInput = h("input", { placeholder: "Contact number" });
+  const descInput = h("textarea", {
+    placeholder:
+      "Describe the item (e.g., grey Casio calculator, name on back)",
+    required: "",
+    rows: "2",
+  });
+  const catSelect = h("select", { required: "" });
+  fillCategorySelect(catSelect);
+  const locationInput = h("input", {
+    placeholder: "Where you last saw it (e.g., Library 2F)",
+    required: "",
+  });
+  const whenInput = h("input", { type: "datetime-local" });
+  const form = h("form", { class: "claim-form" }, [
+    untagged ? nameInput : null,
+    untagged ? contactInput : null,
+    untagged ? descInput : null,
+    untagged ? catSelect : null,
+    locationInput,
+    h("label", {}, "Last seen (date and time)"),
+    whenInput,
+    h("button", { class: "btn primary", type: "submit" }, "Submit"),
+  ]);
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    try {
+      const report = ifoundDB.addLostReport({
+        ...base,
+        ownerName: untagged ? nameInput.value.trim() : undefined,
+        contact: untagged ? contactInput.value.trim() : undefined,
+        description: untagged ? descInput.value.trim() : undefined,
+        category: untagged ? catSelect.value : undefined,
+        lastSeenLocation: locationInput.value.trim(),
+        lastSeenAt: whenInput.value
+          ? new Date(whenInput.value).toISOString()
+          : null,
       });
+      if (!report) {
+        alert("This item already has an open missing report.");
+        return;
+      }
+      onDone();
     } catch (err) {
       console.error(err);
-      alert("Failed to fetch items");
+      alert("Failed to submit lost report.");
     }
   });
+  return form;
+}
+
+// An open lost report with its ranked candidate matches and a withdraw button
+function lostReportBox(report, sid, refresh) {
+  const lastSeen = report.lastSeenAt
+    ? ` on ${new Date(report.lastSeenAt).toLocaleString()}`
+    : "";
+  return h("div", { class: "missing-box" }, [
+    h("strong", {}, report.itemId ? "Reported missing" : report.description),
+    h(
+      "div",
+      { style: "font-size:12px;color:#6b7280" },
+      `Lost report #${recordNumber(report.id)} · last seen at ${
+        report.lastSeenLocation
+      }${lastSeen}`
+    ),
+    ownerMatchList(ifoundDB.listOwnerLostReportMatches(report.id, sid)),
+    h(
+      "button",
+      {
+        type: "button",
+        class: "btn",
+        style: "margin-top:6px",
+        onclick: () => {
+          if (
+            !confirm(
+              "Withdraw this lost report? Do this once you have the item back."
+            )
+          ) {
+            return;
+          }
+          ifoundDB.withdrawLostReport(report.id, sid);
+          refresh();
+        },
+      },
+      "Withdraw"
+    ),
+  ]);
+}
+
+function ownerMatchList(matches) {
+  if (!matches.length) {
+    return h(
+      "div",
+      { style: "margin-top:6px" },
+      "No likely matches yet. Check back later."
+    );
+  }
+  return h(
+    "ol",
+    { class: "match-list" },
+    matches.map(({ candidate, score, reasons }) => {
+      const hint =
+        candidate.kind === "found_report"
+          ? `A finder reported your item (report #${recordNumber(
+              candidate.id
+            )}). Staff will take it into custody.`
+          : candidate.status === "in-custody"
+          ? `Untagged found item #${recordNumber(
+              candidate.id
+            )}. Claim it from Lost Items.`
+          : `Untagged found item #${recordNumber(
+              candidate.id
+            )}. Staff have not received it yet.`;
+      return h("li", {}, [
+        h("strong", {}, `${Math.round(score * 100)}% · ${candidate.title}`),
+        h(
+          "div",
+          {},
+          `Found at ${candidate.location} on ${new Date(
+            candidate.at
+          ).toLocaleString()}`
+        ),
+        h("div", { class: "match-reasons" }, reasons.join(" · ")),
+        h("div", {}, hint),
+      ]);
+    })
+  );
+}
+
+// Lost Items gallery. Filter state lives in the URL hash ("#lost?q=umbrella&cat=other")
+// so a search can be shared; GALLERY_FILTERS maps hash keys to filter inputs.
+const GALLERY_FILTERS = {
+  q: "searchBar",
+  cat: "categoryFilter",
+  status: "statusFilter",
+  loc: "locationFilter",
+  from: "fromDate",
+  to: "toDate",
+  sort: "sortOrder",
+};
+const GALLERY_DEFAULTS = {
+  cat: "all",
+  status: "in-custody",
+  sort: "relevance",
+};
+
+// Fill the filter inputs from the hash (called when the panel opens or the link changes)
+function readGalleryHash() {
+  const params = new URLSearchParams(window.location.hash.split("?")[1] || "");
+  Object.entries(GALLERY_FILTERS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = params.get(key) || GALLERY_DEFAULTS[key] || "";
+  });
+}
+
+// Mirror the filter inputs into the hash without triggering the router
+function writeGalleryHash() {
+  const params = new URLSearchParams();
+  Object.entries(GALLERY_FILTERS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    const value = el ? el.value.trim() : "";
+    if (value && value !== GALLERY_DEFAULTS[key]) params.set(key, value);
+  });
+  const qs = params.toString();
+  history.replaceState(null, "", qs ? `#lost?${qs}` : "#lost");
+}
+
+function galleryFilters() {
+  const value = (key) => {
+    const el = document.getElementById(GALLERY_FILTERS[key]);
+    return (el ? el.value.trim() : "") || GALLERY_DEFAULTS[key] || "";
+  };
+  return {
+    query: value("q"),
+    category: value("cat"),
+    status: value("status"),
+    location: value("loc"),
+    from: value("from"),
+    to: value("to"),
+    sort: value("sort"),
+  };
 }
 
-// Lost Items list and Claim
 async function loadLostItems() {
+  const categoryFilter = document.getElementById("categoryFilter");
+  // Refilled on every visit so taxonomy edits show up without a reload
+  if (categoryFilter) {
+    fillCategorySelect(categoryFilter, { allLabel: "All Categories" });
+  }
+  readGalleryHash();
+  renderLostItems();
+}
+
+// Ranked search results from ifoundDB.searchLostItems, a page at a time, matched words highlighted
+function renderLostItems() {
   const list = document.getElementById("itemsList");
   if (!list) return;
   try {
-    const items = ifoundDB.listLostItems();
-    list.innerHTML = "";
-    const search = document
-      .getElementById("searchBar")
-      .value.trim()
-      .toLowerCase();
-    const cat = (
-      document.getElementById("categoryFilter").value || "all"
-    ).toLowerCase();
-    items
-      .filter((item) => {
-        const hit = `${item.itemName} ${item.ownerName}`
-          .toLowerCase()
-          .includes(search);
-        const itemCat = item.category || inferCategoryFromName(item.itemName);
-        const inCat = cat === "all" || itemCat === cat;
-        return hit && inCat;
-      })
-      .forEach((item) => {
-        const primaryPhoto = item.foundPhotoPath || item.photoPath;
-        const secondaryPhoto =
-          item.foundPhotoPath && item.photoPath ? item.photoPath : null;
-        const card = h("div", { class: "item card" }, [
-          primaryPhoto
-            ? h("img", { src: assetUrl(primaryPhoto), alt: item.itemName })
-            : null,
-          h("div", { class: "meta" }, [
-            h("strong", {}, item.itemName),
-            h("div", {}, `Owner: ${item.ownerName}`),
-            h(
-              "div",
-              { style: "margin-top:4px;color:#6b7280;font-size:12px" },
-              `Category: ${categoryLabel(
-                item.category || inferCategoryFromName(item.itemName)
-              )}`
-            ),
-            item.lastClaimedAt
-              ? h(
-                  "div",
-                  { style: "margin-top:4px;color:#6b7280;font-size:12px" },
-                  `Last claimed: ${new Date(
-                    item.lastClaimedAt
-                  ).toLocaleString()}`
-                )
-              : null,
-            secondaryPhoto
-              ? h("div", { style: "margin-top:8px" }, [
-                  h("img", {
-                    src: assetUrl(secondaryPhoto),
-                    alt: "Owner Photo",
-                    style: "max-width:140px;border-radius:6px;opacity:0.9",
-                  }),
-                ])
-              : null,
-            h("div", { style: "margin-top:8px" }, [
-              h(
-                "button",
-                {
-                  class: "btn",
-                  onclick: async () => {
-                    const sid = prompt("Enter owner's Student ID to claim:");
-                    if (!sid) return;
-                    const sameId =
-                      (sid || "").trim() === (item.studentId || "").trim();
-                    if (!sameId) {
-                      alert(
-                        "Student ID does not match the registered owner. Cannot claim."
-                      );
-                      return;
-                    }
-                    const r = ifoundDB.addClaim({
-                      itemId: item.id,
-                      claimantName: item.ownerName || "Owner",
-                    });
-                    if (r) {
-                      alert("Claim submitted.");
-                      loadLostItems();
-                    } else alert("Failed to claim");
-                  },
-                },
-                "Claim"
-              ),
-            ]),
-          ]),
-        ]);
-        list.appendChild(card);
-      });
+    const filters = galleryFilters();
+    pagedList(list, {
+      fetchPage: (page) => ifoundDB.searchLostItems({ ...filters, ...page }),
+      renderRow: (result) =>
+        result.kind === "item" ? lostItemCard(result) : foundItemCard(result),
+      emptyText: "No items match your search.",
+    });
   } catch (err) {
     console.error(err);
     list.innerHTML = '<div class="card">Failed to load lost items.</div>';
   }
 }
 
-// Filters reload
+// All tokens a search result matched, for highlighting
+function matchedTerms(result) {
+  return Object.values(result.matched || {}).flat();
+}
+
+// "Found at <location> on <date>" line for a gallery card, or null when unknown
+function foundWhereWhen(result, terms) {
+  if (!result.location && !result.date) return null;
+  return h("div", { style: "margin-top:4px;color:#6b7280;font-size:12px" }, [
+    "Found",
+    result.location ? " at " : "",
+    result.location ? highlightText(result.location, terms) : null,
+    result.date ? ` on ${new Date(result.date).toLocaleDateString()}` : "",
+  ]);
+}
+
+// Claim toggle; only items still in custody can be claimed
+function claimButton(record, target) {
+  if (record.status !== "in-custody") {
+    return h("div", { style: "margin-top:8px" }, [
+      h(
+        "span",
+        { class: `status-${record.status}` },
+        statusLabel(record.status)
+      ),
+    ]);
+  }
+  return h("div", { style: "margin-top:8px" }, [
+    h(
+      "button",
+      {
+        class: "btn",
+        onclick: (e) => {
+          const host = e.currentTarget.parentNode;
+          const open = host.querySelector("form");
+          if (open) open.remove();
+          else host.appendChild(buildClaimForm(target));
+        },
+      },
+      "Claim"
+    ),
+  ]);
+}
+
+// Gallery card for a registered item
+function lostItemCard(result) {
+  const item = result.record;
+  const terms = matchedTerms(result);
+  // Finder photos first: they show the item as it was handed in
+  return h("div", { class: "item card" }, [
+    photoGallery(item.foundPhotos.concat(item.photos), { alt: item.itemName }),
+    h("div", { class: "meta" }, [
+      h("strong", {}, highlightText(item.itemName, terms)),
+      h("div", {}, ["Owner: ", highlightText(item.ownerName, terms)]),
+      recordDetailsText(item)
+        ? h("div", {}, highlightText(recordDetailsText(item), terms))
+        : null,
+      h(
+        "div",
+        { style: "margin-top:4px;color:#6b7280;font-size:12px" },
+        `Category: ${categoryLabel(
+          item.category || inferCategoryFromName(item.itemName)
+        )}`
+      ),
+      foundWhereWhen(result, terms),
+      item.lastClaimedAt
+        ? h(
+            "div",
+            { style: "margin-top:4px;color:#6b7280;font-size:12px" },
+            `Last claimed: ${new Date(item.lastClaimedAt).toLocaleString()}`
+          )
+        : null,
+      claimButton(item, { itemId: item.id }),
+    ]),
+  ]);
+}
+
+// Gallery card for an untagged found item; details such as contents are left for the claimant to describe
+function foundItemCard(result) {
+  const found = result.record;
+  const terms = matchedTerms(result);
+  const details = [found.colour, found.brand].filter(Boolean).join(" · ");
+  return h("div", { class: "item card" }, [
+    photoGallery([found.photoPath].filter(Boolean), {
+      alt: found.description,
+    }),
+    h("div", { class: "meta" }, [
+      h("strong", {}, highlightText(found.description, terms)),
+      h("div", {}, "No QR tag · owner unknown"),
+      details ? h("div", {}, highlightText(details, terms)) : null,
+      h(
+        "div",
+        { style: "margin-top:4px;color:#6b7280;font-size:12px" },
+        `Category: ${categoryLabel(
+          found.category
+        )} · Found item #${recordNumber(found.id)}`
+      ),
+      foundWhereWhen(result, terms),
+      claimButton(found, { foundItemId: found.id }),
+    ]),
+  ]);
+}
+
+// Inline claim form: claims are reviewed by staff before the item is released.
+// `target` is { itemId } for a registered item or { foundItemId } for an untagged one.
+function buildClaimForm(target) {
+  const nameInput = h("input", { placeholder: "Your full name", required: "" });
+  const sidInput = h("input", { placeholder: "Your Student ID", required: "" });
+  const contactInput = h("input", { placeholder: "Contact number" });
+  const proofInput = h("textarea", {
+    placeholder:
+      target.foundItemId != null
+        ? "Describe the item in detail: contents, marks, damage, and when and where you lost it. Staff compare this with the item."
+        : "Proof of ownership (e.g., lock screen, contents, marks only the owner would know)",
+    required: "",
+    rows: "3",
+  });
+  const photoInput = h("input", { type: "file", accept: "image/*" });
+  // The owner's secret questions, if they set any; answers are checked, never shown
+  const questions =
+    target.itemId != null ? ifoundDB.secretQuestions(target.itemId) : [];
+  const answerInputs = questions.map((question) =>
+    h("input", { placeholder: question, autocomplete: "off" })
+  );
+  const form = h("form", { class: "claim-form" }, [
+    nameInput,
+    sidInput,
+    contactInput,
+    proofInput,
+    answerInputs.length
+      ? h("label", {}, "The owner set these questions. Answer what you can:")
+      : null,
+    ...answerInputs,
+    h("label", {}, "Proof photo (optional)"),
+    photoInput,
+    h("button", { class: "btn primary", type: "submit" }, "Submit Claim"),
+  ]);
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const submitBtn = form.querySelector("button[type=submit]");
+    submitBtn.disabled = true;
+    try {
+      const photo = photoInput.files && photoInput.files[0];
+      const proofPhotoDataUrl = photo ? await fileToDataUrl(photo, 800) : null;
+      const r = await ifoundDB.addClaim({
+        ...target,
+        claimantName: nameInput.value.trim(),
+        claimantStudentId: sidInput.value.trim(),
+        claimantContact: contactInput.value.trim(),
+        proofDescription: proofInput.value.trim(),
+        proofPhotoDataUrl,
+        secretAnswers: answerInputs.map((input) => input.value),
+      });
+      if (r) {
+        alert(
+          "Claim submitted. Staff will review your proof and contact you before releasing the item."
+        );
+        form.remove();
+      } else {
+        alert("Failed to claim. The item may no longer be available.");
+        submitBtn.disabled = false;
+      }
+    } catch (err) {
+      console.error(err);
+      alert("Failed to submit claim.");
+      submitBtn.disabled = false;
+    }
+  });
+  return form;
+}
+
+// Filters re-run the search (debounced while typing) and update the shareable hash
 document.addEventListener("DOMContentLoaded", () => {
-  const search = document.getElementById("searchBar");
-  const cat = document.getElementById("categoryFilter");
-  if (search) search.addEventListener("input", loadLostItems);
-  if (cat) cat.addEventListener("change", loadLostItems);
+  let timer = null;
+  const update = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      writeGalleryHash();
+      renderLostItems();
+    }, 150);
+  };
+  Object.values(GALLERY_FILTERS).forEach((id) => {
+    const el = document.getElementById(id);
+    if (!el) return;
+    el.addEventListener("input", update);
+    el.addEventListener("change", update);
+  });
+  const clear = document.getElementById("clearFilters");
+  if (clear) {
+    clear.addEventListener("click", () => {
+      history.replaceState(null, "", "#lost");
+      loadLostItems();
+    });
+  }
 });
@@ -0,0 +1,273 @@
+/*
+  auth.js
+  Local admin accounts for admin.html, backed by localStorage.
+
+  - Passphrases are never stored: each account keeps a random salt and a PBKDF2-SHA-256 hash (Web Crypto).
+  - Sessions live in sessionStorage and expire after SESSION_IDLE_MS without activity
+    or SESSION_MAX_MS after sign-in, whichever comes first.
+  - Roles: "staff" (verify reports, review and release claims) and "super-admin"
+    (everything staff can do, plus import/export and managing accounts).
+
+  Accounts: { username, role, salt, hash, iterations, createdAt }
+
+  Public API (window.ifoundAuth): hasAccounts, setupSuperAdmin, login, logout,
+  currentUser, hasRole, requireRole, touch, listAccounts, addAccount, removeAccount,
+  changePassphrase, ROLES
+*/
+
+(function () {
+  const ACCOUNTS_KEY = "ifound_admins_v1";
+  const SESSION_KEY = "ifound_admin_session";
+  const SESSION_IDLE_MS = 15 * 60 * 1000;
+  const SESSION_MAX_MS = 8 * 60 * 60 * 1000;
+  const PBKDF2_ITERATIONS = 210000;
+  const MIN_PASSPHRASE_LENGTH = 10;
+  // Higher rank includes every permission of the lower ranks
+  const ROLE_RANK = { staff: 1, "super-admin": 2 };
+  const ROLES = Object.keys(ROLE_RANK);
+
+  function loadAccounts() {
+    try {
+      const txt = localStorage.getItem(ACCOUNTS_KEY);
+      const data = txt ? JSON.parse(txt) : null;
+      return Array.isArray(data?.accounts) ? data.accounts : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveAccounts(accounts) {
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify({ accounts }));
+  }
+
+  function findAccount(accounts, username) {
+    const key = normalizeUsername(username);
+    return accounts.find((a) => a.username === key) || null;
+  }
+
+  function normalizeUsername(username) {
+    return String(username || "")
+      .trim()
+      .toLowerCase();
+  }
+
+  function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  function fromBase64(txt) {
+    return Uint8Array.from(atob(txt), (c) => c.charCodeAt(0));
+  }
+
+  async function hashPassphrase(passphrase, saltBytes, iterations) {
+    const key = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: saltBytes, iterations },
+      key,
+      256
+    );
+    return toBase64(bits);
+  }
+
+  // Compare without bailing out on the first differing character
+  function sameHash(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  async function createAccount({ username, passphrase, role }) {
+    const name = normalizeUsername(username);
+    if (!name) throw new Error("Username is required");
+    if (!ROLE_RANK[role]) throw new Error(`Unknown role "${role}"`);
+    if (String(passphrase || "").length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+      );
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+      username: name,
+      role,
+      salt: toBase64(salt),
+      hash: await hashPassphrase(passphrase, salt, PBKDF2_ITERATIONS),
+      iterations: PBKDF2_ITERATIONS,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  function hasAccounts() {
+    return loadAccounts().length > 0;
+  }
+
+  // First-run only: create the initial super-admin and sign them in
+  async function setupSuperAdmin(username, passphrase) {
+    if (hasAccounts()) throw new Error("Admin accounts already exist");
+    const account = await createAccount({
+      username,
+      passphrase,
+      role: "super-admin",
+    });
+    saveAccounts([account]);
+    startSession(account);
+    return currentUser();
+  }
+
+  async function login(username, passphrase) {
+    const account = findAccount(loadAccounts(), username);
+    // Hash even for unknown users so timing does not reveal which usernames exist
+    const salt = account ? fromBase64(account.salt) : new Uint8Array(16);
+    const hash = await hashPassphrase(
+      String(passphrase || ""),
+      salt,
+      account?.iterations || PBKDF2_ITERATIONS
+    );
+    if (!account || !sameHash(hash, account.hash)) return null;
+    startSession(account);
+    return currentUser();
+  }
+
+  function startSession(account) {
+    const now = Date.now();
+    sessionStorage.setItem(
+      SESSION_KEY,
+      JSON.stringify({
+        username: account.username,
+        startedAt: now,
+        lastActiveAt: now,
+      })
+    );
+  }
+
+  function logout() {
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+
+  function readSession() {
+    try {
+      const txt = sessionStorage.getItem(SESSION_KEY);
+      return txt ? JSON.parse(txt) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Signed-in admin { username, role, expiresAt } or null once the session has timed out.
+  // The role is read from the account so demotions and removals apply immediately.
+  function currentUser() {
+    const session = readSession();
+    if (!session) return null;
+    const now = Date.now();
+    const expiresAt = Math.min(
+      session.lastActiveAt + SESSION_IDLE_MS,
+      session.startedAt + SESSION_MAX_MS
+    );
+    const account = findAccount(loadAccounts(), session.username);
+    if (now >= expiresAt || !account) {
+      logout();
+      return null;
+    }
+    return { username: account.username, role: account.role, expiresAt };
+  }
+
+  // Extend the idle timeout; call on user activity
+  function touch() {
+    const session = readSession();
+    if (!session || !currentUser()) return;
+    session.lastActiveAt = Date.now();
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  }
+
+  function hasRole(role) {
+    const user = currentUser();
+    return !!user && ROLE_RANK[user.role] >= (ROLE_RANK[role] || Infinity);
+  }
+
+  // Return the signed-in admin, or throw if there is none or their role is too low
+  function requireRole(role) {
+    const user = currentUser();
+    if (!user) throw new Error("Admin sign-in required");
+    if (!hasRole(role)) {
+      throw new Error(`This action requires the ${role} role`);
+    }
+    return user;
+  }
+
+  function listAccounts() {
+    requireRole("super-admin");
+    return loadAccounts().map(({ username, role, createdAt }) => ({
+      username,
+      role,
+      createdAt,
+    }));
+  }
+
+  async function addAccount({ username, passphrase, role }) {
+    requireRole("super-admin");
+    const account = await createAccount({ username, passphrase, role });
+    const accounts = loadAccounts();
+    if (findAccount(accounts, account.username)) {
+      throw new Error("An account with that username already exists");
+    }
+    accounts.push(account);
+    saveAccounts(accounts);
+    return { username: account.username, role: account.role };
+  }
+
+  function removeAccount(username) {
+    const user = requireRole("super-admin");
+    const name = normalizeUsername(username);
+    if (name === user.username) throw new Error("You cannot remove yourself");
+    const accounts = loadAccounts();
+    const next = accounts.filter((a) => a.username !== name);
+    if (next.length === accounts.length) return false;
+    saveAccounts(next);
+    return true;
+  }
+
+  // Change the signed-in admin's own passphrase after re-checking the current one
+  async function changePassphrase(currentPassphrase, nextPassphrase) {
+    const user = requireRole("staff");
+    const accounts = loadAccounts();
+    const account = findAccount(accounts, user.username);
+    const hash = await hashPassphrase(
+      String(currentPassphrase || ""),
+      fromBase64(account.salt),
+      account.iterations
+    );
+    if (!sameHash(hash, account.hash)) return false;
+    const fresh = await createAccount({
+      username: account.username,
+      passphrase: nextPassphrase,
+      role: account.role,
+    });
+    Object.assign(account, fresh, { createdAt: account.createdAt });
+    saveAccounts(accounts);
+    return true;
+  }
+
+  window.ifoundAuth = {
+    hasAccounts,
+    setupSuperAdmin,
+    login,
+    logout,
+    currentUser,
+    hasRole,
+    requireRole,
+    touch,
+    listAccounts,
+    addAccount,
+    removeAccount,
+    changePassphrase,
+    ROLES,
+  };
+})();
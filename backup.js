@@ -0,0 +1,409 @@
+/*
+  backup.js
+  Encrypted backup files and automatic local snapshots of the store.
+
+  Backup files: encryptBackup() seals an export (ifoundDB.exportAll, owner accounts included) with
+  a passphrase. The key is derived with PBKDF2-SHA-256 from the passphrase and a random salt, and
+  the JSON is encrypted with AES-GCM (Web Crypto), so a wrong passphrase or an edited file fails
+  to open rather than giving back damaged data. The file is a JSON envelope:
+  { format: BACKUP_FORMAT, version, createdAt, kdf: { name, hash, iterations, salt },
+    cipher: { name, iv }, data } with salt, iv and data in base64.
+
+  Snapshots: this device keeps rolling copies of the store in IndexedDB (SNAPSHOT_DB), so a
+  cleared localStorage, a mistake or a bad import can be rolled back. Only admin.html loads this
+  file: the public page runs on kiosks, which should not hold unencrypted copies. Once localdb.js
+  connects, a snapshot is taken whenever the newest one is older than the configured interval
+  (checked every CHECK_MS) and the store has changed since. Only the newest `count` snapshots are kept. Each
+  snapshot holds the raw store text; the photos it references are copied into the snapshot
+  database once and shared by every snapshot that uses them. Settings (count, intervalHours) are
+  per device, under SETTINGS_KEY.
+  Snapshot: { id, takenAt, reason, schemaVersion, counts: { <collection>: n }, photoRefs, hash }
+  reason: "scheduled" | "manual" | "before restore"
+  Taking, reading and deleting snapshots by hand and changing the settings need a signed-in
+  super-admin (auth.js, ifoundAuth); scheduled snapshots do not.
+
+  Hooks given to connect() by localdb.js: readStore() (the store text),
+  photoRefs(text) (photo references the store uses), getPhoto(ref) (Promise of a Blob or null)
+
+  Public API (window.ifoundBackup): encryptBackup, decryptBackup, isEncryptedBackup,
+  MIN_BACKUP_PASSPHRASE_LENGTH, connect, takeSnapshot, listSnapshots, getSnapshot,
+  deleteSnapshot, snapshotSettings, saveSnapshotSettings
+*/
+
+(function () {
+  const BACKUP_FORMAT = "ifound-backup";
+  const BACKUP_VERSION = 1;
+  const PBKDF2_ITERATIONS = 600000;
+  const MIN_BACKUP_PASSPHRASE_LENGTH = 10;
+  const SNAPSHOT_DB = "ifound_snapshots";
+  const SNAPSHOTS = "snapshots";
+  // Store text by snapshot id, kept apart so listing snapshots does not read every copy
+  const SNAPSHOT_DATA = "snapshot_data";
+  const SNAPSHOT_PHOTOS = "photos";
+  const SETTINGS_KEY = "ifound_snapshot_settings_v1";
+  const DEFAULT_SETTINGS = { count: 7, intervalHours: 24 };
+  const MAX_SNAPSHOTS = 50;
+  const CHECK_MS = 10 * 60 * 1000;
+
+  let hooks = null;
+  let dbPromise = null;
+  // Snapshot work runs one task at a time, so a scheduled snapshot cannot race a manual one
+  let pending = Promise.resolve();
+
+  // ----- Encrypted backup files -----
+
+  function toBase64(bytes) {
+    let binary = "";
+    // Chunked: String.fromCharCode cannot take a whole export as arguments
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  async function deriveKey(passphrase, salt, iterations, usage) {
+    const material = await crypto.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(passphrase),
+      "PBKDF2",
+      false,
+      ["deriveKey"]
+    );
+    return crypto.subtle.deriveKey(
+      { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+      material,
+      { name: "AES-GCM", length: 256 },
+      false,
+      [usage]
+    );
+  }
+
+  function isEncryptedBackup(file) {
+    return Boolean(file && file.format === BACKUP_FORMAT && file.data);
+  }
+
+  // Resolves to the backup file (envelope object) for `data`
+  async function encryptBackup(data, passphrase) {
+    if (String(passphrase || "").length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Backup passphrase must be at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters`
+      );
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, "encrypt");
+    const sealed = await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv },
+      key,
+      new TextEncoder().encode(JSON.stringify(data))
+    );
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      kdf: {
+        name: "PBKDF2",
+        hash: "SHA-256",
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+      },
+      cipher: { name: "AES-GCM", iv: toBase64(iv) },
+      data: toBase64(new Uint8Array(sealed)),
+    };
+  }
+
+  // Resolves to the export data sealed in a backup file. Only PBKDF2_ITERATIONS is accepted, so
+  // an edited file cannot make the key derivation run for ages (or too few rounds).
+  async function decryptBackup(file, passphrase) {
+    if (!isEncryptedBackup(file)) throw new Error("Not an ifound backup file");
+    if (Number(file.version) > BACKUP_VERSION) {
+      throw new Error("This backup was made by a newer version of ifound");
+    }
+    if (Number(file.kdf?.iterations) !== PBKDF2_ITERATIONS) {
+      throw new Error("The backup file is damaged (unsupported key settings)");
+    }
+    const key = await deriveKey(
+      String(passphrase || ""),
+      fromBase64(file.kdf.salt),
+      PBKDF2_ITERATIONS,
+      "decrypt"
+    );
+    let plain;
+    try {
+      plain = await crypto.subtle.decrypt(
+        { name: "AES-GCM", iv: fromBase64(file.cipher.iv) },
+        key,
+        fromBase64(file.data)
+      );
+    } catch (e) {
+      throw new Error("Wrong passphrase, or the backup file is damaged");
+    }
+    return JSON.parse(new TextDecoder().decode(plain));
+  }
+
+  // ----- Snapshots -----
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(SNAPSHOT_DB, 1);
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(SNAPSHOTS, { keyPath: "id" });
+        req.result.createObjectStore(SNAPSHOT_DATA);
+        req.result.createObjectStore(SNAPSHOT_PHOTOS);
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry if opening failed (e.g. blocked by another tab)
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+    return dbPromise;
+  }
+
+  // Run fn(stores) in one transaction over `names`; resolves to fn's request result, if any
+  async function snapshotRequest(names, mode, fn) {
+    const idb = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction(names, mode);
+      const req = fn(...names.map((name) => tx.objectStore(name)));
+      tx.oncomplete = () => resolve(req && req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Run task after the snapshot work already queued; resolves to its result
+  function queued(task) {
+    const run = pending.then(task);
+    pending = run.catch(() => {});
+    return run;
+  }
+
+  function snapshotSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+      return { ...DEFAULT_SETTINGS, ...saved };
+    } catch (e) {
+      return { ...DEFAULT_SETTINGS };
+    }
+  }
+
+  // Resolves to the saved settings once a smaller count has been applied
+  async function saveSnapshotSettings({ count, intervalHours }) {
+    requireRole("super-admin");
+    count = Math.round(Number(count));
+    intervalHours = Number(intervalHours);
+    if (!(count >= 1 && count <= MAX_SNAPSHOTS)) {
+      throw new Error(`Keep between 1 and ${MAX_SNAPSHOTS} snapshots`);
+    }
+    if (!(intervalHours >= 1)) {
+      throw new Error("Take snapshots at most once an hour");
+    }
+    const settings = { count, intervalHours };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    await queued(() => prune(count));
+    return settings;
+  }
+
+  async function sha256(text) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new TextEncoder().encode(text)
+    );
+    return Array.from(new Uint8Array(digest), (b) =>
+      b.toString(16).padStart(2, "0")
+    ).join("");
+  }
+
+  // Newest first
+  async function listSnapshots() {
+    const all = await snapshotRequest([SNAPSHOTS], "readonly", (store) =>
+      store.getAll()
+    );
+    return (all || []).sort((a, b) => b.takenAt.localeCompare(a.takenAt));
+  }
+
+  // Delete all but the newest `count` snapshots, then the photos none of the rest use
+  async function prune(count) {
+    const snapshots = await listSnapshots();
+    const dropped = snapshots.slice(count);
+    if (!dropped.length) return;
+    const inUse = new Set(
+      snapshots.slice(0, count).flatMap((s) => s.photoRefs)
+    );
+    const unused = new Set(
+      dropped.flatMap((s) => s.photoRefs).filter((ref) => !inUse.has(ref))
+    );
+    await snapshotRequest(
+      [SNAPSHOTS, SNAPSHOT_DATA, SNAPSHOT_PHOTOS],
+      "readwrite",
+      (meta, data, photos) => {
+        dropped.forEach((s) => {
+          meta.delete(s.id);
+          data.delete(s.id);
+        });
+        unused.forEach((ref) => photos.delete(ref));
+      }
+    );
+  }
+
+  async function snapshot(reason, { ifChanged = false } = {}) {
+    if (!hooks) throw new Error("Snapshots are not connected to the store yet");
+    const text = hooks.readStore();
+    if (!text) return null;
+    const hash = await sha256(text);
+    const [newest] = await listSnapshots();
+    if (ifChanged && newest && newest.hash === hash) return null;
+    const parsed = JSON.parse(text);
+    const counts = {};
+    Object.keys(parsed).forEach((key) => {
+      if (Array.isArray(parsed[key])) counts[key] = parsed[key].length;
+    });
+    const photoRefs = [...new Set(hooks.photoRefs(text))];
+    // Copy photos the snapshot database does not hold yet; missing ones are skipped
+    const held = new Set(
+      await snapshotRequest([SNAPSHOT_PHOTOS], "readonly", (store) =>
+        store.getAllKeys()
+      )
+    );
+    const blobs = new Map();
+    for (const ref of photoRefs.filter((r) => !held.has(r))) {
+      const blob = await hooks.getPhoto(ref).catch(() => null);
+      if (blob) blobs.set(ref, blob);
+    }
+    const takenAt = new Date().toISOString();
+    const entry = {
+      id: `${takenAt}-${Math.random().toString(36).slice(2, 8)}`,
+      takenAt,
+      reason,
+      schemaVersion: parsed.schemaVersion ?? null,
+      counts,
+      photoRefs,
+      hash,
+    };
+    await snapshotRequest(
+      [SNAPSHOTS, SNAPSHOT_DATA, SNAPSHOT_PHOTOS],
+      "readwrite",
+      (meta, data, photos) => {
+        meta.put(entry);
+        data.put(text, entry.id);
+        blobs.forEach((blob, ref) => photos.put(blob, ref));
+      }
+    );
+    await prune(snapshotSettings().count);
+    return entry;
+  }
+
+  // Snapshot the store now; resolves to the snapshot entry
+  function takeSnapshot(reason = "manual") {
+    requireRole("super-admin");
+    return queued(() => snapshot(reason));
+  }
+
+  // One snapshot with its store text and photos: { ...entry, data, photos: { ref: Blob } }
+  async function getSnapshot(id) {
+    requireRole("super-admin");
+    let entry;
+    let data;
+    const photos = {};
+    await snapshotRequest(
+      [SNAPSHOTS, SNAPSHOT_DATA, SNAPSHOT_PHOTOS],
+      "readonly",
+      (meta, texts, photoStore) => {
+        const metaReq = meta.get(id);
+        metaReq.onsuccess = () => {
+          entry = metaReq.result;
+          if (!entry) return;
+          entry.photoRefs.forEach((ref) => {
+            const req = photoStore.get(ref);
+            req.onsuccess = () => {
+              if (req.result) photos[ref] = req.result;
+            };
+          });
+        };
+        const dataReq = texts.get(id);
+        dataReq.onsuccess = () => {
+          data = dataReq.result;
+        };
+      }
+    );
+    if (!entry || data == null) throw new Error("Snapshot not found");
+    return { ...entry, data, photos };
+  }
+
+  async function removeSnapshot(id) {
+    const snapshots = await listSnapshots();
+    const gone = snapshots.find((s) => s.id === id);
+    if (!gone) return false;
+    const inUse = new Set(
+      snapshots.filter((s) => s !== gone).flatMap((s) => s.photoRefs)
+    );
+    await snapshotRequest(
+      [SNAPSHOTS, SNAPSHOT_DATA, SNAPSHOT_PHOTOS],
+      "readwrite",
+      (meta, data, photos) => {
+        meta.delete(id);
+        data.delete(id);
+        gone.photoRefs
+          .filter((ref) => !inUse.has(ref))
+          .forEach((ref) => photos.delete(ref));
+      }
+    );
+    return true;
+  }
+
+  function deleteSnapshot(id) {
+    requireRole("super-admin");
+    return queued(() => removeSnapshot(id));
+  }
+
+  // Gate for the admin-only snapshot functions; returns the signed-in admin
+  function requireRole(role) {
+    if (!window.ifoundAuth) throw new Error("Admin sign-in required");
+    return ifoundAuth.requireRole(role);
+  }
+
+  // Scheduled snapshot, when the newest one is older than the interval
+  async function snapshotIfDue() {
+    const [newest] = await listSnapshots();
+    const interval = snapshotSettings().intervalHours * 60 * 60 * 1000;
+    if (newest && Date.now() - Date.parse(newest.takenAt) < interval) return;
+    await queued(() => snapshot("scheduled", { ifChanged: true }));
+  }
+
+  // Called once by localdb.js when the store is ready
+  function connect(handlers) {
+    hooks = handlers;
+    const check = () =>
+      snapshotIfDue().catch((e) => console.warn("Snapshot failed", e));
+    check();
+    setInterval(check, CHECK_MS);
+  }
+
+  window.ifoundBackup = {
+    encryptBackup,
+    decryptBackup,
+    isEncryptedBackup,
+    MIN_BACKUP_PASSPHRASE_LENGTH,
+    connect,
+    takeSnapshot,
+    listSnapshots,
+    getSnapshot,
+    deleteSnapshot,
+    snapshotSettings,
+    saveSnapshotSettings,
+  };
+})();
@@ -0,0 +1,19 @@
+/*
+  config.js
+  Per-deployment settings. Edit this file when installing ifound; never reuse another deployment's values.
+
+  - qrVerifyKey: public half of the ECDSA P-256 key that signs QR tags, as a JWK
+    ({ kty: "EC", crv: "P-256", x, y }; see utils.js parseQrPayload). A super-admin creates the
+    key pair under QR Tag Signing in admin.html and gets this line to paste here; the private
+    key never goes into this file. Leave null to skip checking tag signatures.
+    Changing it invalidates every tag signed with the old key.
+  - syncServerUrl: address of the campus sync server (server/sync-server.js), e.g.
+    "https://ifound.school.lan:8787". Leave empty to keep the data on this device only.
+    Each device then gets its own key when a super-admin registers it under Sync Device in
+    admin.html; keys never go into this file.
+*/
+
+window.IFOUND_CONFIG = {
+  qrVerifyKey: null,
+  syncServerUrl: "",
+};
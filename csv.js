@@ -0,0 +1,100 @@
+/*
+  csv.js
+  CSV text for spreadsheet export and import (RFC 4180: fields holding the separator, quotes or
+  line breaks are quoted, quotes inside them doubled).
+
+  stringify() writes comma-separated rows with CRLF line ends behind a UTF-8 byte order mark,
+  so Excel opens names with accents correctly. Cells a spreadsheet would run as a formula
+  (starting with =, +, -, @, a tab or a carriage return) get a leading apostrophe; parse() takes
+  it off again.
+  parse() reads comma, semicolon or tab separated text (whichever the first line uses most),
+  with or without the byte order mark, and skips blank lines.
+
+  Public API (window.ifoundCsv): stringify, parse, toRecords
+*/
+
+(function () {
+  const BOM = "\uFEFF";
+  // Characters a formula cell starts with; export and import guard the same set
+  const FORMULA_CHARS = "=+\\-@\\t\\r";
+  const FORMULA_START = new RegExp(`^[${FORMULA_CHARS}]`);
+  const GUARDED_FORMULA = new RegExp(`^'[${FORMULA_CHARS}]`);
+
+  function cell(value) {
+    if (value == null) return "";
+    let text = Array.isArray(value) ? value.join(" ") : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // rows: arrays of cell values; null and undefined become empty cells, arrays are space-joined
+  function stringify(rows) {
+    return (
+      BOM + rows.map((row) => row.map(cell).join(",")).join("\r\n") + "\r\n"
+    );
+  }
+
+  function separatorOf(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const counts = [",", ";", "\t"].map((sep) => [
+      sep,
+      firstLine.split(sep).length,
+    ]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  // Rows of trimmed strings
+  function parse(text) {
+    text = String(text || "").replace(/^\uFEFF/, "");
+    const sep = separatorOf(text);
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const endField = () => {
+      const value = field.trim();
+      row.push(GUARDED_FORMULA.test(value) ? value.slice(1) : value);
+      field = "";
+    };
+    const endRow = () => {
+      endField();
+      if (row.some((value) => value !== "")) rows.push(row);
+      row = [];
+    };
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (quoted) {
+        if (c === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (c === '"') {
+          quoted = false;
+        } else {
+          field += c;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === sep) {
+        endField();
+      } else if (c === "\n" || c === "\r") {
+        if (c === "\r" && text[i + 1] === "\n") i++;
+        endRow();
+      } else {
+        field += c;
+      }
+    }
+    if (field !== "" || row.length) endRow();
+    return rows;
+  }
+
+  // First row as headers, the rest as records; short rows are padded with empty cells
+  function toRecords(rows) {
+    const [headers = [], ...records] = rows;
+    return {
+      headers,
+      records: records.map((r) => headers.map((_, i) => r[i] ?? "")),
+    };
+  }
+
+  window.ifoundCsv = { stringify, parse, toRecords };
+})();
@@ -0,0 +1,118 @@
+/*
+  imagehash.js
+  Offline perceptual fingerprints for stored photos, used to compare a finder's photo
+  with the owner's photo of the same item.
+
+  A fingerprint is { v, hash, hist }:
+  - hash: 64-bit difference hash (dHash) of a 9x8 greyscale thumbnail, as 16 hex digits.
+    Survives re-compression and resizing; sensitive to framing and angle.
+  - hist: 64-bin RGB colour histogram (4 levels per channel) of a 32x32 thumbnail.
+    Ignores layout entirely, so it still helps when the two shots are framed differently.
+  Like fileToDataUrl, thumbnails are drawn on a canvas in the browser; nothing leaves the device.
+
+  Public API (window.ifoundImageHash): fingerprintBlob, compareFingerprints, LOW_SIMILARITY
+*/
+
+(function () {
+  const FINGERPRINT_VERSION = 1;
+  const HIST_SIDE = 32;
+  const WEIGHTS = { shape: 0.6, colour: 0.4 };
+  // Below this combined score the photos probably show different things
+  const LOW_SIMILARITY = 0.5;
+
+  function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const img = new Image();
+      img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = (e) => {
+        URL.revokeObjectURL(url);
+        reject(e);
+      };
+      img.src = url;
+    });
+  }
+
+  // RGBA pixels of the image squeezed into a w x h canvas
+  function pixels(img, w, h) {
+    const canvas = document.createElement("canvas");
+    canvas.width = w;
+    canvas.height = h;
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(img, 0, 0, w, h);
+    return ctx.getImageData(0, 0, w, h).data;
+  }
+
+  // Each bit says whether a pixel is darker than its right-hand neighbour
+  function differenceHash(img) {
+    const data = pixels(img, 9, 8);
+    const grey = (x, y) => {
+      const i = (y * 9 + x) * 4;
+      return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    };
+    let hex = "";
+    for (let y = 0; y < 8; y++) {
+      let byte = 0;
+      for (let x = 0; x < 8; x++) {
+        byte = (byte << 1) | (grey(x, y) < grey(x + 1, y) ? 1 : 0);
+      }
+      hex += byte.toString(16).padStart(2, "0");
+    }
+    return hex;
+  }
+
+  function colourHistogram(img) {
+    const data = pixels(img, HIST_SIDE, HIST_SIDE);
+    const bins = new Array(64).fill(0);
+    for (let i = 0; i < data.length; i += 4) {
+      bins[(data[i] >> 6) * 16 + (data[i + 1] >> 6) * 4 + (data[i + 2] >> 6)]++;
+    }
+    return bins;
+  }
+
+  async function fingerprintBlob(blob) {
+    const img = await loadImage(blob);
+    return {
+      v: FINGERPRINT_VERSION,
+      hash: differenceHash(img),
+      hist: colourHistogram(img),
+    };
+  }
+
+  function hammingDistance(hexA, hexB) {
+    let bits = 0;
+    for (let i = 0; i < hexA.length; i++) {
+      let diff = parseInt(hexA[i], 16) ^ parseInt(hexB[i], 16);
+      while (diff) {
+        bits += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return bits;
+  }
+
+  // { score, shape, colour }, each 0..1 where 1 means identical
+  function compareFingerprints(a, b) {
+    const shape = 1 - hammingDistance(a.hash, b.hash) / (a.hash.length * 4);
+    // Histogram intersection: the share of pixels whose colour bin both photos have
+    const total = a.hist.reduce((sum, n) => sum + n, 0) || 1;
+    const colour =
+      a.hist.reduce((sum, n, i) => sum + Math.min(n, b.hist[i] || 0), 0) /
+      total;
+    const round = (v) => Math.round(v * 100) / 100;
+    return {
+      score: round(WEIGHTS.shape * shape + WEIGHTS.colour * colour),
+      shape: round(shape),
+      colour: round(colour),
+    };
+  }
+
+  window.ifoundImageHash = {
+    fingerprintBlob,
+    compareFingerprints,
+    LOW_SIMILARITY,
+  };
+})();
@@ -1,243 +1,3528 @@
 /*
   localdb.js
-  A tiny in-browser data layer backed by localStorage.
+  A tiny in-browser data layer. Keys are read and written through a storage adapter (storage.js):
+  localStorage on this device only, or a local working copy synced with the campus sync server
+  when config.js sets syncServerUrl. Committed record changes are handed to the adapter; changes
+  pulled from other devices are applied here without being sent back, and audited as "sync.*"
+  with the actor "sync". Admin accounts, owner sessions and the audit log stay per device.
+  Photos are kept as Blobs in IndexedDB; records only hold a photo reference ("idb:<uuid>").
+  Each stored photo also gets a perceptual fingerprint (imagehash.js) under FINGERPRINT_KEY,
+  so finder and owner photos can be compared; fingerprints are recomputed when missing.
+  The store carries a schemaVersion; MIGRATIONS upgrade older stores (and import files) step by step.
+  A store that cannot be upgraded (a step throws, or it is from a newer version) is left as it was
+  and served read-only: writes throw, sync stays off and storeError() says why.
+  Reports, found items and claims have uuid ids, unique across devices and import files; records
+  from before that keep their counter id as legacyId (see LEGACY_ID_COLLECTIONS). Screens show the
+  first RECORD_NUMBER_LENGTH characters as the record number (recordNumber). Records changed here
+  get an updatedAt stamp, so an import can tell which copy of a record is newer.
+  Item status follows ITEM_TRANSITIONS; every change is appended to item.history { from, to, actor, note, at }.
+  Admin operations require a signed-in admin session with the right role (see auth.js);
+  the admin's username is recorded as the actor. Owner-side reads and changes (My Items, item edits,
+  lost reports) instead need an owner session: the student signs in with their student ID and the
+  PIN set at first registration (ownerSignIn), and is recorded as "owner:<studentId>".
+  With a sync server, kiosks do not hold other owners' accounts: hasOwnerAccount and ownerSignIn
+  ask the server first and only use this device's copy while it cannot be reached.
+  The paged list functions (listItemsByStudent, listReportsWithItem, listPendingReportsWithItem,
+  listClaimsWithItem, searchLostItems) take { sort, offset, limit } and return a page
+  { rows, total, offset }; records are only joined for the rows on the page.
+  Every mutation appends hash-chained entries to a separate audit log (AUDIT_KEY):
+  { seq, at, actor, action, targetType, targetId, diff: { before, after }, prevHash, hash }
+  PIN and secret answer hashes are redacted in diffs. The log shares the browser's storage quota
+  with the store, so only the newest entries within AUDIT_MAX_CHARS of JSON are kept and the chain
+  is verified from the oldest entry left. Dropping entries from the start of the chain leaves no
+  trace, so the chain shows edits to kept entries but not that older ones were removed.
 
   Collections:
-  - items: registered items { id, itemName, studentId, ownerName, category, contact/email/strand, photoPath, status, createdAt, foundPhotoPath?, lastClaimedAt? }
-  - found_reports: reports from finders { id, itemId, finderName, location, photoPath?, status, createdAt }
-  - claims: claims submitted by owners { id, itemId, claimantName, createdAt }
+  - items: registered items { id, shortCode, itemName, studentId, ownerName, category, attributes?,
+      colour?, brand?, model?, serial?, marks?, secretQuestions?, contact/email/strand, photos, status,
+      history, createdAt, foundPhotos, lastClaimedAt?, qrSig? }
+    attributes holds values for the category's custom fields, e.g. { imei: "..." }; colour..marks are
+    ITEM_DESCRIPTORS. secretQuestions: [{ question, salt, answerHash, iterations, normalization? }];
+    answers are only stored as PBKDF2 hashes (hashAnswer, see normalizeAnswer), and items handed
+    out by the read functions keep the question text only (withoutSecrets). With a sync server, kiosks only ever hold the text.
+    Sensitive descriptors and fields are left off public cards and out of the search index.
+    photos is the owner's ordered gallery (front, back, marks...); foundPhotos collects the finder
+    photos of verified reports. Both hold at most MAX_PHOTOS references each.
+    qrSig is the item's tag signature from a staff device (setTagSignatures, utils.js qrPayloadFor).
+  - found_reports: reports from finders { id, itemId, finderName, location, photos, status, createdAt,
+      reviewNote?, duplicateOf?, reviewedAt? }
+    status: pending | needs-info | verified | rejected | duplicate
+  - found_items: untagged items handed in by finders { id, description, category, colour?, brand?,
+      location, dropOffPoint, finderName, finderContact?, photoPath?, status, history, createdAt }
+    status follows FOUND_ITEM_TRANSITIONS, starting at "reported-found" until staff confirm the drop-off
+  - lost_reports: owners' "I lost something" reports { id, itemId?, studentId, ownerName, contact?,
+      description, category, lastSeenLocation, lastSeenAt?, status, createdAt, closedBy?, closedAt?, closeNote? }
+    status: open | resolved | withdrawn; itemId is set when a registered item is flagged missing
+  - claims: claims submitted by owners { id, itemId | foundItemId, claimantName, claimantStudentId, claimantContact,
+      proofDescription, proofPhotoPath?, status, createdAt, reviewedBy?, reviewedAt?, reviewNote?,
+      releasedBy?, releasedAt?, secretCheck?, releaseCheck? }
+    status: pending -> approved -> released, or pending -> denied
+    secretCheck / releaseCheck: { asked, correct } for the item's secret questions at claim and handover
+  - categories: the item taxonomy { id, label, icon?, parent, keywords, attributes: [{ key, label, sensitive? }], createdAt }
+    id is a slug referenced by records' `category`; keywords drive inferCategory; children inherit
+    their parents' attribute fields. FALLBACK_CATEGORY ("other") always exists.
+  - owners: one account per student ID { id: studentId, salt, hash, iterations, createdAt, mustChange?,
+      resetBy?, resetAt? }; hash is PBKDF2-SHA-256 of the owner's PIN. mustChange marks a staff reset.
 
   Public API (window.ifoundDB): addItem, getItem, listItemsByStudent, listLostItems,
   addFoundReport, listPendingReportsWithItem, verifyReportMoveToLost, addClaim,
-  listClaimsWithItem, analytics, exportAll, importMerge
+  listClaimsWithItem, analytics, exportAll, previewImport, importMerge, IMPORT_POLICIES,
+  previewRestore, restoreSnapshot,
+  EXPORT_TABLES, listExportColumns, exportTable, itemImportFields, importItems, photoUrl, ready,
+  schemaVersion, storeError, restoreMigrationBackup, listAllItems, setItemStatus, setTagSignatures,
+  allowedTransitions, ITEM_STATES, listReportsWithItem, rejectReport,
+  markReportDuplicate, requestReportInfo, REPORT_STATES, approveClaim, denyClaim,
+  releaseClaim, listAuditLog, verifyAuditChain, findItemByShortCode, isValidShortCode,
+  addFoundItem, listFoundItems, setFoundItemStatus, allowedFoundItemTransitions,
+  addLostReport, listLostReports, withdrawLostReport, resolveLostReport,
+  listLostReportMatches, listOwnerLostReportMatches, LOST_REPORT_STATES, photoSimilarity,
+  searchLostItems, GALLERY_STATES, listCategories, getCategory, categoryAttributes,
+  inferCategory, saveCategory, deleteCategory, FALLBACK_CATEGORY, ITEM_DESCRIPTORS,
+  describeRecord, secretQuestions, checkSecretAnswers, MAX_SECRET_QUESTIONS, MAX_PHOTOS,
+  updateItem, archiveItem, restoreItem, deleteItem, hasOwnerAccount, ownerSignIn, ownerSignOut,
+  currentOwner, setupOwnerAccount, changeOwnerPin, resetOwnerPin, MIN_OWNER_PIN_LENGTH, recordNumber
+
+  Sync: syncNow, syncStatus (see storage.js for the adapter interface)
+
+  Match scoring lives in matching.js (window.ifoundMatching), photo fingerprints in
+  imagehash.js (window.ifoundImageHash), storage adapters in storage.js (window.ifoundStorage)
+  and snapshots in backup.js (window.ifoundBackup, admin.html only); load them and config.js
+  before this file.
 */
 
 (function () {
+  const storage = ifoundStorage.fromConfig(window.IFOUND_CONFIG || {});
   const DB_KEY = "ifound_store_v1";
+  const PHOTO_DB = "ifound_photos";
+  const PHOTO_STORE = "photos";
+  const PHOTO_PREFIX = "idb:";
+  // Photo reference -> perceptual fingerprint; derived data, so not exported or audited
+  const FINGERPRINT_KEY = "ifound_photo_fingerprints_v1";
+  // Pre-migration snapshot of DB_KEY, kept until the next successful upgrade
+  const BACKUP_KEY = "ifound_store_backup";
+  const AUDIT_KEY = "ifound_audit_v1";
+  // prevHash of the first audit entry
+  const AUDIT_GENESIS = "0".repeat(64);
+  // Older audit entries roll off once the log's JSON passes this many characters
+  const AUDIT_MAX_CHARS = 1024 * 1024;
+  // Stands in for secret values in audit diffs
+  const REDACTED = "[redacted]";
+  // Signed-in owner { studentId, lastActiveAt }; per tab, like the admin session
+  const OWNER_SESSION_KEY = "ifound_owner_session";
+  const OWNER_SESSION_IDLE_MS = 15 * 60 * 1000;
+  // Failed owner sign-ins per student ID; derived data, so not exported or audited
+  const OWNER_ATTEMPTS_KEY = "ifound_owner_attempts_v1";
+  const OWNER_MAX_ATTEMPTS = 5;
+  const OWNER_LOCK_MS = 5 * 60 * 1000;
+  const OWNER_PIN_ITERATIONS = 210000;
+  const MIN_OWNER_PIN_LENGTH = 6;
+  const AUDITED_COLLECTIONS = [
+    "items",
+    "found_reports",
+    "found_items",
+    "lost_reports",
+    "claims",
+    "categories",
+    "owners",
+  ];
+  // Collections whose ids were per-store counters (1, 2, 3...) before schema 11
+  const LEGACY_ID_COLLECTIONS = [
+    "found_reports",
+    "found_items",
+    "lost_reports",
+    "claims",
+  ];
+  // Characters of an id shown (and accepted when typed) as a record number
+  const RECORD_NUMBER_LENGTH = 8;
+  // How importMerge settles records the store and the import file both hold
+  const IMPORT_POLICIES = ["newest", "keep-local", "per-record"];
+
+  // Item lifecycle: allowed next states for each state
+  const ITEM_TRANSITIONS = {
+    registered: ["reported-found", "in-custody", "archived"],
+    "reported-found": ["in-custody", "registered", "archived"],
+    "in-custody": ["claimed", "returned-to-owner", "disposed"],
+    claimed: ["returned-to-owner", "in-custody"],
+    "returned-to-owner": ["reported-found", "in-custody", "archived"],
+    disposed: ["archived"],
+    archived: ["registered"],
+  };
+  const ITEM_STATES = Object.keys(ITEM_TRANSITIONS);
+  // Untagged found items have no owner to fall back to, so they never become "registered"
+  const FOUND_ITEM_TRANSITIONS = {
+    "reported-found": ["in-custody", "archived"],
+    "in-custody": ["claimed", "returned-to-owner", "disposed"],
+    claimed: ["returned-to-owner", "in-custody"],
+    "returned-to-owner": ["archived"],
+    disposed: ["archived"],
+    archived: [],
+  };
+  const REPORT_STATES = [
+    "pending",
+    "needs-info",
+    "verified",
+    "rejected",
+    "duplicate",
+  ];
+  const LOST_REPORT_STATES = ["open", "resolved", "withdrawn"];
+  // States shown in the public Lost Items gallery (items and untagged found items)
+  const GALLERY_STATES = ["in-custody", "claimed", "returned-to-owner"];
+  // Orderings accepted by the paged list functions' `sort` option
+  const SORT_ORDERS = {
+    newest: (a, b) => (a.createdAt < b.createdAt ? 1 : -1),
+    oldest: (a, b) => (a.createdAt > b.createdAt ? 1 : -1),
+    name: (a, b) =>
+      String(a.itemName || a.description || "").localeCompare(
+        String(b.itemName || b.description || "")
+      ),
+  };
+  // Taxonomy seeded into new and upgraded stores; super-admins edit it from admin.html
+  const DEFAULT_CATEGORIES = [
+    {
+      id: "phones",
+      label: "Phone",
+      icon: "📱",
+      keywords: ["phone", "iphone", "android", "samsung", "oppo", "vivo"],
+      attributes: [{ key: "imei", label: "IMEI", sensitive: true }],
+    },
+    { id: "wallets", label: "Wallet", icon: "👛", keywords: ["wallet"] },
+    {
+      id: "tumblers",
+      label: "Tumbler",
+      icon: "🥤",
+      keywords: ["tumbler", "bottle", "hydro"],
+      attributes: [{ key: "colour", label: "Colour" }],
+    },
+    { id: "other", label: "Other", icon: "📦" },
+  ];
+  // Descriptors captured at registration. Sensitive ones never appear on public cards or in
+  // the search index, so staff can use them to test a claimant.
+  const ITEM_DESCRIPTORS = [
+    { key: "colour", label: "Colour" },
+    { key: "brand", label: "Brand" },
+    { key: "model", label: "Model" },
+    { key: "serial", label: "Serial / IMEI", sensitive: true },
+    { key: "marks", label: "Distinguishing marks", sensitive: true },
+  ];
+  const MAX_SECRET_QUESTIONS = 3;
+  const SECRET_ANSWER_ITERATIONS = 210000;
+  // How new secret answers are normalised before hashing (normalizeAnswer); stored per question
+  const ANSWER_NORMALIZATION = 2;
+  // Catch-all category: cannot be removed and takes records from removed categories
+  const FALLBACK_CATEGORY = "other";
+  // Relative weight of a query term matching in each indexed field
+  const SEARCH_WEIGHTS = {
+    name: 3,
+    category: 2,
+    attributes: 2,
+    location: 1.5,
+    owner: 1,
+    date: 0.5,
+  };
+  // Item details an owner may change after registration. id and shortCode never change, so
+  // printed QR tags and typed codes keep working; studentId ties the item to its owner.
+  const OWNER_EDITABLE = [
+    "itemName",
+    "ownerName",
+    "strand",
+    "email",
+    "contact",
+  ];
+  // Staff hold the item in these states, so the owner cannot delete it
+  const STAFF_HELD_STATES = ["in-custody", "claimed"];
+  // Reports still awaiting an admin decision
+  const OPEN_REPORT_STATES = ["pending", "needs-info"];
+  // Record fields that may hold a photo reference (or an ordered array of them), per collection
+  const PHOTO_FIELDS = {
+    items: ["photos", "foundPhotos"],
+    found_reports: ["photos"],
+    found_items: ["photoPath"],
+    claims: ["proofPhotoPath"],
+  };
+
+  // Most photos one gallery (an item's, or a finder's report) may hold
+  const MAX_PHOTOS = 6;
+
+  // Ordered schema migrations. Each step upgrades a store in place to version `to`.
+  // Append new steps at the end; never edit or reorder a step that has shipped.
+  const MIGRATIONS = [
+    {
+      to: 1,
+      name: "baseline collections and sequences",
+      up(db) {
+        db.items = db.items || [];
+        db.found_reports = db.found_reports || [];
+        db.claims = db.claims || [];
+        db.seq = db.seq || { found_reports: 0, claims: 0 };
+      },
+    },
+    {
+      to: 2,
+      name: "item lifecycle states and history",
+      up(db) {
+        db.items.forEach((item) => {
+          if (Array.isArray(item.history)) return;
+          const history = [
+            {
+              from: null,
+              to: "registered",
+              actor: "system",
+              note: "Registered",
+              at: item.createdAt || null,
+            },
+          ];
+          const verified = db.found_reports.find(
+            (r) => r.itemId === item.id && r.status === "verified"
+          );
+          if (item.status === "lost" || item.status === "claimed") {
+            history.push({
+              from: "registered",
+              to: "in-custody",
+              actor: "system",
+              note: 'Migrated from legacy status "lost"',
+              at: verified?.createdAt || null,
+            });
+          }
+          if (item.status === "claimed") {
+            history.push({
+              from: "in-custody",
+              to: "claimed",
+              actor: "system",
+              note: 'Migrated from legacy status "claimed"',
+              at: item.lastClaimedAt || null,
+            });
+          }
+          item.status = history[history.length - 1].to;
+          item.history = history;
+        });
+      },
+    },
+    {
+      to: 3,
+      name: "claims reviewed by admins",
+      up(db) {
+        // Legacy claims took effect immediately, so they count as approved
+        db.claims.forEach((claim) => {
+          if (claim.status) return;
+          claim.status = "approved";
+          claim.reviewedBy = "system";
+          claim.reviewedAt = claim.createdAt || null;
+          claim.reviewNote = "Self-claimed before admin approval existed";
+        });
+      },
+    },
+    {
+      to: 4,
+      name: "item short codes",
+      up(db) {
+        const taken = new Set(db.items.map((item) => item.shortCode));
+        db.items.forEach((item) => {
+          if (item.shortCode) return;
+          item.shortCode = newShortCode(taken);
+        });
+      },
+    },
+    {
+      to: 5,
+      name: "untagged found items",
+      up(db) {
+        db.found_items = db.found_items || [];
+        db.seq.found_items = db.seq.found_items || 0;
+      },
+    },
+    {
+      to: 6,
+      name: "owner lost reports",
+      up(db) {
+        db.lost_reports = db.lost_reports || [];
+        db.seq.lost_reports = db.seq.lost_reports || 0;
+      },
+    },
+    {
+      to: 7,
+      name: "category taxonomy",
+      up(db) {
+        db.categories = db.categories || defaultCategories(null);
+      },
+    },
+    {
+      to: 8,
+      name: "sensitive category fields",
+      up(db) {
+        // IMEIs identify a phone and were shown publicly before fields could be hidden
+        db.categories.forEach((c) => {
+          c.attributes.forEach((a) => {
+            if (a.key === "imei") a.sensitive = true;
+          });
+        });
+      },
+    },
+    {
+      to: 9,
+      name: "photo galleries",
+      up(db) {
+        const gallery = (ref) => (ref ? [ref] : []);
+        db.items.forEach((item) => {
+          item.photos = item.photos || gallery(item.photoPath);
+          item.foundPhotos = item.foundPhotos || gallery(item.foundPhotoPath);
+          delete item.photoPath;
+          delete item.foundPhotoPath;
+        });
+        db.found_reports.forEach((report) => {
+          report.photos = report.photos || gallery(report.photoPath);
+          delete report.photoPath;
+        });
+      },
+    },
+    {
+      to: 10,
+      name: "owner accounts",
+      up(db) {
+        db.owners = db.owners || [];
+      },
+    },
+    {
+      to: 11,
+      name: "global record ids",
+      // Counter ids clash between devices and between import files. The new id is derived
+      // from the old one and the creation time, so a record gets the same id on every device,
+      // in every export and on the sync server.
+      up(db) {
+        const moved = {};
+        LEGACY_ID_COLLECTIONS.forEach((key) => {
+          moved[key] = new Map();
+          (db[key] || []).forEach((record) => {
+            if (!isLegacyId(record.id)) return;
+            const legacyId = record.id;
+            record.id = legacyRecordId(key, record);
+            record.legacyId = legacyId;
+            moved[key].set(String(legacyId), record.id);
+          });
+        });
+        const follow = (key, id) => moved[key].get(String(id)) ?? id;
+        (db.found_reports || []).forEach((report) => {
+          if (report.duplicateOf != null) {
+            report.duplicateOf = follow("found_reports", report.duplicateOf);
+          }
+        });
+        (db.claims || []).forEach((claim) => {
+          if (claim.foundItemId != null) {
+            claim.foundItemId = follow("found_items", claim.foundItemId);
+          }
+        });
+        delete db.seq;
+      },
+    },
+  ];
+  // Typed fallback for QR tags: SHORT_CODE_LENGTH - 1 random symbols plus a Luhn mod 32
+  // check symbol. The alphabet leaves out 0/O and 1/I so codes survive being copied by hand.
+  const SHORT_CODE_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+  const SHORT_CODE_LENGTH = 8;
+
+  const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].to;
+
+  // Schema version of a parsed store (stores without schemaVersion count as 0)
+  function schemaVersionOf(db) {
+    const version = Number(db.schemaVersion) || 0;
+    if (version > SCHEMA_VERSION) {
+      throw new Error(
+        `Data is from a newer version (schema ${version}, this app supports ${SCHEMA_VERSION})`
+      );
+    }
+    return version;
+  }
+
+  // Run every pending step on a parsed store
+  function migrate(db) {
+    const from = schemaVersionOf(db);
+    for (const step of MIGRATIONS) {
+      if (step.to <= from) continue;
+      step.up(db);
+      db.schemaVersion = step.to;
+    }
+    return db;
+  }
+
+  // The stored text that could not be upgraded and why ({ txt, message }), or null
+  let storeFault = null;
 
   function load() {
+    let txt;
+    let db;
     try {
-      const txt = localStorage.getItem(DB_KEY);
+      txt = storage.getItem(DB_KEY);
       if (!txt) return init();
-      const db = JSON.parse(txt);
-      db.seq = db.seq || { found_reports: 0, claims: 0 };
-      return db;
+      db = JSON.parse(txt);
     } catch (e) {
       return init();
     }
+    if (db.schemaVersion === SCHEMA_VERSION) {
+      storeFault = null;
+      return db;
+    }
+    if (storeFault && storeFault.txt === txt) return unmigratedCopy(txt);
+    try {
+      return upgradeStore(txt, db);
+    } catch (e) {
+      console.error("Store upgrade failed, serving it read-only", e);
+      storeFault = { txt, message: e.message };
+      return unmigratedCopy(txt);
+    }
+  }
+
+  // Back up the raw store and migrate it. Newer data is rejected before anything is written,
+  // and the store key is only written once every step has run, so a failed step leaves the
+  // data as it was.
+  function upgradeStore(txt, db) {
+    const version = schemaVersionOf(db);
+    storage.setItem(
+      BACKUP_KEY,
+      JSON.stringify({ schemaVersion: version, createdAt: nowIso(), data: txt })
+    );
+    migrate(db);
+    save(db);
+    return db;
+  }
+
+  // The stored data as it is, for reading while it cannot be upgraded
+  function unmigratedCopy(txt) {
+    const db = JSON.parse(txt);
+    AUDITED_COLLECTIONS.forEach((key) => {
+      if (!Array.isArray(db[key])) db[key] = [];
+    });
+    return db;
+  }
+
+  // Why the store is read-only, or null when it is usable
+  function storeError() {
+    load();
+    return storeFault && faultMessage();
+  }
+
+  function faultMessage() {
+    return `The saved data could not be upgraded (${storeFault.message}). It is shown read-only and nothing can be changed on this device until that is fixed.`;
+  }
+
+  // Manual rollback from the admin page: the records of the pre-migration snapshot replace the
+  // store's, brought up to the current schema as load() would. Goes through commit like
+  // restoreSnapshot, so the rollback is audited and reaches other devices.
+  function restoreMigrationBackup() {
+    const actor = requireRole("super-admin").username;
+    const txt = storage.getItem(BACKUP_KEY);
+    if (!txt) return false;
+    const data = upgradeImport(JSON.parse(JSON.parse(txt).data));
+    const db = load();
+    const before = indexRecords(db);
+    AUDITED_COLLECTIONS.forEach((key) => {
+      db[key] = data[key] || [];
+    });
+    commit(db, before, "store.migration-restore", actor, { stamp: false });
+    return true;
+  }
+
+  function init() {
+    const db = {
+      schemaVersion: SCHEMA_VERSION,
+      items: [],
+      found_reports: [],
+      found_items: [],
+      lost_reports: [],
+      claims: [],
+      categories: defaultCategories(nowIso()),
+      owners: [],
+    };
+    // A fresh store replaces whatever could not be upgraded
+    storeFault = null;
+    save(db);
+    return db;
+  }
+
+  function save(db) {
+    if (storeFault) throw new Error(faultMessage());
+    storage.setItem(DB_KEY, JSON.stringify(db));
+  }
+
+  // One page of `rows` in the requested order; `limit` omitted means the rest of the list
+  function paginate(
+    rows,
+    { sort = "newest", offset = 0, limit } = {},
+    orders = SORT_ORDERS
+  ) {
+    const order = orders[sort];
+    if (!order) throw new Error(`Unknown sort order: ${sort}`);
+    const start = Math.max(0, Math.floor(Number(offset) || 0));
+    const sorted = rows.slice().sort(order);
+    return {
+      rows: sorted.slice(start, limit == null ? undefined : start + limit),
+      total: sorted.length,
+      offset: start,
+    };
+  }
+
+  function nowIso() {
+    return new Date().toISOString();
+  }
+
+  // Gate for admin-only operations; returns the signed-in admin
+  function requireRole(role) {
+    if (!window.ifoundAuth) throw new Error("Admin sign-in required");
+    return ifoundAuth.requireRole(role);
+  }
+
+  function isLegacyId(id) {
+    return /^\d+$/.test(String(id));
+  }
+
+  // Global id for a record that had a counter id; server/sync-server.js derives the same
+  function legacyRecordId(collection, record) {
+    const hex = sha256Hex(
+      `${collection}:${record.id}:${record.createdAt || ""}`
+    );
+    return [
+      hex.slice(0, 8),
+      hex.slice(8, 12),
+      hex.slice(12, 16),
+      hex.slice(16, 20),
+      hex.slice(20, 32),
+    ].join("-");
+  }
+
+  // Ids are compared as text: forms and data attributes hand them over as strings
+  function sameId(a, b) {
+    return a != null && b != null && String(a) === String(b);
+  }
+
+  // Short form of a record id for screens and notes ("3F9A2C1B")
+  function recordNumber(id) {
+    return String(id).slice(0, RECORD_NUMBER_LENGTH).toUpperCase();
+  }
+
+  // A record by its full id or its record number, with or without "#"; null when nothing
+  // or more than one record matches
+  function findByNumber(list, input) {
+    const text = String(input ?? "")
+      .trim()
+      .replace(/^#/, "")
+      .toLowerCase();
+    if (!text) return null;
+    const exact = list.find((r) => String(r.id).toLowerCase() === text);
+    if (exact || text.length < RECORD_NUMBER_LENGTH) return exact || null;
+    const matches = list.filter((r) =>
+      String(r.id).toLowerCase().startsWith(text)
+    );
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  function uuidv4() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    // Fallback
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(
+      /[xy]/g,
+      function (c) {
+        const r = (Math.random() * 16) | 0,
+          v = c === "x" ? r : (r & 0x3) | 0x8;
+        return v.toString(16);
+      }
+    );
+  }
+
+  // Short codes
+  function shortCodeCheckSymbol(body) {
+    const n = SHORT_CODE_ALPHABET.length;
+    let sum = 0;
+    for (let i = body.length - 1, factor = 2; i >= 0; i--) {
+      const addend = factor * SHORT_CODE_ALPHABET.indexOf(body[i]);
+      sum += Math.floor(addend / n) + (addend % n);
+      factor = factor === 2 ? 1 : 2;
+    }
+    return SHORT_CODE_ALPHABET[(n - (sum % n)) % n];
+  }
+
+  // Uppercase and drop spaces/dashes so "7kq2 m9xd" and "7KQ2-M9XD" read the same
+  function normalizeShortCode(input) {
+    return String(input || "")
+      .toUpperCase()
+      .replace(/[\s-]/g, "");
+  }
+
+  function isValidShortCode(input) {
+    const code = normalizeShortCode(input);
+    if (code.length !== SHORT_CODE_LENGTH) return false;
+    if ([...code].some((c) => !SHORT_CODE_ALPHABET.includes(c))) return false;
+    return shortCodeCheckSymbol(code.slice(0, -1)) === code.slice(-1);
+  }
+
+  // New code not in `taken`; adds it to the set
+  function newShortCode(taken) {
+    let code;
+    do {
+      const bytes = crypto.getRandomValues(
+        new Uint8Array(SHORT_CODE_LENGTH - 1)
+      );
+      const body = Array.from(bytes, (b) => SHORT_CODE_ALPHABET[b & 31]).join(
+        ""
+      );
+      code = body + shortCodeCheckSymbol(body);
+    } while (taken.has(code));
+    taken.add(code);
+    return code;
+  }
+
+  // Photo store (IndexedDB)
+  let photoDbPromise = null;
+  const photoUrlCache = new Map();
+
+  function openPhotoDb() {
+    if (photoDbPromise) return photoDbPromise;
+    photoDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const req = indexedDB.open(PHOTO_DB, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(PHOTO_STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Allow a retry if opening failed (e.g. blocked by another tab)
+    photoDbPromise.catch(() => {
+      photoDbPromise = null;
+    });
+    return photoDbPromise;
+  }
+
+  // Run a single request against the photo object store
+  async function photoRequest(mode, fn) {
+    const idb = await openPhotoDb();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction(PHOTO_STORE, mode);
+      const req = fn(tx.objectStore(PHOTO_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function isPhotoRef(value) {
+    return typeof value === "string" && value.startsWith(PHOTO_PREFIX);
+  }
+
+  async function toBlob(photo) {
+    if (photo instanceof Blob) return photo;
+    const res = await fetch(photo);
+    return res.blob();
+  }
+
+  function storePhotoBlob(ref, blob) {
+    return photoRequest("readwrite", (store) =>
+      store.put(blob, ref.slice(PHOTO_PREFIX.length))
+    );
+  }
+
+  // Store a photo (data URL or Blob) and return its reference
+  async function putPhoto(photo) {
+    if (!photo) return null;
+    if (isPhotoRef(photo)) return photo;
+    const ref = PHOTO_PREFIX + uuidv4();
+    await storePhotoBlob(ref, await toBlob(photo));
+    // Fingerprint in the background; saving a record should not wait on image decoding
+    photoFingerprint(ref);
+    return ref;
+  }
+
+  // Store an ordered gallery; empty entries are skipped and the rest capped at MAX_PHOTOS
+  async function putPhotos(photos) {
+    const refs = [];
+    for (const photo of (photos || []).filter(Boolean).slice(0, MAX_PHOTOS)) {
+      refs.push(await putPhoto(photo));
+    }
+    return refs;
+  }
+
+  // Delete stored photos (and their fingerprints) that no record references any more
+  async function prunePhotos(refs) {
+    const inUse = new Set(photoValuesOf(load()));
+    const unused = refs.filter((ref) => isPhotoRef(ref) && !inUse.has(ref));
+    if (!unused.length) return;
+    try {
+      for (const ref of unused) {
+        await photoRequest("readwrite", (store) =>
+          store.delete(ref.slice(PHOTO_PREFIX.length))
+        );
+        if (photoUrlCache.has(ref)) {
+          URL.revokeObjectURL(photoUrlCache.get(ref));
+          photoUrlCache.delete(ref);
+        }
+      }
+      const fingerprints = loadFingerprints();
+      unused.forEach((ref) => delete fingerprints[ref]);
+      storage.setItem(FINGERPRINT_KEY, JSON.stringify(fingerprints));
+    } catch (e) {
+      console.warn("Photo cleanup failed", e);
+    }
+  }
+
+  async function localPhotoBlob(ref) {
+    if (!isPhotoRef(ref)) return null;
+    const blob = await photoRequest("readonly", (store) =>
+      store.get(ref.slice(PHOTO_PREFIX.length))
+    );
+    return blob || null;
+  }
+
+  // Photos taken on another device are fetched from the sync server once, then kept here
+  async function getPhotoBlob(ref) {
+    const blob = await localPhotoBlob(ref);
+    if (blob || !isPhotoRef(ref)) return blob;
+    const fetched = await storage.fetchPhoto(ref);
+    if (fetched) await storePhotoBlob(ref, fetched);
+    return fetched;
+  }
+
+  // Resolve a photo reference to something an <img> can display.
+  // Legacy inline data URLs (not yet migrated) are returned as-is.
+  async function photoUrl(ref) {
+    if (!ref) return null;
+    if (!isPhotoRef(ref)) return ref;
+    if (photoUrlCache.has(ref)) return photoUrlCache.get(ref);
+    const blob = await getPhotoBlob(ref);
+    if (!blob) return null;
+    const url = URL.createObjectURL(blob);
+    photoUrlCache.set(ref, url);
+    return url;
+  }
+
+  // Photo values (references or legacy data URLs) held by one record
+  function recordPhotoValues(collection, record) {
+    return (PHOTO_FIELDS[collection] || []).flatMap((f) => record[f] ?? []);
+  }
+
+  // Every photo value held by the store's records
+  function photoValuesOf(db) {
+    return Object.keys(PHOTO_FIELDS).flatMap((key) =>
+      (db[key] || []).flatMap((record) => recordPhotoValues(key, record))
+    );
+  }
+
+  function loadFingerprints() {
+    try {
+      return JSON.parse(storage.getItem(FINGERPRINT_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // Stored fingerprint for a photo reference, computing it from the blob if needed.
+  // Resolves to null when the photo is missing or cannot be decoded.
+  async function photoFingerprint(ref) {
+    if (!isPhotoRef(ref) || !window.ifoundImageHash) return null;
+    const known = loadFingerprints()[ref];
+    if (known) return known;
+    try {
+      const blob = await getPhotoBlob(ref);
+      if (!blob) return null;
+      const fp = await ifoundImageHash.fingerprintBlob(blob);
+      const all = loadFingerprints();
+      all[ref] = fp;
+      storage.setItem(FINGERPRINT_KEY, JSON.stringify(all));
+      return fp;
+    } catch (e) {
+      console.warn("Photo fingerprint failed", ref, e);
+      return null;
+    }
+  }
+
+  // Compare two stored photos, or two galleries by their closest pair of photos:
+  // { score, shape, colour, low } or null if no pair can be read.
+  // `low` flags photos that probably do not show the same item.
+  async function photoSimilarity(refsA, refsB) {
+    const fingerprints = async (refs) =>
+      (await Promise.all([].concat(refs || []).map(photoFingerprint))).filter(
+        Boolean
+      );
+    const [as, bs] = await Promise.all([
+      fingerprints(refsA),
+      fingerprints(refsB),
+    ]);
+    let best = null;
+    as.forEach((a) =>
+      bs.forEach((b) => {
+        const result = ifoundImageHash.compareFingerprints(a, b);
+        if (!best || result.score > best.score) best = result;
+      })
+    );
+    if (!best) return null;
+    return { ...best, low: best.score < ifoundImageHash.LOW_SIMILARITY };
+  }
+
+  // Move inline data URLs left by older versions into the photo store
+  async function migrateInlinePhotos() {
+    const db = load();
+    const isInline = (v) => typeof v === "string" && v.startsWith("data:");
+    const pending = photoValuesOf(db).filter(isInline);
+    if (!pending.length) return;
+    // The same data URL may appear on a report and its item; store it once
+    const refs = new Map();
+    for (const dataUrl of pending) {
+      if (!refs.has(dataUrl)) refs.set(dataUrl, await putPhoto(dataUrl));
+    }
+    // Re-read so writes made while migrating are not lost
+    const fresh = load();
+    const swap = (v) => (isInline(v) && refs.has(v) ? refs.get(v) : v);
+    Object.entries(PHOTO_FIELDS).forEach(([key, fields]) => {
+      fresh[key].forEach((record) => {
+        fields.forEach((f) => {
+          if (Array.isArray(record[f])) record[f] = record[f].map(swap);
+          else if (record[f] != null) record[f] = swap(record[f]);
+        });
+      });
+    });
+    save(fresh);
+  }
+
+  // SHA-256 (hex) of a string. Synchronous so audit entries are sealed in the same
+  // step as the change they describe; Web Crypto digests are async-only.
+  const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+    0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+    0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+    0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+    0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+    0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+  ];
+
+  function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    // Pad: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+    const len = (((bytes.length + 9 + 63) >> 6) << 6) >>> 0;
+    const buf = new Uint8Array(len);
+    buf.set(bytes);
+    buf[bytes.length] = 0x80;
+    const view = new DataView(buf.buffer);
+    view.setUint32(len - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(len - 4, (bytes.length << 3) >>> 0);
+    const hash = [
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+      0x1f83d9ab, 0x5be0cd19,
+    ];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let off = 0; off < len; off += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+      }
+      let [a, b, c, d, e, f, g, hh] = hash;
+      for (let i = 0; i < 64; i++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (hh + S1 + ch + SHA256_K[i] + w[i]) >>> 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) >>> 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) >>> 0;
+      }
+      [a, b, c, d, e, f, g, hh].forEach((v, i) => {
+        hash[i] = (hash[i] + v) >>> 0;
+      });
+    }
+    return hash.map((v) => v.toString(16).padStart(8, "0")).join("");
+  }
+
+  // JSON with object keys sorted, so the same entry always hashes the same
+  function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+    if (value && typeof value === "object") {
+      return `{${Object.keys(value)
+        .sort()
+        .filter((k) => value[k] !== undefined)
+        .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  // Audit log: append-only, hash-chained entries kept under their own key
+  function loadAuditLog() {
+    try {
+      const txt = storage.getItem(AUDIT_KEY);
+      return txt ? JSON.parse(txt) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function auditEntryHash(entry) {
+    const { hash, ...body } = entry;
+    return sha256Hex(`${entry.prevHash}\n${canonicalJson(body)}`);
+  }
+
+  // Append entries ({ actor, action, targetType, targetId, diff }) with a single write of the
+  // log, dropping the oldest ones that do not fit within AUDIT_MAX_CHARS
+  function appendAudit(entries) {
+    if (!entries.length) return;
+    const log = loadAuditLog();
+    const at = nowIso();
+    entries.forEach(({ actor, action, targetType, targetId, diff }) => {
+      const prev = log[log.length - 1];
+      const entry = {
+        seq: prev ? prev.seq + 1 : 1,
+        at,
+        actor: actor || "system",
+        action,
+        targetType,
+        targetId: targetId == null ? null : String(targetId),
+        diff: {
+          before: redactSecrets(targetType, diff.before),
+          after: redactSecrets(targetType, diff.after),
+        },
+        prevHash: prev ? prev.hash : AUDIT_GENESIS,
+      };
+      entry.hash = auditEntryHash(entry);
+      log.push(entry);
+    });
+    // Newest first: each entry, the comma before it and the brackets around the list
+    let start = log.length - 1;
+    let chars = JSON.stringify(log[start]).length + 2;
+    while (start > 0) {
+      chars += JSON.stringify(log[start - 1]).length + 1;
+      if (chars > AUDIT_MAX_CHARS) break;
+      start -= 1;
+    }
+    storage.setItem(AUDIT_KEY, JSON.stringify(log.slice(start)));
+  }
+
+  // One side of a diff with owners' PIN hashes and items' secret answer hashes left out; a
+  // changed PIN still shows, as REDACTED on both sides
+  function redactSecrets(targetType, values) {
+    if (!values) return values;
+    if (targetType === "items") return withoutSecrets(values);
+    if (targetType !== "owners") return values;
+    const copy = { ...values };
+    ["salt", "hash", "iterations"].forEach((k) => {
+      if (copy[k] != null) copy[k] = REDACTED;
+    });
+    return copy;
+  }
+
+  // Fields that differ between two versions of a record (history is left out: it is
+  // append-only and the status change already shows in the diff; so is the updatedAt stamp)
+  function diffRecords(before, after) {
+    const diff = { before: {}, after: {} };
+    const keys = new Set([
+      ...Object.keys(before || {}),
+      ...Object.keys(after || {}),
+    ]);
+    keys.delete("history");
+    keys.delete("updatedAt");
+    keys.forEach((k) => {
+      const a = before ? before[k] : undefined;
+      const b = after ? after[k] : undefined;
+      if (JSON.stringify(a) === JSON.stringify(b)) return;
+      diff.before[k] = a === undefined ? null : a;
+      diff.after[k] = b === undefined ? null : b;
+    });
+    return {
+      before: before ? diff.before : null,
+      after: after ? diff.after : null,
+    };
+  }
+
+  // Serialized copy of every audited record, keyed by collection and id
+  function indexRecords(db) {
+    const index = {};
+    AUDITED_COLLECTIONS.forEach((key) => {
+      index[key] = new Map(
+        (db[key] || []).map((r) => [String(r.id), JSON.stringify(r)])
+      );
+    });
+    return index;
+  }
+
+  // Records added, changed or removed since `before`: [{ collection, id, before, after }]
+  function changedRecords(db, before) {
+    const changes = [];
+    AUDITED_COLLECTIONS.forEach((key) => {
+      const seen = new Set();
+      (db[key] || []).forEach((record) => {
+        const id = String(record.id);
+        seen.add(id);
+        const prev = before[key].get(id);
+        if (prev === JSON.stringify(record)) return;
+        changes.push({
+          collection: key,
+          id: record.id,
+          before: prev ? JSON.parse(prev) : null,
+          after: record,
+        });
+      });
+      before[key].forEach((prev, id) => {
+        if (seen.has(id)) return;
+        const record = JSON.parse(prev);
+        changes.push({
+          collection: key,
+          id: record.id,
+          before: record,
+          after: null,
+        });
+      });
+    });
+    return changes;
+  }
+
+  // Write one audit entry per record changed since `before`, save the store and hand the
+  // changes to the storage adapter; `shared` filters out changes other devices must not get.
+  // The audit log goes first and is put back if the store cannot be saved, so no change is
+  // stored without its entries.
+  // Shared changes are stamped with updatedAt unless `stamp` is false (records put back as
+  // they were, e.g. by an import).
+  function commit(
+    db,
+    before,
+    action,
+    actor,
+    { shared = () => true, stamp = true } = {}
+  ) {
+    const changes = changedRecords(db, before);
+    const at = nowIso();
+    changes.forEach((change) => {
+      if (stamp && change.after && shared(change)) change.after.updatedAt = at;
+    });
+    const auditBefore = storage.getItem(AUDIT_KEY);
+    appendAudit(
+      changes.map((change) => ({
+        actor,
+        action,
+        targetType: change.collection,
+        targetId: change.id,
+        diff: diffRecords(change.before, change.after),
+      }))
+    );
+    try {
+      save(db);
+    } catch (err) {
+      if (auditBefore == null) storage.removeItem(AUDIT_KEY);
+      else storage.setItem(AUDIT_KEY, auditBefore);
+      throw err;
+    }
+    storage.recordChanges(changes.filter(shared));
+  }
+
+  // Sync hooks (storage.js). Records changed on other devices replace ours as they are;
+  // photos they no longer use are dropped. A change to the signed-in owner's account from
+  // elsewhere (a staff reset, or a PIN change the server refused) ends their session.
+  function applyRemoteChanges(changes) {
+    const db = load();
+    const before = indexRecords(db);
+    const dropped = [];
+    const owner = currentOwner();
+    changes.forEach(({ collection, id, record }) => {
+      if (!AUDITED_COLLECTIONS.includes(collection)) return;
+      if (collection === "owners" && owner?.studentId === String(id)) {
+        ownerSignOut();
+      }
+      const list = db[collection] || (db[collection] = []);
+      const at = list.findIndex((r) => String(r.id) === String(id));
+      if (at >= 0) dropped.push(...recordPhotoValues(collection, list[at]));
+      if (record && at >= 0) list[at] = record;
+      else if (record) list.push(record);
+      else if (at >= 0) list.splice(at, 1);
+    });
+    commit(db, before, "sync.pull", "sync", { shared: () => false });
+    if (dropped.length) prunePhotos(dropped);
+  }
+
+  // A field both this device and another changed: the server kept its value. Audited so
+  // admins can see what was overwritten.
+  function recordSyncConflict({ collection, id, fields, local, kept }) {
+    const pick = (record) =>
+      record
+        ? Object.fromEntries(fields.map((f) => [f, record[f] ?? null]))
+        : null;
+    appendAudit([
+      {
+        actor: "sync",
+        action: "sync.conflict",
+        targetType: collection,
+        targetId: id,
+        diff: { before: pick(local), after: pick(kept) },
+      },
+    ]);
+  }
+
+  function allRecords() {
+    const db = load();
+    return AUDITED_COLLECTIONS.flatMap((collection) =>
+      (db[collection] || []).map((record) => ({ collection, record }))
+    );
+  }
+
+  // Push waiting changes and pull other devices' changes now; without a sync server this
+  // just reports the local status
+  function syncNow() {
+    return storage.sync();
+  }
+
+  function syncStatus() {
+    return storage.status();
+  }
+
+  // Search the audit log, newest first. `query` matches actor, action, target or diff text.
+  function listAuditLog({ query } = {}) {
+    requireRole("super-admin");
+    const q = String(query || "")
+      .trim()
+      .toLowerCase();
+    return loadAuditLog()
+      .filter((entry) => !q || JSON.stringify(entry).toLowerCase().includes(q))
+      .reverse();
+  }
+
+  // Recompute the chain; reports the first entry whose hash or link does not match. Once older
+  // entries have rolled off, the chain starts at the oldest entry left (firstSeq), trusting its
+  // prevHash: entries removed from the start cannot be told from ones that rolled off.
+  function verifyAuditChain() {
+    requireRole("super-admin");
+    const log = loadAuditLog();
+    const firstSeq = log.length ? log[0].seq : null;
+    let prevHash = firstSeq > 1 ? log[0].prevHash : AUDIT_GENESIS;
+    for (let i = 0; i < log.length; i++) {
+      const entry = log[i];
+      if (entry.prevHash !== prevHash || auditEntryHash(entry) !== entry.hash) {
+        return {
+          ok: false,
+          count: log.length,
+          firstSeq,
+          brokenAt: entry.seq ?? i + 1,
+        };
+      }
+      prevHash = entry.hash;
+    }
+    return { ok: true, count: log.length, firstSeq, brokenAt: null };
+  }
+
+  function allowedTransitions(status) {
+    return ITEM_TRANSITIONS[status] || [];
+  }
+
+  function allowedFoundItemTransitions(status) {
+    return FOUND_ITEM_TRANSITIONS[status] || [];
+  }
+
+  // Move an item to a new lifecycle state and record it; throws on an illegal transition.
+  // `lifecycle` is the transition table to check against (found items use FOUND_ITEM_TRANSITIONS).
+  function transitionItem(
+    item,
+    to,
+    { actor, note, lifecycle = ITEM_TRANSITIONS } = {}
+  ) {
+    if (!(lifecycle[item.status] || []).includes(to)) {
+      throw new Error(`Cannot move item from "${item.status}" to "${to}"`);
+    }
+    item.history = item.history || [];
+    item.history.push({
+      from: item.status,
+      to,
+      actor: actor || "system",
+      note: note || "",
+      at: nowIso(),
+    });
+    item.status = to;
+  }
+
+  async function addItem({
+    itemName,
+    studentId,
+    ownerName,
+    strand,
+    email,
+    contact,
+    photoDataUrls,
+    photoDataUrl,
+    category,
+    attributes,
+    secretQuestions: questions,
+    pin,
+    ...descriptors
+  }) {
+    const sealed = await sealSecretQuestions(questions);
+    // Registering signs the owner in: with their PIN, or by setting one on first registration.
+    // A new account is only written together with the item, once the item is known to be valid.
+    let account = null;
+    if (currentOwner()?.studentId !== String(studentId || "").trim()) {
+      if (await hasOwnerAccount(studentId)) {
+        const owner = await ownerSignIn(studentId, pin);
+        if (!owner) throw new Error("Wrong PIN for this student ID");
+      } else {
+        account = await sealNewOwner(studentId, pin);
+        checkNewOwner(load(), account.id);
+      }
+    }
+    if (!account) requireOwner(studentId);
+    if (nameTaken(load(), studentId, itemName)) {
+      throw new Error(
+        "You already registered an item with this name. Please use a different name."
+      );
+    }
+    // Create and persist a new item; a single photoDataUrl is still accepted
+    const photos = await putPhotos(photoDataUrls || [photoDataUrl]);
+    const db = load();
+    const before = indexRecords(db);
+    if (account) {
+      checkNewOwner(db, account.id);
+      db.owners.push(account);
+    }
+    const item = newItem(
+      db,
+      {
+        ...descriptors,
+        itemName,
+        studentId,
+        ownerName,
+        strand,
+        email,
+        contact,
+        category,
+        attributes,
+        secretQuestions: sealed,
+        photos,
+      },
+      `owner:${studentId}`,
+      "Registered"
+    );
+    db.items.push(item);
+    commit(db, before, "item.register", `owner:${studentId}`);
+    if (account) startOwnerSession(account.id);
+    return withoutSecrets(item);
+  }
+
+  // A registered item as stored; `actor` and `note` go into its first history entry
+  function newItem(db, fields, actor, note) {
+    const createdAt = nowIso();
+    const category = knownCategory(db, fields.category);
+    return {
+      id: uuidv4(),
+      shortCode: newShortCode(new Set(db.items.map((x) => x.shortCode))),
+      itemName: fields.itemName,
+      studentId: fields.studentId,
+      ownerName: fields.ownerName,
+      category,
+      attributes: cleanAttributes(category, fields.attributes),
+      ...Object.fromEntries(
+        ITEM_DESCRIPTORS.map(({ key }) => [
+          key,
+          String(fields[key] || "").trim() || null,
+        ])
+      ),
+      secretQuestions: fields.secretQuestions || [],
+      strand: fields.strand || null,
+      email: fields.email || null,
+      contact: fields.contact || null,
+      photos: fields.photos || [],
+      foundPhotos: [],
+      // QR generated via external service for demo; not stored
+      status: "registered",
+      history: [{ from: null, to: "registered", actor, note, at: createdAt }],
+      createdAt,
+    };
+  }
+
+  function defaultCategories(createdAt) {
+    return DEFAULT_CATEGORIES.map((c) => ({
+      id: c.id,
+      label: c.label,
+      icon: c.icon || null,
+      parent: null,
+      keywords: (c.keywords || []).slice(),
+      attributes: (c.attributes || []).map((a) => ({ ...a })),
+      createdAt,
+    }));
+  }
+
+  function slugify(text) {
+    return String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+  }
+
+  // Parents before children, siblings by label with FALLBACK_CATEGORY last; adds `depth`
+  function orderCategories(categories) {
+    const ids = new Set(categories.map((c) => c.id));
+    const children = new Map();
+    categories.forEach((c) => {
+      const parent = ids.has(c.parent) ? c.parent : null;
+      if (!children.has(parent)) children.set(parent, []);
+      children.get(parent).push(c);
+    });
+    const ordered = [];
+    const walk = (parent, depth) => {
+      (children.get(parent) || [])
+        .sort(
+          (a, b) =>
+            (a.id === FALLBACK_CATEGORY) - (b.id === FALLBACK_CATEGORY) ||
+            a.label.localeCompare(b.label)
+        )
+        .forEach((c) => {
+          ordered.push({ ...c, depth });
+          walk(c.id, depth + 1);
+        });
+    };
+    walk(null, 0);
+    return ordered;
+  }
+
+  // Ordered taxonomy, cached like the search index since every card label reads it
+  let categoryCache = { txt: null, list: [] };
+
+  function listCategories() {
+    const txt = storage.getItem(DB_KEY);
+    if (txt !== null && txt === categoryCache.txt) return categoryCache.list;
+    const list = orderCategories(load().categories);
+    categoryCache = { txt: storage.getItem(DB_KEY), list };
+    return list;
+  }
+
+  function getCategory(id) {
+    return listCategories().find((c) => c.id === id) || null;
+  }
+
+  // Ids of a category and its ancestors, nearest first
+  function categoryLineage(categories, id) {
+    const lineage = [];
+    let current = categories.find((c) => c.id === id);
+    while (current && !lineage.includes(current.id)) {
+      lineage.push(current.id);
+      current = categories.find((c) => c.id === current.parent);
+    }
+    return lineage;
+  }
+
+  // Custom fields for items in a category: inherited ones first, then its own
+  function categoryAttributes(id) {
+    const categories = listCategories();
+    const fields = new Map();
+    categoryLineage(categories, id)
+      .reverse()
+      .forEach((cid) => {
+        categories
+          .find((c) => c.id === cid)
+          .attributes.forEach((a) => fields.set(a.key, a));
+      });
+    return [...fields.values()];
+  }
+
+  // Best category for a free-text name: the deepest category with a keyword in it
+  function inferCategory(name) {
+    const text = String(name || "").toLowerCase();
+    if (!text) return FALLBACK_CATEGORY;
+    const match = listCategories()
+      .filter((c) => c.keywords.some((k) => text.includes(k)))
+      .sort((a, b) => b.depth - a.depth)[0];
+    return match ? match.id : FALLBACK_CATEGORY;
+  }
+
+  // A record's category, falling back when the id is missing or unknown
+  function knownCategory(db, id) {
+    return db.categories.some((c) => c.id === id) ? id : FALLBACK_CATEGORY;
+  }
+
+  // Keep only non-empty values for the category's fields
+  function cleanAttributes(category, attributes) {
+    const values = {};
+    categoryAttributes(category).forEach(({ key }) => {
+      const value = String((attributes || {})[key] || "").trim();
+      if (value) values[key] = value;
+    });
+    return values;
+  }
+
+  // Descriptors and category field values a record has, as [{ key, label, value, sensitive }].
+  // Sensitive ones are only included with { sensitive: true } (owner-proof and staff views).
+  function describeRecord(record, { sensitive = false } = {}) {
+    const values = record.attributes || {};
+    return ITEM_DESCRIPTORS.map((d) => ({ ...d, value: record[d.key] }))
+      .concat(
+        categoryAttributes(record.category).map((a) => ({
+          ...a,
+          value: values[a.key],
+        }))
+      )
+      .filter((d) => d.value && (sensitive || !d.sensitive))
+      .map((d) => ({
+        key: d.key,
+        label: d.label,
+        value: d.value,
+        sensitive: !!d.sensitive,
+      }));
+  }
+
+  // Lower-case, accents and punctuation dropped, so "Mr. Whiskers" matches "mr whiskers".
+  // Normalization 2 (NFKD) keeps letters and digits of every script; questions stored without
+  // one were hashed under 1, which kept only a-z and 0-9, and are still checked that way.
+  function normalizeAnswer(answer, normalization = ANSWER_NORMALIZATION) {
+    const text = String(answer || "");
+    if (normalization < 2) {
+      return text
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+    }
+    return text
+      .normalize("NFKD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  // PBKDF2 over the salted SHA-256 hash that was stored before SECRET_ANSWER_ITERATIONS, so
+  // older entries (no `iterations`) are strengthened without knowing the answer
+  async function hashAnswer({ salt, iterations, normalization = 1 }, answer) {
+    const legacy = sha256Hex(
+      `${salt}\n${normalizeAnswer(answer, normalization)}`
+    );
+    return iterations ? pbkdf2Hex(legacy, salt, iterations) : legacy;
+  }
+
+  // [{ question, answer }] from the register form -> stored form with salted answer hashes
+  async function sealSecretQuestions(entries) {
+    const sealed = (entries || [])
+      .map((e) => ({
+        question: String(e.question || "").trim(),
+        answer: String(e.answer || "").trim(),
+      }))
+      .filter((e) => e.question || e.answer);
+    if (sealed.length > MAX_SECRET_QUESTIONS) {
+      throw new Error(`At most ${MAX_SECRET_QUESTIONS} secret questions`);
+    }
+    if (sealed.some(({ question, answer }) => !question || !answer)) {
+      throw new Error(
+        "Each secret question needs both a question and an answer"
+      );
+    }
+    if (sealed.some(({ answer }) => !normalizeAnswer(answer))) {
+      throw new Error("Secret answers need at least one letter or digit");
+    }
+    return Promise.all(
+      sealed.map(async ({ question, answer }) => {
+        const entry = {
+          question,
+          salt: uuidv4(),
+          iterations: SECRET_ANSWER_ITERATIONS,
+          normalization: ANSWER_NORMALIZATION,
+        };
+        return { ...entry, answerHash: await hashAnswer(entry, answer) };
+      })
+    );
+  }
+
+  // An item as the read functions hand it out: secret questions keep their text only, so salts
+  // and answer hashes never reach the pages
+  function withoutSecrets(item) {
+    if (!item || !item.secretQuestions) return item;
+    return {
+      ...item,
+      secretQuestions: item.secretQuestions.map(({ question }) => ({
+        question,
+      })),
+    };
+  }
+
+  // Questions (never answers) for an item's secret-question check; [] when it has none
+  function secretQuestions(itemId) {
+    const item = load().items.find((x) => x.id === itemId);
+    return ((item && item.secretQuestions) || []).map((q) => q.question);
+  }
+
+  // Resolves to { asked, correct } for answers given in question order, or null when there are
+  // no questions (or, on a kiosk, the sync server that holds the hashes cannot be reached)
+  async function secretCheck(item, answers) {
+    const questions = (item && item.secretQuestions) || [];
+    if (!questions.length) return null;
+    if (questions.some((q) => !q.answerHash)) {
+      return storage.checkSecretAnswers(item.id, answers);
+    }
+    const given = answers || [];
+    const hashes = await Promise.all(
+      questions.map((q, i) => hashAnswer(q, given[i]))
+    );
+    return {
+      asked: questions.length,
+      correct: questions.filter((q, i) => sameHash(hashes[i], q.answerHash))
+        .length,
+    };
+  }
+
+  // Staff check at the desk, before recording a handover
+  async function checkSecretAnswers(itemId, answers) {
+    requireRole("staff");
+    return secretCheck(
+      load().items.find((x) => x.id === itemId),
+      answers
+    );
+  }
+
+  // Re-hash answers stored before SECRET_ANSWER_ITERATIONS. The result depends only on the old
+  // entry, so devices upgrading the same item independently agree.
+  async function strengthenSecretAnswers() {
+    const weak = (q) => q.answerHash && !q.iterations;
+    const upgraded = new Map();
+    for (const item of load().items) {
+      for (const q of (item.secretQuestions || []).filter(weak)) {
+        upgraded.set(
+          `${q.salt}:${q.answerHash}`,
+          await pbkdf2Hex(q.answerHash, q.salt, SECRET_ANSWER_ITERATIONS)
+        );
+      }
+    }
+    if (!upgraded.size) return;
+    // Re-read so writes made while hashing are not lost
+    const db = load();
+    const before = indexRecords(db);
+    db.items.forEach((item) => {
+      (item.secretQuestions || []).forEach((q) => {
+        const hash = weak(q) && upgraded.get(`${q.salt}:${q.answerHash}`);
+        if (!hash) return;
+        q.answerHash = hash;
+        q.iterations = SECRET_ANSWER_ITERATIONS;
+      });
+    });
+    commit(db, before, "item.secret-upgrade", "system");
+  }
+
+  // Create (no `id`) or update a category (super-admin). New ids are slugs of the label;
+  // keywords are lower-cased; attribute keys are slugged from their labels when missing.
+  function saveCategory({ id, label, icon, parent, keywords, attributes }) {
+    const actor = requireRole("super-admin").username;
+    const name = String(label || "").trim();
+    if (!name) throw new Error("Category label is required");
+    const db = load();
+    const before = indexRecords(db);
+    const existing = id ? db.categories.find((c) => c.id === id) : null;
+    if (id && !existing) throw new Error("Category not found");
+    const key = existing ? existing.id : slugify(name);
+    if (!key) throw new Error("Category label needs letters or digits");
+    if (!existing && db.categories.some((c) => c.id === key)) {
+      throw new Error(`A category with id "${key}" already exists`);
+    }
+    const parentId = parent || null;
+    if (parentId) {
+      if (key === FALLBACK_CATEGORY) {
+        throw new Error(`"${name}" is the fallback and must stay top-level`);
+      }
+      if (!db.categories.some((c) => c.id === parentId)) {
+        throw new Error("Parent category not found");
+      }
+      if (categoryLineage(db.categories, parentId).includes(key)) {
+        throw new Error("A category cannot be nested under itself");
+      }
+    }
+    const fields = [];
+    (attributes || []).forEach((a) => {
+      const fieldLabel = String(a.label || "").trim();
+      const fieldKey = slugify(a.key || fieldLabel);
+      if (!fieldLabel || !fieldKey || fields.some((f) => f.key === fieldKey)) {
+        return;
+      }
+      fields.push({
+        key: fieldKey,
+        label: fieldLabel,
+        sensitive: !!a.sensitive,
+      });
+    });
+    const record = {
+      id: key,
+      label: name,
+      icon: String(icon || "").trim() || null,
+      parent: parentId,
+      keywords: [
+        ...new Set(
+          (keywords || [])
+            .map((k) => String(k).trim().toLowerCase())
+            .filter(Boolean)
+        ),
+      ],
+      attributes: fields,
+      createdAt: existing ? existing.createdAt : nowIso(),
+    };
+    if (existing) Object.assign(existing, record);
+    else db.categories.push(record);
+    commit(db, before, existing ? "category.update" : "category.create", actor);
+    return record;
+  }
+
+  // Remove a category (super-admin). Its children move up a level, and items, found items
+  // and lost reports filed under it move to its parent (FALLBACK_CATEGORY at the top).
+  // Returns the id records were moved to.
+  function deleteCategory(id) {
+    const actor = requireRole("super-admin").username;
+    if (id === FALLBACK_CATEGORY) {
+      throw new Error("The fallback category cannot be removed");
+    }
+    const db = load();
+    const before = indexRecords(db);
+    const category = db.categories.find((c) => c.id === id);
+    if (!category) throw new Error("Category not found");
+    const target = category.parent || FALLBACK_CATEGORY;
+    db.categories = db.categories.filter((c) => c !== category);
+    db.categories.forEach((c) => {
+      if (c.parent === id) c.parent = category.parent;
+    });
+    ["items", "found_items", "lost_reports"].forEach((key) => {
+      db[key].forEach((record) => {
+        if (record.category === id) record.category = target;
+      });
+    });
+    commit(db, before, "category.delete", actor);
+    return target;
+  }
+
+  function getItem(id) {
+    const db = load();
+    const item = db.items.find((x) => x.id === id) || null;
+    return withoutSecrets(item);
+  }
+
+  // Item for a code typed from a tag, or null when the code is malformed or unknown
+  function findItemByShortCode(input) {
+    if (!isValidShortCode(input)) return null;
+    const code = normalizeShortCode(input);
+    return withoutSecrets(
+      load().items.find((x) => x.shortCode === code) || null
+    );
+  }
+
+  // The signed-in owner's items
+  function listItemsByStudent(studentId, page = {}) {
+    requireOwner(studentId);
+    const db = load();
+    const result = paginate(
+      db.items.filter((item) => item.studentId === studentId),
+      page
+    );
+    result.rows = result.rows.map(withoutSecrets);
+    return result;
+  }
+
+  // Items held by staff and waiting for their owner
+  function listLostItems() {
+    const db = load();
+    return db.items
+      .filter((item) => item.status === "in-custody")
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map(withoutSecrets);
+  }
+
+  function listAllItems() {
+    const db = load();
+    return db.items
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map(withoutSecrets);
+  }
+
+  // Manual lifecycle change (e.g. admin marks returned/disposed); throws on an illegal transition
+  function setItemStatus(itemId, to, { note } = {}) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    const item = db.items.find((x) => x.id === itemId);
+    if (!item) return null;
+    transitionItem(item, to, { actor, note });
+    commit(db, before, `item.status.${to}`, actor);
+    return withoutSecrets(item);
+  }
+
+  // Keep tag signatures made on a staff device ({ itemId: sig }, see utils.js signQrTag);
+  // returns how many items changed
+  function setTagSignatures(signatures) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    let count = 0;
+    db.items.forEach((item) => {
+      const sig = signatures[item.id];
+      if (!sig || item.qrSig === sig) return;
+      item.qrSig = sig;
+      count += 1;
+    });
+    if (count) commit(db, before, "item.tag-sign", actor);
+    return count;
+  }
+
+  // PBKDF2-SHA-256 (hex) of an owner PIN or a secret answer; like admin passphrases, neither is
+  // ever stored
+  async function pbkdf2Hex(secret, salt, iterations) {
+    const enc = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      "raw",
+      enc.encode(String(secret || "")),
+      "PBKDF2",
+      false,
+      ["deriveBits"]
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: enc.encode(salt), iterations },
+      key,
+      256
+    );
+    return Array.from(new Uint8Array(bits), (b) =>
+      b.toString(16).padStart(2, "0")
+    ).join("");
+  }
+
+  async function sealOwnerPin(pin) {
+    if (String(pin || "").length < MIN_OWNER_PIN_LENGTH) {
+      throw new Error(
+        `PIN must be at least ${MIN_OWNER_PIN_LENGTH} characters`
+      );
+    }
+    const salt = uuidv4();
+    return {
+      salt,
+      hash: await pbkdf2Hex(pin, salt, OWNER_PIN_ITERATIONS),
+      iterations: OWNER_PIN_ITERATIONS,
+    };
+  }
+
+  // Compare without bailing out on the first differing character
+  function sameHash(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++)
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  function findOwner(db, studentId) {
+    const id = String(studentId || "").trim();
+    return db.owners.find((o) => o.id === id) || null;
+  }
+
+  // Resolves to whether the student ID has a PIN, asking the sync server when there is one
+  async function hasOwnerAccount(studentId) {
+    const id = String(studentId || "").trim();
+    const remote = await storage.ownerExists(id);
+    return remote ?? !!findOwner(load(), id);
+  }
+
+  function loadOwnerAttempts() {
+    try {
+      return JSON.parse(storage.getItem(OWNER_ATTEMPTS_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function recordOwnerAttempt(studentId, ok) {
+    const all = loadOwnerAttempts();
+    if (ok) delete all[studentId];
+    else {
+      const entry = all[studentId] || { failures: 0 };
+      entry.failures += 1;
+      if (entry.failures >= OWNER_MAX_ATTEMPTS) {
+        entry.lockedUntil = Date.now() + OWNER_LOCK_MS;
+        entry.failures = 0;
+      }
+      all[studentId] = entry;
+    }
+    storage.setItem(OWNER_ATTEMPTS_KEY, JSON.stringify(all));
+  }
+
+  function startOwnerSession(studentId) {
+    sessionStorage.setItem(
+      OWNER_SESSION_KEY,
+      JSON.stringify({ studentId, lastActiveAt: Date.now() })
+    );
+  }
+
+  function ownerSignOut() {
+    sessionStorage.removeItem(OWNER_SESSION_KEY);
+    storage.ownerSignOut();
+  }
+
+  // Signed-in owner { studentId, mustChange } or null once the session has gone idle.
+  // mustChange is set after a staff reset until the owner picks their own PIN.
+  function currentOwner() {
+    let session = null;
+    try {
+      session = JSON.parse(sessionStorage.getItem(OWNER_SESSION_KEY));
+    } catch (e) {}
+    if (!session) return null;
+    const owner = findOwner(load(), session.studentId);
+    if (!owner || Date.now() >= session.lastActiveAt + OWNER_SESSION_IDLE_MS) {
+      ownerSignOut();
+      return null;
+    }
+    return { studentId: owner.id, mustChange: !!owner.mustChange };
+  }
+
+  // The signed-in student's ID; throws unless they are signed in as `studentId`
+  function requireOwner(studentId) {
+    const owner = currentOwner();
+    if (!owner || owner.studentId !== String(studentId || "").trim()) {
+      throw new Error("Sign in to My Items with your student ID and PIN first");
+    }
+    if (owner.mustChange) throw new Error("Choose a new PIN first");
+    startOwnerSession(owner.studentId);
+    return owner.studentId;
+  }
+
+  // Resolves to { studentId, mustChange } and starts an owner session, or null on a wrong PIN.
+  // Repeated failures lock the student ID for OWNER_LOCK_MS.
+  async function ownerSignIn(studentId, pin) {
+    const id = String(studentId || "").trim();
+    const lockedUntil = loadOwnerAttempts()[id]?.lockedUntil || 0;
+    if (Date.now() < lockedUntil) {
+      const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+      throw new Error(
+        `Too many wrong PINs. Try again in ${minutes} minute(s) or ask staff to reset it.`
+      );
+    }
+    const remote = await storage.ownerSignIn(id, pin);
+    if (remote !== null) {
+      recordOwnerAttempt(id, remote);
+      if (!remote) return null;
+      startOwnerSession(id);
+      return { studentId: id, mustChange: !!findOwner(load(), id)?.mustChange };
+    }
+    const owner = findOwner(load(), id);
+    // Hash even for unknown IDs so timing does not reveal which accounts exist
+    const hash = await pbkdf2Hex(
+      pin,
+      owner ? owner.salt : "",
+      owner ? owner.iterations : OWNER_PIN_ITERATIONS
+    );
+    if (!owner || !sameHash(hash, owner.hash)) {
+      recordOwnerAttempt(id, false);
+      return null;
+    }
+    recordOwnerAttempt(id, true);
+    startOwnerSession(id);
+    return { studentId: id, mustChange: !!owner.mustChange };
+  }
+
+  // A student's first PIN. Anyone may pick one for an unused student ID. Items registered under
+  // the ID before PINs existed show its email and contact number to whoever scans their tag, so
+  // those students get their first PIN through a staff reset code instead. Signs the new owner in.
+  async function setupOwnerAccount(studentId, pin) {
+    const account = await sealNewOwner(studentId, pin);
+    const db = load();
+    const before = indexRecords(db);
+    checkNewOwner(db, account.id);
+    db.owners.push(account);
+    commit(db, before, "owner.create", `owner:${account.id}`);
+    startOwnerSession(account.id);
+    return { studentId: account.id, mustChange: false };
+  }
+
+  // A new owner record with its sealed PIN; throws if the sync server already has the account
+  async function sealNewOwner(studentId, pin) {
+    const id = String(studentId || "").trim();
+    if (!id) throw new Error("Student ID is required");
+    const secret = await sealOwnerPin(pin);
+    if (await storage.ownerExists(id)) {
+      throw new Error("This student ID already has a PIN. Sign in instead.");
+    }
+    return { id, ...secret, createdAt: nowIso() };
+  }
+
+  // Throws unless `db` lets student `id` pick their own first PIN (see setupOwnerAccount)
+  function checkNewOwner(db, id) {
+    if (findOwner(db, id)) {
+      throw new Error("This student ID already has a PIN. Sign in instead.");
+    }
+    if (db.items.some((x) => x.studentId === id)) {
+      throw new Error(
+        "Items are already registered under this student ID. Ask staff for a one-time code to set your PIN."
+      );
+    }
+  }
+
+  // The signed-in owner replaces their PIN (after re-entering the current one or a staff reset code)
+  async function changeOwnerPin(currentPin, nextPin) {
+    const owner = currentOwner();
+    if (!owner) {
+      throw new Error("Sign in to My Items with your student ID and PIN first");
+    }
+    const account = findOwner(load(), owner.studentId);
+    const hash = await pbkdf2Hex(currentPin, account.salt, account.iterations);
+    if (!sameHash(hash, account.hash)) return false;
+    const secret = await sealOwnerPin(nextPin);
+    const db = load();
+    const before = indexRecords(db);
+    const fresh = findOwner(db, owner.studentId);
+    Object.assign(fresh, secret);
+    delete fresh.mustChange;
+    commit(db, before, "owner.pin.change", `owner:${owner.studentId}`);
+    startOwnerSession(owner.studentId);
+    return true;
+  }
+
+  // Staff reset for a student who forgot their PIN, or whose items predate PINs, after checking
+  // their ID in person. Returns a one-time code; the student signs in with it and must then
+  // choose a new PIN.
+  async function resetOwnerPin(studentId) {
+    const actor = requireRole("staff").username;
+    const id = String(studentId || "").trim();
+    if (!id) throw new Error("Student ID is required");
+    const code = newShortCode(new Set());
+    const secret = await sealOwnerPin(code);
+    const db = load();
+    const before = indexRecords(db);
+    let owner = findOwner(db, id);
+    if (!owner) {
+      if (!db.items.some((x) => x.studentId === id)) {
+        throw new Error("No items are registered under this student ID");
+      }
+      owner = { id, createdAt: nowIso() };
+      db.owners.push(owner);
+    }
+    Object.assign(owner, secret, {
+      mustChange: true,
+      resetBy: actor,
+      resetAt: nowIso(),
+    });
+    commit(db, before, "owner.pin.reset", actor);
+    recordOwnerAttempt(id, true);
+    return code;
+  }
+
+  // Item names are unique per student (case-insensitive); `exceptId` skips the item being renamed
+  function nameTaken(db, studentId, itemName, exceptId) {
+    const name = String(itemName || "")
+      .trim()
+      .toLowerCase();
+    return db.items.some(
+      (x) =>
+        x.id !== exceptId &&
+        x.studentId === studentId &&
+        String(x.itemName || "")
+          .trim()
+          .toLowerCase() === name
+    );
+  }
+
+  // The signed-in owner's item; throws when it is missing or belongs to someone else
+  function ownedItem(db, itemId) {
+    const item = db.items.find((x) => x.id === itemId);
+    if (!item) throw new Error("Item not found");
+    requireOwner(item.studentId);
+    return item;
+  }
+
+  // Owner edit of an item's details, category fields, descriptors, photo gallery and (when
+  // given) secret questions. `photos` is the new ordered gallery: the item's existing photo
+  // references and/or new data URLs. Photos dropped from the gallery are deleted.
+  async function updateItem(itemId, changes) {
+    const text = (v) => String(v || "").trim() || null;
+    const details = Object.fromEntries(
+      OWNER_EDITABLE.concat(ITEM_DESCRIPTORS.map(({ key }) => key))
+        .filter((key) => key in changes)
+        .map((key) => [key, text(changes[key])])
+    );
+    const sealed = changes.secretQuestions
+      ? await sealSecretQuestions(changes.secretQuestions)
+      : null;
+    // Check everything before storing new photos, so a rejected edit leaves nothing behind
+    const db0 = load();
+    const current = ownedItem(db0, itemId);
+    const next = { ...current, ...details };
+    if (!next.itemName || !next.ownerName) {
+      throw new Error("Item name and owner name are required");
+    }
+    if (nameTaken(db0, next.studentId, next.itemName, itemId)) {
+      throw new Error("You already registered an item with this name");
+    }
+    let photos = null;
+    if (changes.photos) {
+      const own = new Set(current.photos);
+      const kept = changes.photos.filter(
+        (p) => p && (!isPhotoRef(p) || own.has(p))
+      );
+      if (!kept.length) throw new Error("Keep at least one photo");
+      photos = await putPhotos(kept);
+    }
+
+    const db = load();
+    const before = indexRecords(db);
+    const item = ownedItem(db, itemId);
+    Object.assign(item, details);
+    if ("category" in changes) {
+      item.category = knownCategory(db, changes.category);
+    }
+    if ("category" in changes || "attributes" in changes) {
+      item.attributes = cleanAttributes(
+        item.category,
+        changes.attributes || item.attributes
+      );
+    }
+    if (sealed) item.secretQuestions = sealed;
+    const removed = photos
+      ? item.photos.filter((ref) => !photos.includes(ref))
+      : [];
+    if (photos) item.photos = photos;
+    commit(db, before, "item.update", `owner:${item.studentId}`);
+    await prunePhotos(removed);
+    return withoutSecrets(item);
   }
 
-  function init() {
-    const db = {
-      items: [],
-      found_reports: [],
-      claims: [],
-      seq: { found_reports: 0, claims: 0 },
+  // Owner retires an item they no longer carry; it keeps its history and can be restored
+  function archiveItem(itemId) {
+    const db = load();
+    const before = indexRecords(db);
+    const item = ownedItem(db, itemId);
+    const actor = `owner:${item.studentId}`;
+    transitionItem(item, "archived", { actor, note: "Archived by owner" });
+    commit(db, before, "item.archive", actor);
+    return withoutSecrets(item);
+  }
+
+  function restoreItem(itemId) {
+    const db = load();
+    const before = indexRecords(db);
+    const item = ownedItem(db, itemId);
+    const actor = `owner:${item.studentId}`;
+    transitionItem(item, "registered", { actor, note: "Restored by owner" });
+    commit(db, before, "item.restore", actor);
+    return withoutSecrets(item);
+  }
+
+  // Owner removes an item for good, together with the found reports, claims and lost reports
+  // that point at it and their photos. Resolves to how many linked records were removed.
+  async function deleteItem(itemId) {
+    const db = load();
+    const before = indexRecords(db);
+    const item = ownedItem(db, itemId);
+    if (STAFF_HELD_STATES.includes(item.status)) {
+      throw new Error(
+        "Staff are holding this item. Collect it before deleting it."
+      );
+    }
+    const linked = (record) => record.itemId === itemId;
+    const removed = {
+      items: [item],
+      found_reports: db.found_reports.filter(linked),
+      claims: db.claims.filter(linked),
+      lost_reports: db.lost_reports.filter(linked),
+    };
+    db.items = db.items.filter((x) => x !== item);
+    ["found_reports", "claims", "lost_reports"].forEach((key) => {
+      db[key] = db[key].filter((record) => !linked(record));
+    });
+    commit(db, before, "item.delete", `owner:${item.studentId}`);
+    await prunePhotos(photoValuesOf(removed));
+    return {
+      foundReports: removed.found_reports.length,
+      claims: removed.claims.length,
+      lostReports: removed.lost_reports.length,
     };
-    save(db);
-    return db;
   }
 
-  function save(db) {
-    localStorage.setItem(DB_KEY, JSON.stringify(db));
+  // Intake for a found item without a QR tag; staff confirm the drop-off before it is listed
+  async function addFoundItem({
+    description,
+    category,
+    colour,
+    brand,
+    location,
+    dropOffPoint,
+    finderName,
+    finderContact,
+    photoDataUrl,
+  }) {
+    const photoPath = await putPhoto(photoDataUrl);
+    const db = load();
+    const before = indexRecords(db);
+    const createdAt = nowIso();
+    const found = {
+      id: uuidv4(),
+      description,
+      category: knownCategory(db, category),
+      colour: colour || null,
+      brand: brand || null,
+      location,
+      dropOffPoint,
+      finderName,
+      finderContact: finderContact || null,
+      photoPath,
+      status: "reported-found",
+      history: [
+        {
+          from: null,
+          to: "reported-found",
+          actor: `finder:${finderName}`,
+          note: `Found at ${location}; dropped off at ${dropOffPoint}`,
+          at: createdAt,
+        },
+      ],
+      createdAt,
+    };
+    db.found_items.push(found);
+    commit(db, before, "found-item.create", `finder:${finderName}`);
+    return found;
   }
 
-  function nowIso() {
-    return new Date().toISOString();
+  // Untagged found items, newest first; `status` narrows to one lifecycle state
+  function listFoundItems({ status } = {}) {
+    const db = load();
+    return db.found_items
+      .filter((found) => !status || found.status === status)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
   }
 
-  function uuidv4() {
-    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
-    // Fallback
-    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(
-      /[xy]/g,
-      function (c) {
-        const r = (Math.random() * 16) | 0,
-          v = c === "x" ? r : (r & 0x3) | 0x8;
-        return v.toString(16);
-      }
-    );
+  // Staff lifecycle change for an untagged found item (e.g. confirm the drop-off)
+  function setFoundItemStatus(foundItemId, to, { note } = {}) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    const found = db.found_items.find((x) => sameId(x.id, foundItemId));
+    if (!found) return null;
+    transitionItem(found, to, {
+      actor,
+      note,
+      lifecycle: FOUND_ITEM_TRANSITIONS,
+    });
+    commit(db, before, `found-item.status.${to}`, actor);
+    return found;
   }
 
-  function addItem({
-    itemName,
+  // Owner reports something missing: a registered item (itemId, checked against studentId)
+  // or a free-text description of an untagged item. Returns null if the item is not theirs
+  // or already has an open lost report.
+  function addLostReport({
+    itemId,
     studentId,
     ownerName,
-    strand,
-    email,
     contact,
-    photoDataUrl,
+    description,
     category,
+    lastSeenLocation,
+    lastSeenAt,
   }) {
-    // Create and persist a new item
+    requireOwner(studentId);
     const db = load();
-    const id = uuidv4();
-    const item = {
-      id,
-      itemName,
+    const before = indexRecords(db);
+    const item = itemId ? db.items.find((x) => x.id === itemId) : null;
+    if (itemId && (!item || item.studentId !== studentId)) return null;
+    if (
+      item &&
+      db.lost_reports.some((r) => r.itemId === item.id && r.status === "open")
+    ) {
+      return null;
+    }
+    const report = {
+      id: uuidv4(),
+      itemId: item ? item.id : null,
       studentId,
-      ownerName,
-      category: category || "other",
-      strand: strand || null,
-      email: email || null,
-      contact: contact || null,
-      photoPath: photoDataUrl || null,
-      // QR generated via external service for demo; not stored
-      status: "registered",
+      ownerName: ownerName || item?.ownerName || "",
+      contact: contact || item?.contact || null,
+      description: description || item?.itemName || "",
+      category: knownCategory(db, category || item?.category),
+      lastSeenLocation,
+      lastSeenAt: lastSeenAt || null,
+      status: "open",
       createdAt: nowIso(),
     };
-    db.items.push(item);
-    save(db);
-    return item;
+    db.lost_reports.push(report);
+    commit(db, before, "lost-report.create", `owner:${studentId}`);
+    return report;
   }
 
-  function getItem(id) {
+  // Lost reports, newest first; filter by owner and/or status. Staff see every report,
+  // owners only their own.
+  function listLostReports({ studentId, status } = {}) {
+    if (!(window.ifoundAuth && ifoundAuth.hasRole("staff"))) {
+      requireOwner(studentId);
+    }
     const db = load();
-    const item = db.items.find((x) => x.id === id) || null;
-    return item;
+    return db.lost_reports
+      .filter((r) => !studentId || r.studentId === studentId)
+      .filter((r) => !status || r.status === status)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  function closeLostReport(report, status, note, actor) {
+    report.status = status;
+    report.closedBy = actor;
+    report.closedAt = nowIso();
+    report.closeNote = note || "";
   }
 
-  function listItemsByStudent(studentId) {
+  // The owner found it themselves or no longer needs help
+  function withdrawLostReport(lostReportId, studentId) {
+    requireOwner(studentId);
     const db = load();
-    return db.items
-      .filter((item) => item.studentId === studentId)
-      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    const before = indexRecords(db);
+    const report = db.lost_reports.find((r) => sameId(r.id, lostReportId));
+    if (!report || report.status !== "open" || report.studentId !== studentId) {
+      return false;
+    }
+    const actor = `owner:${studentId}`;
+    closeLostReport(report, "withdrawn", "Withdrawn by owner", actor);
+    commit(db, before, "lost-report.withdraw", actor);
+    return true;
   }
 
-  function listLostItems() {
+  function resolveLostReport(lostReportId, { note } = {}) {
+    const actor = requireRole("staff").username;
     const db = load();
-    return db.items
-      .filter((item) => item.status === "lost")
-      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    const before = indexRecords(db);
+    const report = db.lost_reports.find((r) => sameId(r.id, lostReportId));
+    if (!report || report.status !== "open") return false;
+    closeLostReport(report, "resolved", note, actor);
+    commit(db, before, "lost-report.resolve", actor);
+    return true;
+  }
+
+  // Everything a lost report can be matched against, as matching.js profiles.
+  // Closed reports and items already back with someone are left out.
+  function matchCandidates(db) {
+    const reports = db.found_reports
+      .filter((r) => ["pending", "needs-info", "verified"].includes(r.status))
+      .map((report) => {
+        const item = db.items.find((x) => x.id === report.itemId);
+        return {
+          kind: "found_report",
+          id: report.id,
+          itemId: report.itemId,
+          title: item?.itemName || "Unknown item",
+          category: item?.category || null,
+          text: item?.itemName || "",
+          location: report.location,
+          at: report.createdAt,
+          photoPath: report.photos[0] || item?.photos[0] || null,
+          status: report.status,
+        };
+      });
+    const foundItems = db.found_items
+      .filter((f) => ["reported-found", "in-custody"].includes(f.status))
+      .map((found) => ({
+        kind: "found_item",
+        id: found.id,
+        itemId: null,
+        title: found.description,
+        category: found.category,
+        text: [found.description, found.colour, found.brand].join(" "),
+        location: found.location,
+        at: found.createdAt,
+        photoPath: found.photoPath,
+        status: found.status,
+      }));
+    return reports.concat(foundItems);
+  }
+
+  function rankLostReport(db, report, candidates) {
+    const item = report.itemId
+      ? db.items.find((x) => x.id === report.itemId)
+      : null;
+    const profile = {
+      itemId: report.itemId,
+      category: report.category,
+      text: [report.description, item?.itemName].join(" "),
+      location: report.lastSeenLocation,
+      // Unknown last-seen time scores as neutral rather than "lost just now"
+      at: report.lastSeenAt,
+    };
+    return ifoundMatching.rankMatches(profile, candidates);
+  }
+
+  // Ranked candidates for one lost report (staff): [{ candidate, score, reasons }]
+  function listLostReportMatches(lostReportId) {
+    requireRole("staff");
+    const db = load();
+    const report = db.lost_reports.find((r) => sameId(r.id, lostReportId));
+    if (!report) return [];
+    return rankLostReport(db, report, matchCandidates(db));
   }
 
-  function addFoundReport({ itemId, finderName, location, photoDataUrl }) {
+  // Owner view: only untagged found items and finds of the owner's own item
+  function listOwnerLostReportMatches(lostReportId, studentId) {
+    requireOwner(studentId);
+    const db = load();
+    const report = db.lost_reports.find((r) => sameId(r.id, lostReportId));
+    if (!report || report.studentId !== studentId) return [];
+    const candidates = matchCandidates(db).filter(
+      (c) => c.kind === "found_item" || c.itemId === report.itemId
+    );
+    return rankLostReport(db, report, candidates);
+  }
+
+  async function addFoundReport({
+    itemId,
+    finderName,
+    location,
+    photoDataUrls,
+    photoDataUrl,
+  }) {
     // Create a new found report linked to an item
+    const photos = await putPhotos(photoDataUrls || [photoDataUrl]);
     const db = load();
-    db.seq.found_reports = (db.seq.found_reports || 0) + 1;
+    const before = indexRecords(db);
     const report = {
-      id: db.seq.found_reports,
+      id: uuidv4(),
       itemId,
       finderName,
       location,
-      photoPath: photoDataUrl || null,
+      photos,
       status: "pending",
       createdAt: nowIso(),
     };
     db.found_reports.push(report);
-    save(db);
+    const item = db.items.find((x) => x.id === itemId);
+    if (item && allowedTransitions(item.status).includes("reported-found")) {
+      transitionItem(item, "reported-found", {
+        actor: `finder:${finderName}`,
+        note: `Found report #${recordNumber(report.id)} at ${location}`,
+      });
+    }
+    commit(db, before, "report.create", `finder:${finderName}`);
     return report;
   }
 
-  function listPendingReportsWithItem() {
+  // A page of found reports joined with their item; `status` narrows to one report status
+  function listReportsWithItem({ status, ...page } = {}) {
     const db = load();
-    return db.found_reports
-      .filter((report) => report.status === "pending")
-      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
-      .map((report) => {
-        const item = db.items.find((x) => x.id === report.itemId);
-        return {
-          ...report,
-          itemName: item?.itemName || "Unknown",
-          ownerName: item?.ownerName || "",
-          itemPhoto: item?.photoPath || null,
-        };
-      });
+    const result = paginate(
+      db.found_reports.filter((report) => !status || report.status === status),
+      page
+    );
+    result.rows = result.rows.map((report) => {
+      const item = db.items.find((x) => x.id === report.itemId);
+      return {
+        ...report,
+        itemName: item?.itemName || "Unknown",
+        ownerName: item?.ownerName || "",
+        itemPhotos: item?.photos || [],
+      };
+    });
+    return result;
+  }
+
+  function listPendingReportsWithItem(page = {}) {
+    return listReportsWithItem({ ...page, status: "pending" });
+  }
+
+  function findOpenReport(db, reportId) {
+    const report = db.found_reports.find((x) => sameId(x.id, reportId));
+    if (!report || !OPEN_REPORT_STATES.includes(report.status)) return null;
+    return report;
+  }
+
+  // Close a report without verifying it; if no other report is still open for
+  // its item, the item drops back from "reported-found" to "registered"
+  function closeReport(db, report, status, note, actor) {
+    report.status = status;
+    report.reviewNote = note || "";
+    report.reviewedAt = nowIso();
+    const item = db.items.find((x) => x.id === report.itemId);
+    if (!item || item.status !== "reported-found") return;
+    const stillOpen = db.found_reports.some(
+      (r) => r.itemId === item.id && OPEN_REPORT_STATES.includes(r.status)
+    );
+    if (stillOpen) return;
+    transitionItem(item, "registered", {
+      actor,
+      note: `Found report #${recordNumber(report.id)} ${status}`,
+    });
+  }
+
+  function rejectReport(reportId, reason) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    const report = findOpenReport(db, reportId);
+    if (!report) return false;
+    closeReport(db, report, "rejected", reason, actor);
+    commit(db, before, "report.reject", actor);
+    return true;
+  }
+
+  // duplicateOfId may be the original's record number as staff read it off its card
+  function markReportDuplicate(reportId, duplicateOfId) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    const report = findOpenReport(db, reportId);
+    if (!report) return false;
+    const original = findByNumber(db.found_reports, duplicateOfId);
+    if (!original || original === report) return false;
+    report.duplicateOf = original.id;
+    closeReport(
+      db,
+      report,
+      "duplicate",
+      `Duplicate of report #${recordNumber(original.id)}`,
+      actor
+    );
+    commit(db, before, "report.duplicate", actor);
+    return true;
+  }
+
+  // Park a report until the finder supplies more details; it can still be verified or rejected later
+  function requestReportInfo(reportId, message) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    const report = findOpenReport(db, reportId);
+    if (!report) return false;
+    report.status = "needs-info";
+    report.reviewNote = message || "";
+    report.reviewedAt = nowIso();
+    commit(db, before, "report.needs-info", actor);
+    return true;
   }
 
   function verifyReportMoveToLost(reportId) {
-    // Verify a found report and mark its item as lost
+    // Verify a found report and take its item into custody (listed under Lost Items)
+    const actor = requireRole("staff").username;
     const db = load();
-    const rid = Number(reportId);
-    const report = db.found_reports.find((x) => Number(x.id) === rid);
+    const before = indexRecords(db);
+    const report = findOpenReport(db, reportId);
     if (!report) return false;
     const item = db.items.find((x) => x.id === report.itemId);
     if (!item) return false;
+    if (!allowedTransitions(item.status).includes("in-custody")) return false;
     report.status = "verified";
-    item.status = "lost";
-    // If finder provided a photo, prefer it for lost listing, but keep owner photo as fallback
-    if (report.photoPath) {
-      item.foundPhotoPath = report.photoPath;
-    }
-    save(db);
+    report.reviewedAt = nowIso();
+    transitionItem(item, "in-custody", {
+      actor,
+      note: `Verified found report #${recordNumber(report.id)}`,
+    });
+    // Finder photos lead the lost listing; the owner's gallery stays alongside them
+    const known = new Set(item.foundPhotos);
+    item.foundPhotos = item.foundPhotos
+      .concat(report.photos.filter((ref) => !known.has(ref)))
+      .slice(-MAX_PHOTOS);
+    commit(db, before, "report.verify", actor);
     return true;
   }
 
-  function addClaim({ itemId, claimantName }) {
-    // Mark item as claimed and create a claim record
+  // The registered item or untagged found item a claim is for, with its transition table
+  function claimTarget(db, claim) {
+    if (claim.foundItemId != null) {
+      const record = db.found_items.find((x) =>
+        sameId(x.id, claim.foundItemId)
+      );
+      return { record, lifecycle: FOUND_ITEM_TRANSITIONS };
+    }
+    const record = db.items.find((x) => x.id === claim.itemId);
+    return { record, lifecycle: ITEM_TRANSITIONS };
+  }
+
+  function sameClaimTarget(a, b) {
+    return (
+      (a.itemId ?? null) === (b.itemId ?? null) &&
+      (a.foundItemId ?? null) === (b.foundItemId ?? null)
+    );
+  }
+
+  // File a claim for an item in custody; it stays pending until an admin approves or denies it.
+  // Pass `itemId` for a registered item or `foundItemId` for an untagged found item. With no
+  // registered owner to compare against, found-item claims must describe the item as evidence.
+  async function addClaim({
+    itemId,
+    foundItemId,
+    claimantName,
+    claimantStudentId,
+    claimantContact,
+    proofDescription,
+    proofPhotoDataUrl,
+    secretAnswers,
+  }) {
+    const ref = {
+      itemId: foundItemId != null ? null : itemId,
+      foundItemId: foundItemId != null ? String(foundItemId) : null,
+    };
+    if (ref.foundItemId != null && !String(proofDescription || "").trim()) {
+      return null;
+    }
+    const target = claimTarget(load(), ref).record;
+    if (!target || target.status !== "in-custody") return null;
+    // Only the outcome is kept; the claimant's answers are not stored
+    const check = ref.itemId ? await secretCheck(target, secretAnswers) : null;
+    const proofPhotoPath = await putPhoto(proofPhotoDataUrl);
     const db = load();
-    const item = db.items.find((x) => x.id === itemId);
-    if (!item) return null;
-    db.seq.claims = (db.seq.claims || 0) + 1;
+    const before = indexRecords(db);
+    const { record } = claimTarget(db, ref);
+    if (!record || record.status !== "in-custody") return null;
     const claim = {
-      id: db.seq.claims,
-      itemId,
+      id: uuidv4(),
+      ...ref,
       claimantName,
+      claimantStudentId: claimantStudentId || null,
+      claimantContact: claimantContact || null,
+      proofDescription: proofDescription || "",
+      proofPhotoPath,
+      status: "pending",
       createdAt: nowIso(),
     };
+    if (check) claim.secretCheck = check;
     db.claims.push(claim);
-    item.status = "claimed";
-    item.lastClaimedAt = claim.createdAt;
-    save(db);
+    commit(db, before, "claim.create", `claimant:${claimantName}`);
+    return claim;
+  }
+
+  function findClaim(db, claimId, status) {
+    const claim = db.claims.find((x) => sameId(x.id, claimId));
+    if (!claim || claim.status !== status) return null;
     return claim;
   }
 
-  function listClaimsWithItem() {
+  // Approve a pending claim: the item becomes claimed and competing pending claims are denied
+  function approveClaim(claimId, { note } = {}) {
+    const actor = requireRole("staff").username;
     const db = load();
-    return db.claims
-      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
-      .map((claim) => {
-        const item = db.items.find((x) => x.id === claim.itemId);
+    const before = indexRecords(db);
+    const claim = findClaim(db, claimId, "pending");
+    if (!claim) return false;
+    const { record: item, lifecycle } = claimTarget(db, claim);
+    if (!item || !(lifecycle[item.status] || []).includes("claimed")) {
+      return false;
+    }
+    const reviewedAt = nowIso();
+    Object.assign(claim, {
+      status: "approved",
+      reviewedBy: actor,
+      reviewedAt,
+      reviewNote: note || "",
+    });
+    db.claims
+      .filter((c) => sameClaimTarget(c, claim) && c.status === "pending")
+      .forEach((c) => {
+        Object.assign(c, {
+          status: "denied",
+          reviewedBy: actor,
+          reviewedAt,
+          reviewNote: `Claim #${recordNumber(
+            claim.id
+          )} was approved for this item`,
+        });
+      });
+    transitionItem(item, "claimed", {
+      actor,
+      note: `Approved claim #${recordNumber(claim.id)} by ${
+        claim.claimantName
+      }`,
+      lifecycle,
+    });
+    item.lastClaimedAt = reviewedAt;
+    commit(db, before, "claim.approve", actor);
+    return true;
+  }
+
+  function denyClaim(claimId, { reason } = {}) {
+    const actor = requireRole("staff").username;
+    const db = load();
+    const before = indexRecords(db);
+    const claim = findClaim(db, claimId, "pending");
+    if (!claim) return false;
+    Object.assign(claim, {
+      status: "denied",
+      reviewedBy: actor,
+      reviewedAt: nowIso(),
+      reviewNote: reason || "",
+    });
+    commit(db, before, "claim.deny", actor);
+    return true;
+  }
+
+  // Record the physical handover of an approved claim by the signed-in admin. `secretAnswers`
+  // are the collector's answers at the desk; the outcome is recorded as releaseCheck.
+  async function releaseClaim(claimId, { secretAnswers } = {}) {
+    const releasedBy = requireRole("staff").username;
+    const pending = findClaim(load(), claimId, "approved");
+    const check =
+      pending && secretAnswers
+        ? await secretCheck(claimTarget(load(), pending).record, secretAnswers)
+        : null;
+    const db = load();
+    const before = indexRecords(db);
+    const claim = findClaim(db, claimId, "approved");
+    if (!claim) return false;
+    const { record: item, lifecycle } = claimTarget(db, claim);
+    if (
+      !item ||
+      !(lifecycle[item.status] || []).includes("returned-to-owner")
+    ) {
+      return false;
+    }
+    claim.status = "released";
+    claim.releasedBy = releasedBy;
+    claim.releasedAt = nowIso();
+    if (check) claim.releaseCheck = check;
+    transitionItem(item, "returned-to-owner", {
+      actor: releasedBy,
+      note: `Released to ${claim.claimantName} (claim #${recordNumber(
+        claim.id
+      )})`,
+      lifecycle,
+    });
+    commit(db, before, "claim.release", releasedBy);
+    return true;
+  }
+
+  // A page of claims joined with their item; `status` narrows to one claim status.
+  // Found-item claims carry the found record as `foundItem` and have no owner fields.
+  function listClaimsWithItem({ status, ...page } = {}) {
+    const db = load();
+    const result = paginate(
+      db.claims.filter((claim) => !status || claim.status === status),
+      page
+    );
+    result.rows = result.rows.map((claim) => {
+      if (claim.foundItemId != null) {
+        const found = claimTarget(db, claim).record;
         return {
           ...claim,
-          itemName: item?.itemName || "",
-          ownerName: item?.ownerName || "",
-          studentId: item?.studentId || "",
+          itemName: found?.description || "",
+          ownerName: "",
+          studentId: "",
+          itemPhotos: found?.photoPath ? [found.photoPath] : [],
+          foundItem: found || null,
         };
+      }
+      const item = db.items.find((x) => x.id === claim.itemId);
+      return {
+        ...claim,
+        itemName: item?.itemName || "",
+        ownerName: item?.ownerName || "",
+        studentId: item?.studentId || "",
+        itemPhotos: item?.photos || [],
+      };
+    });
+    return result;
+  }
+
+  // Gallery search index. Rebuilt only when the stored JSON changes, so typing in the
+  // search box does not re-parse the whole store on every keystroke.
+  let searchIndex = { txt: null, docs: [] };
+
+  function searchTokens(text) {
+    return String(text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  function dateTokens(iso) {
+    const d = iso ? new Date(iso) : null;
+    if (!d || Number.isNaN(d.getTime())) return [];
+    const month = d.toLocaleString("en", { month: "long" }).toLowerCase();
+    return [
+      iso.slice(0, 10),
+      month,
+      month.slice(0, 3),
+      String(d.getFullYear()),
+    ];
+  }
+
+  function galleryDoc(
+    kind,
+    record,
+    { name, owner, location, date, attributes, categories }
+  ) {
+    // The record's category and its ancestors, so filtering or searching by a parent finds it
+    const lineage = categoryLineage(
+      categories,
+      categories.some((c) => c.id === record.category)
+        ? record.category
+        : FALLBACK_CATEGORY
+    );
+    const labels = lineage.map(
+      (id) => categories.find((c) => c.id === id).label
+    );
+    return {
+      kind,
+      record,
+      categories: lineage,
+      location: location || "",
+      date: date || record.createdAt || null,
+      fields: {
+        name: searchTokens(name),
+        category: [...new Set(lineage.concat(searchTokens(labels.join(" "))))],
+        attributes: searchTokens(attributes.filter(Boolean).join(" ")),
+        location: searchTokens(location),
+        owner: searchTokens(owner),
+        date: dateTokens(date || record.createdAt),
+      },
+    };
+  }
+
+  function buildGalleryDocs(db) {
+    const categories = db.categories;
+    const items = db.items
+      .filter((item) => GALLERY_STATES.includes(item.status))
+      .map((item) => {
+        // Where and when it was found: the latest verified report and custody entry
+        const report = db.found_reports
+          .filter((r) => r.itemId === item.id && r.status === "verified")
+          .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))[0];
+        const custody = (item.history || [])
+          .filter((e) => e.to === "in-custody")
+          .pop();
+        return galleryDoc("item", item, {
+          name: item.itemName,
+          owner: item.ownerName,
+          location: report?.location,
+          date: custody?.at || report?.createdAt,
+          attributes: describeRecord(item).map((d) => d.value),
+          categories,
+        });
+      });
+    const found = db.found_items
+      .filter((f) => GALLERY_STATES.includes(f.status))
+      .map((f) =>
+        galleryDoc("found_item", f, {
+          name: f.description,
+          owner: "",
+          location: f.location,
+          date: f.createdAt,
+          attributes: [f.colour, f.brand],
+          categories,
+        })
+      );
+    return items.concat(found);
+  }
+
+  function galleryDocs() {
+    const txt = storage.getItem(DB_KEY);
+    if (txt !== null && txt === searchIndex.txt) return searchIndex.docs;
+    const docs = buildGalleryDocs(load());
+    searchIndex = { txt: storage.getItem(DB_KEY), docs };
+    return docs;
+  }
+
+  // Edit distance with adjacent transpositions, giving up once it exceeds `max`
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (
+          prev2 &&
+          i > 1 &&
+          j > 1 &&
+          a[i - 1] === b[j - 2] &&
+          a[i - 2] === b[j - 1]
+        ) {
+          row[j] = Math.min(row[j], prev2[j - 2] + 1);
+        }
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // How well one query term matches one indexed token: 1 exact, 0.8 prefix,
+  // less for typos (1 edit allowed from 4 letters, 2 from 8), 0 otherwise
+  function termScore(term, token) {
+    if (term === token) return 1;
+    if (term.length >= 2 && token.startsWith(term)) return 0.8;
+    if (term.length < 4) return 0;
+    const max = term.length >= 8 ? 2 : 1;
+    const dist = editDistance(term, token, max);
+    return dist <= max ? 0.7 - 0.15 * (dist - 1) : 0;
+  }
+
+  // Best weighted match of a term in a document, plus the tokens it matched per field
+  function matchTerm(doc, term) {
+    let best = 0;
+    const hits = {};
+    Object.entries(doc.fields).forEach(([field, tokens]) => {
+      tokens.forEach((token) => {
+        const score = termScore(term, token);
+        if (!score) return;
+        best = Math.max(best, score * SEARCH_WEIGHTS[field]);
+        (hits[field] = hits[field] || []).push(token);
+      });
+    });
+    return { best, hits };
+  }
+
+  // Ranked gallery search over registered and untagged items.
+  // Every query term must match some field (typos allowed); filters narrow the set first.
+  // `status` is one of GALLERY_STATES or "all"; `from`/`to` are YYYY-MM-DD found dates.
+  // `sort` is "relevance" (best first, then newest), "newest" or "oldest" by found date.
+  // Returns a page whose rows are { kind: "item" | "found_item", record, score,
+  //   matched: { field: [tokens] }, location, date }.
+  function searchLostItems({
+    query,
+    category,
+    status = "in-custody",
+    location,
+    from,
+    to,
+    sort = "relevance",
+    offset = 0,
+    limit,
+  } = {}) {
+    const terms = [...new Set(searchTokens(query))];
+    const place = searchTokens(location).join(" ");
+    const results = [];
+    galleryDocs().forEach((doc) => {
+      if (status !== "all" && doc.record.status !== status) return;
+      if (
+        category &&
+        category !== "all" &&
+        !doc.categories.includes(category)
+      ) {
+        return;
+      }
+      if (place && !doc.fields.location.join(" ").includes(place)) return;
+      const day = (doc.date || "").slice(0, 10);
+      if (from && (!day || day < from)) return;
+      if (to && (!day || day > to)) return;
+      let score = 0;
+      const matched = {};
+      for (const term of terms) {
+        const { best, hits } = matchTerm(doc, term);
+        if (!best) return;
+        score += best;
+        Object.entries(hits).forEach(([field, tokens]) => {
+          matched[field] = [...new Set((matched[field] || []).concat(tokens))];
+        });
+      }
+      results.push({
+        kind: doc.kind,
+        record: withoutSecrets(doc.record),
+        score: Math.round(score * 100) / 100,
+        matched,
+        location: doc.location,
+        date: doc.date,
       });
+    });
+    const newest = (a, b) => ((a.date || "") < (b.date || "") ? 1 : -1);
+    const orders = {
+      relevance: (a, b) => b.score - a.score || newest(a, b),
+      newest,
+      oldest: (a, b) => newest(b, a),
+    };
+    return paginate(results, { sort, offset, limit }, orders);
   }
 
   function analytics() {
     const db = load();
     const total = db.items.length;
-    const claimed = db.items.filter((i) => i.status === "claimed").length;
-    const lost = db.items.filter((i) => i.status === "lost").length;
-    const pendingReports = db.found_reports.filter(
-      (r) => r.status === "pending"
+    const count = (status) =>
+      db.items.filter((i) => i.status === status).length;
+    const claimed = count("claimed");
+    const returned = count("returned-to-owner");
+    const inCustody = count("in-custody");
+    const disposed = count("disposed");
+    const countReports = (status) =>
+      db.found_reports.filter((r) => r.status === status).length;
+    const pendingReports = countReports("pending");
+    const needsInfoReports = countReports("needs-info");
+    const rejectedReports = countReports("rejected");
+    const duplicateReports = countReports("duplicate");
+    const pendingClaims = db.claims.filter(
+      (c) => c.status === "pending"
+    ).length;
+    const countFound = (status) =>
+      db.found_items.filter((f) => f.status === status).length;
+    const foundItemsAwaitingDropOff = countFound("reported-found");
+    const foundItemsInCustody = countFound("in-custody");
+    const openLostReports = db.lost_reports.filter(
+      (r) => r.status === "open"
     ).length;
-    const recoveryRate = total ? Math.round((claimed / total) * 100) : 0;
-    return { total, claimed, lost, pendingReports, recoveryRate };
+    const recoveryRate = total
+      ? Math.round(((claimed + returned) / total) * 100)
+      : 0;
+    return {
+      total,
+      claimed,
+      returned,
+      inCustody,
+      disposed,
+      pendingReports,
+      needsInfoReports,
+      rejectedReports,
+      duplicateReports,
+      pendingClaims,
+      foundItemsAwaitingDropOff,
+      foundItemsInCustody,
+      openLostReports,
+      recoveryRate,
+    };
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Snapshot of the store; referenced photos are inlined under `photos` so the file is
+  // self-contained. Owner accounts (PIN hashes) are left out unless `owners` is set, which only
+  // encrypted backups do.
+  async function exportAll({ owners = false } = {}) {
+    requireRole("super-admin");
+    const { owners: accounts, ...db } = load();
+    if (owners) db.owners = accounts;
+    const refs = new Set(photoValuesOf(db).filter(isPhotoRef));
+    const photos = {};
+    for (const ref of refs) {
+      const blob = await getPhotoBlob(ref);
+      if (blob) photos[ref] = await blobToDataUrl(blob);
+    }
+    return { ...db, photos };
+  }
+
+  // How each collection's records are named in the import preview
+  const RECORD_LABELS = {
+    items: (r) => `Item ${r.itemName} (${r.studentId})`,
+    found_reports: (r) =>
+      `Found report #${recordNumber(r.id)} by ${r.finderName}`,
+    found_items: (r) => `Found item #${recordNumber(r.id)}: ${r.description}`,
+    lost_reports: (r) => `Lost report #${recordNumber(r.id)}: ${r.description}`,
+    claims: (r) => `Claim #${recordNumber(r.id)} by ${r.claimantName}`,
+    categories: (r) => `Category ${r.label}`,
+    owners: (r) => `Owner account ${r.id}`,
+  };
+
+  // Last change to a record: its updatedAt stamp, or for records from before stamps the
+  // latest of its other timestamps (createdAt, reviewedAt, history entries...)
+  function recordTime(record) {
+    const times = Object.keys(record)
+      .filter((k) => k.endsWith("At") && typeof record[k] === "string")
+      .map((k) => record[k]);
+    (record.history || []).forEach((entry) => entry.at && times.push(entry.at));
+    return times.sort().pop() || "";
   }
 
-  function exportAll() {
-    return load();
+  // A copy of an export file brought up to the current schema
+  function upgradeImport(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Not an ifound export file");
+    }
+    return migrate(JSON.parse(JSON.stringify(data)));
+  }
+
+  // Compare an (upgraded) import file with the store, record by record:
+  // - adds: records the store does not hold yet
+  // - updates: the file's copy differs and changed more recently
+  // - conflicts: the copies differ and ours is as new or newer
+  function planImport(db, data) {
+    const plan = { adds: [], updates: [], conflicts: [], unchanged: 0 };
+    AUDITED_COLLECTIONS.forEach((collection) => {
+      const local = new Map(
+        (db[collection] || []).map((r) => [String(r.id), r])
+      );
+      (data[collection] || []).forEach((incoming) => {
+        if (!incoming || incoming.id == null) return;
+        const entry = {
+          collection,
+          id: incoming.id,
+          key: `${collection}/${incoming.id}`,
+          label: RECORD_LABELS[collection](incoming),
+          incoming,
+        };
+        const mine = local.get(String(incoming.id));
+        if (!mine) {
+          plan.adds.push(entry);
+          return;
+        }
+        if (canonicalJson(mine) === canonicalJson(incoming)) {
+          plan.unchanged += 1;
+          return;
+        }
+        entry.fields = [
+          ...new Set([...Object.keys(mine), ...Object.keys(incoming)]),
+        ].filter(
+          (k) =>
+            k !== "updatedAt" &&
+            canonicalJson(mine[k]) !== canonicalJson(incoming[k])
+        );
+        entry.localAt = recordTime(mine);
+        entry.incomingAt = recordTime(incoming);
+        if (entry.incomingAt > entry.localAt) plan.updates.push(entry);
+        else plan.conflicts.push(entry);
+      });
+    });
+    return plan;
+  }
+
+  // Dry run of importMerge: what the file would add, update or clash with. Nothing is written.
+  function previewImport(data) {
+    requireRole("super-admin");
+    const plan = planImport(load(), upgradeImport(data));
+    const brief = ({ incoming, ...entry }) => entry;
+    return {
+      adds: plan.adds.map(brief),
+      updates: plan.updates.map(brief),
+      conflicts: plan.conflicts.map(brief),
+      unchanged: plan.unchanged,
+    };
   }
 
-  function importMerge(data) {
-    if (!data || typeof data !== "object") return false;
+  // Merge an export file into the store. New records are always added. For records both sides
+  // hold, `policy` (IMPORT_POLICIES) decides which copy stays:
+  // - "newest": the file's copy when it changed more recently (previewImport's updates)
+  // - "keep-local": always ours
+  // - "per-record": `choices` { "<collection>/<id>": "incoming" | "local" }, newest-wins for
+  //   records without a choice
+  // Resolves to the number of records added, updated and kept.
+  async function importMerge(data, { policy = "newest", choices = {} } = {}) {
+    const actor = requireRole("super-admin").username;
+    if (!IMPORT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown import policy: ${policy}`);
+    }
+    data = upgradeImport(data);
+    const plan = planImport(load(), data);
+    const takeIncoming = (entry, newer) => {
+      if (policy === "keep-local") return false;
+      if (policy === "per-record" && choices[entry.key]) {
+        return choices[entry.key] === "incoming";
+      }
+      return newer;
+    };
+    const updated = plan.updates
+      .filter((entry) => takeIncoming(entry, true))
+      .concat(plan.conflicts.filter((entry) => takeIncoming(entry, false)));
+    const kept = plan.updates
+      .concat(plan.conflicts)
+      .filter((entry) => !updated.includes(entry));
+    const taken = plan.adds.concat(updated);
+    // Restore the photos the taken records use, under their original references
+    const refs = new Set(
+      taken.flatMap((entry) =>
+        recordPhotoValues(entry.collection, entry.incoming)
+      )
+    );
+    for (const [ref, dataUrl] of Object.entries(data.photos || {})) {
+      if (!refs.has(ref) || !isPhotoRef(ref) || !dataUrl) continue;
+      if (await localPhotoBlob(ref)) continue;
+      await storePhotoBlob(ref, await toBlob(dataUrl));
+    }
     const db = load();
-    function mergeArray(key, uniqueBy) {
-      const existing = new Map(db[key].map((x) => [uniqueBy(x), x]));
-      for (const item of data[key] || []) {
-        if (!existing.has(uniqueBy(item))) db[key].push(item);
+    const before = indexRecords(db);
+    const dropped = [];
+    taken.forEach(({ collection, id, incoming }) => {
+      const list = db[collection] || (db[collection] = []);
+      const at = list.findIndex((r) => sameId(r.id, id));
+      if (at >= 0) {
+        dropped.push(...recordPhotoValues(collection, list[at]));
+        list[at] = incoming;
+      } else {
+        list.push(incoming);
+      }
+    });
+    // Short codes are only unique within one store; re-issue imported codes that clash
+    const codes = new Set();
+    db.items.forEach((item) => {
+      if (!item.shortCode || codes.has(item.shortCode)) {
+        item.shortCode = newShortCode(codes);
+      } else {
+        codes.add(item.shortCode);
       }
+    });
+    // Imported records keep their own updatedAt, which the "newest" policy compares
+    commit(db, before, "store.import", actor, { stamp: false });
+    if (dropped.length) await prunePhotos(dropped);
+    // Older exports may still carry inline data URLs and weaker answer hashes
+    await migrateInlinePhotos();
+    await strengthenSecretAnswers();
+    return {
+      added: plan.adds.length,
+      updated: updated.length,
+      kept: kept.length,
+    };
+  }
+
+  // Snapshots (backup.js): photo references the store text uses
+  function snapshotPhotoRefs(text) {
+    try {
+      return photoValuesOf(JSON.parse(text)).filter(isPhotoRef);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // What putting an (upgraded) snapshot back would do, record by record:
+  // - restored: records the snapshot holds that are gone here
+  // - removed: records added here since the snapshot
+  // - changed: records both hold that differ
+  function planRestore(db, data) {
+    const plan = { restored: [], removed: [], changed: [], unchanged: 0 };
+    AUDITED_COLLECTIONS.forEach((collection) => {
+      const then = new Map(
+        (data[collection] || []).map((r) => [String(r.id), r])
+      );
+      (db[collection] || []).forEach((record) => {
+        const old = then.get(String(record.id));
+        then.delete(String(record.id));
+        const entry = {
+          collection,
+          id: record.id,
+          label: RECORD_LABELS[collection](old || record),
+        };
+        if (!old) plan.removed.push(entry);
+        else if (canonicalJson(old) === canonicalJson(record)) {
+          plan.unchanged += 1;
+        } else plan.changed.push(entry);
+      });
+      then.forEach((record) =>
+        plan.restored.push({
+          collection,
+          id: record.id,
+          label: RECORD_LABELS[collection](record),
+        })
+      );
+    });
+    return plan;
+  }
+
+  // Dry run of restoreSnapshot for a snapshot from ifoundBackup.getSnapshot
+  function previewRestore(snapshot) {
+    requireRole("super-admin");
+    return planRestore(load(), upgradeImport(JSON.parse(snapshot.data)));
+  }
+
+  // Put the store back as it was when the snapshot was taken. Unlike importMerge this replaces
+  // every collection, so records added since are removed; with a sync server the restore goes
+  // out to the other devices like any other change. Resolves to previewRestore's counts.
+  async function restoreSnapshot(snapshot) {
+    const actor = requireRole("super-admin").username;
+    const data = upgradeImport(JSON.parse(snapshot.data));
+    for (const [ref, blob] of Object.entries(snapshot.photos || {})) {
+      if (!isPhotoRef(ref) || (await localPhotoBlob(ref))) continue;
+      await storePhotoBlob(ref, blob);
     }
-    mergeArray("items", (x) => x.id);
-    mergeArray("found_reports", (x) => x.id);
-    mergeArray("claims", (x) => x.id);
-    // fix sequences
-    db.seq.found_reports = Math.max(
-      db.seq.found_reports || 0,
-      ...db.found_reports.map((x) => x.id).concat(0)
+    const db = load();
+    const before = indexRecords(db);
+    const plan = planRestore(db, data);
+    const dropped = photoValuesOf(db);
+    AUDITED_COLLECTIONS.forEach((key) => {
+      db[key] = data[key] || [];
+    });
+    // Restored records go back exactly as they were in the snapshot
+    commit(db, before, "store.restore", actor, { stamp: false });
+    await prunePhotos(dropped);
+    return {
+      restored: plan.restored.length,
+      removed: plan.removed.length,
+      changed: plan.changed.length,
+    };
+  }
+
+  // Spreadsheet exports: the collections that can be exported as tables
+  const EXPORT_TABLES = ["items", "found_reports", "claims"];
+
+  // Photo ids (references without "idb:") for photo columns
+  function photoIds(refs) {
+    return []
+      .concat(refs || [])
+      .filter(isPhotoRef)
+      .map((ref) => ref.slice(PHOTO_PREFIX.length))
+      .join(" ");
+  }
+
+  // Columns of each export table: { key, label, value(record, joined), photo? }. `joined` is the
+  // registered item a report is about, or the item or found item a claim is for.
+  function exportColumns(table) {
+    const col = (key, label, value = (r) => r[key], photo = false) => ({
+      key,
+      label,
+      value,
+      photo,
+    });
+    const categoryName = (r) => getCategory(r.category)?.label || r.category;
+    const number = col("number", "Number", (r) => recordNumber(r.id));
+    const columns = {
+      items: [
+        col("id", "ID"),
+        col("shortCode", "Short code"),
+        col("itemName", "Item name"),
+        col("category", "Category", categoryName),
+        col("status", "Status"),
+        col("studentId", "Student ID"),
+        col("ownerName", "Owner name"),
+        col("strand", "Strand"),
+        col("email", "Email"),
+        col("contact", "Contact"),
+        ...ITEM_DESCRIPTORS.map(({ key, label }) => col(key, label)),
+        col("attributes", "Category fields", (r) =>
+          categoryAttributes(r.category)
+            .filter((field) => (r.attributes || {})[field.key])
+            .map((field) => `${field.label}: ${r.attributes[field.key]}`)
+            .join("; ")
+        ),
+        col("photos", "Photos", (r) => photoIds(r.photos), true),
+        col(
+          "foundPhotos",
+          "Finder photos",
+          (r) => photoIds(r.foundPhotos),
+          true
+        ),
+        col("createdAt", "Registered at"),
+        col("updatedAt", "Updated at"),
+      ],
+      found_reports: [
+        col("id", "ID"),
+        number,
+        col("itemId", "Item ID"),
+        col("itemName", "Item name", (r, item) => item?.itemName),
+        col("ownerName", "Owner name", (r, item) => item?.ownerName),
+        col("studentId", "Student ID", (r, item) => item?.studentId),
+        col("finderName", "Finder name"),
+        col("location", "Found at"),
+        col("status", "Status"),
+        col("reviewNote", "Review note"),
+        col("duplicateOf", "Duplicate of", (r) =>
+          r.duplicateOf != null ? recordNumber(r.duplicateOf) : null
+        ),
+        col("createdAt", "Reported at"),
+        col("reviewedAt", "Reviewed at"),
+        col("photos", "Photos", (r) => photoIds(r.photos), true),
+      ],
+      claims: [
+        col("id", "ID"),
+        number,
+        col("target", "For", (r) =>
+          r.foundItemId != null ? "Untagged found item" : "Registered item"
+        ),
+        col("targetId", "Item ID", (r) => r.foundItemId ?? r.itemId),
+        col("itemName", "Item name", (r, target) =>
+          r.foundItemId != null ? target?.description : target?.itemName
+        ),
+        col("ownerName", "Owner name", (r, target) =>
+          r.foundItemId != null ? null : target?.ownerName
+        ),
+        col("claimantName", "Claimant name"),
+        col("claimantStudentId", "Claimant student ID"),
+        col("claimantContact", "Claimant contact"),
+        col("proofDescription", "Proof"),
+        col("status", "Status"),
+        col("createdAt", "Filed at"),
+        col("reviewedBy", "Reviewed by"),
+        col("reviewedAt", "Reviewed at"),
+        col("reviewNote", "Review note"),
+        col("releasedBy", "Released by"),
+        col("releasedAt", "Released at"),
+        col(
+          "proofPhotoPath",
+          "Proof photo",
+          (r) => photoIds(r.proofPhotoPath),
+          true
+        ),
+      ],
+    }[table];
+    if (!columns) throw new Error(`Unknown export table: ${table}`);
+    return columns;
+  }
+
+  // Column choices for the export screen: { key, label, photo }
+  function listExportColumns(table) {
+    return exportColumns(table).map(({ key, label, photo }) => ({
+      key,
+      label,
+      photo,
+    }));
+  }
+
+  // One export table as { headers, rows } for csv.js, oldest record first. `columns` picks
+  // column keys (default: all), `from` / `to` bound createdAt (ISO times, inclusive) and
+  // `photos` is "exclude" (default) or "reference" for photo id columns.
+  function exportTable(table, { columns, from, to, photos = "exclude" } = {}) {
+    requireRole("super-admin");
+    const db = load();
+    const chosen = exportColumns(table).filter(
+      (c) =>
+        (!columns || columns.includes(c.key)) &&
+        (!c.photo || photos === "reference")
     );
-    db.seq.claims = Math.max(
-      db.seq.claims || 0,
-      ...db.claims.map((x) => x.id).concat(0)
+    const joined = (record) => {
+      if (table === "found_reports") {
+        return db.items.find((x) => x.id === record.itemId);
+      }
+      if (table === "claims") return claimTarget(db, record).record;
+      return null;
+    };
+    const rows = db[table]
+      .filter(
+        (r) =>
+          (!from || String(r.createdAt) >= from) &&
+          (!to || String(r.createdAt) <= to)
+      )
+      .sort(SORT_ORDERS.oldest)
+      .map((record) => {
+        const other = joined(record);
+        return chosen.map((c) => c.value(record, other) ?? "");
+      });
+    return { headers: chosen.map((c) => c.label), rows };
+  }
+
+  // Item fields a spreadsheet column can fill in importItems: { key, label, required? }.
+  // Category fields are keyed "attributes.<key>".
+  function itemImportFields() {
+    const attributes = new Map();
+    listCategories().forEach((c) =>
+      c.attributes.forEach((a) => {
+        if (!attributes.has(a.key)) attributes.set(a.key, a.label);
+      })
     );
-    save(db);
-    return true;
+    return [
+      { key: "itemName", label: "Item name", required: true },
+      { key: "studentId", label: "Student ID", required: true },
+      { key: "ownerName", label: "Owner name", required: true },
+      { key: "category", label: "Category" },
+      ...ITEM_DESCRIPTORS.map(({ key, label }) => ({ key, label })),
+      { key: "strand", label: "Strand" },
+      { key: "email", label: "Email" },
+      { key: "contact", label: "Contact" },
+      ...[...attributes].map(([key, label]) => ({
+        key: `attributes.${key}`,
+        label,
+      })),
+    ];
+  }
+
+  // Register items in bulk from spreadsheet rows (e.g. a school property list). rows are
+  // objects keyed by itemImportFields() keys, in file order. Rows with problems are skipped
+  // and reported as { row, field, message }, counting the header as row 1; with dryRun nothing
+  // is written. Owners get their first My Items PIN later as a staff reset code.
+  // Returns { items: number of items (to be) registered, errors }.
+  function importItems(rows, { dryRun = false } = {}) {
+    const actor = requireRole("super-admin").username;
+    const db = load();
+    const before = indexRecords(db);
+    const fields = itemImportFields();
+    const categories = listCategories();
+    const errors = [];
+    let count = 0;
+    rows.forEach((row, i) => {
+      const value = (key) => String(row[key] ?? "").trim();
+      const problems = [];
+      const fail = (field, message) =>
+        problems.push({ row: i + 2, field, message });
+      fields
+        .filter((f) => f.required && !value(f.key))
+        .forEach((f) => fail(f.key, `${f.label} is missing`));
+      let category = inferCategory(value("itemName"));
+      if (value("category")) {
+        const wanted = value("category").toLowerCase();
+        const match = categories.find(
+          (c) => c.id === wanted || c.label.toLowerCase() === wanted
+        );
+        if (match) category = match.id;
+        else fail("category", `Unknown category "${value("category")}"`);
+      }
+      if (
+        value("email") &&
+        !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value("email"))
+      ) {
+        fail("email", `"${value("email")}" is not an email address`);
+      }
+      // Also catches the same name twice in one file: accepted rows are already in db
+      if (
+        value("itemName") &&
+        nameTaken(db, value("studentId"), value("itemName"))
+      ) {
+        fail(
+          "itemName",
+          `${value("studentId")} already has an item named "${value(
+            "itemName"
+          )}"`
+        );
+      }
+      if (problems.length) {
+        errors.push(...problems);
+        return;
+      }
+      const attributes = {};
+      fields
+        .filter((f) => f.key.startsWith("attributes."))
+        .forEach((f) => {
+          attributes[f.key.slice("attributes.".length)] = value(f.key);
+        });
+      db.items.push(
+        newItem(
+          db,
+          {
+            ...Object.fromEntries(
+              fields
+                .filter((f) => !f.key.startsWith("attributes."))
+                .map((f) => [f.key, value(f.key)])
+            ),
+            category,
+            attributes,
+          },
+          actor,
+          "Imported from spreadsheet"
+        )
+      );
+      count += 1;
+    });
+    if (!dryRun && count) commit(db, before, "item.import", actor);
+    return { items: count, errors };
   }
 
+  // Resolves once inline photos from older versions have been moved to IndexedDB
+  const ready = migrateInlinePhotos()
+    .catch((e) => {
+      console.error("Photo migration failed", e);
+    })
+    .then(strengthenSecretAnswers)
+    .catch((e) => {
+      console.error("Secret answer upgrade failed", e);
+    });
+
+  // Start syncing after that, so records go out holding photo references. A read-only store
+  // stays off the server: old-shaped records must not go out and pulled ones cannot be saved.
+  ready.then(() => {
+    if (storeError()) return;
+    storage.connect({
+      schemaVersion: SCHEMA_VERSION,
+      applyRemote: applyRemoteChanges,
+      conflict: recordSyncConflict,
+      allRecords,
+      photoRefs: (collection, record) =>
+        recordPhotoValues(collection, record).filter(isPhotoRef),
+      getPhoto: localPhotoBlob,
+    });
+  });
+  // Rolling snapshots of the store (backup.js), on the admin page only
+  ready.then(() => {
+    if (!window.ifoundBackup) return;
+    ifoundBackup.connect({
+      readStore: () => storage.getItem(DB_KEY),
+      photoRefs: snapshotPhotoRefs,
+      getPhoto: localPhotoBlob,
+    });
+  });
+
   window.ifoundDB = {
     addItem,
     getItem,
@@ -250,6 +3535,79 @@
     listClaimsWithItem,
     analytics,
     exportAll,
+    previewImport,
     importMerge,
+    IMPORT_POLICIES,
+    previewRestore,
+    restoreSnapshot,
+    EXPORT_TABLES,
+    listExportColumns,
+    exportTable,
+    itemImportFields,
+    importItems,
+    photoUrl,
+    ready,
+    schemaVersion: SCHEMA_VERSION,
+    storeError,
+    restoreMigrationBackup,
+    listAllItems,
+    setItemStatus,
+    setTagSignatures,
+    allowedTransitions,
+    ITEM_STATES,
+    listReportsWithItem,
+    rejectReport,
+    markReportDuplicate,
+    requestReportInfo,
+    REPORT_STATES,
+    approveClaim,
+    denyClaim,
+    releaseClaim,
+    listAuditLog,
+    verifyAuditChain,
+    findItemByShortCode,
+    isValidShortCode,
+    addFoundItem,
+    listFoundItems,
+    setFoundItemStatus,
+    allowedFoundItemTransitions,
+    addLostReport,
+    listLostReports,
+    withdrawLostReport,
+    resolveLostReport,
+    listLostReportMatches,
+    listOwnerLostReportMatches,
+    LOST_REPORT_STATES,
+    photoSimilarity,
+    searchLostItems,
+    GALLERY_STATES,
+    listCategories,
+    getCategory,
+    categoryAttributes,
+    inferCategory,
+    saveCategory,
+    deleteCategory,
+    FALLBACK_CATEGORY,
+    ITEM_DESCRIPTORS,
+    describeRecord,
+    secretQuestions,
+    checkSecretAnswers,
+    MAX_SECRET_QUESTIONS,
+    MAX_PHOTOS,
+    updateItem,
+    archiveItem,
+    restoreItem,
+    deleteItem,
+    hasOwnerAccount,
+    ownerSignIn,
+    ownerSignOut,
+    currentOwner,
+    setupOwnerAccount,
+    changeOwnerPin,
+    resetOwnerPin,
+    MIN_OWNER_PIN_LENGTH,
+    syncNow,
+    syncStatus,
+    recordNumber,
   };
 })();
@@ -0,0 +1,104 @@
+/*
+  matching.js
+  Scores found reports and untagged found items against an owner's lost report.
+
+  Both sides are reduced to a profile { itemId?, category, text, location, at } by localdb.js.
+  A found report for the very item the owner flagged is a certain match; otherwise the score
+  (0..1) adds up weighted signals: same category, shared keywords, shared location words and
+  how soon after the last-seen time the item was found. Candidates found well before the item
+  went missing, or tagged as some other registered item, are ruled out.
+
+  Public API (window.ifoundMatching): scoreMatch, rankMatches, MATCH_WINDOW_DAYS, MIN_MATCH_SCORE
+*/
+
+(function () {
+  const WEIGHTS = { category: 0.25, keywords: 0.4, location: 0.15, time: 0.2 };
+  // Found this many days after last seen still earns part of the time score
+  const MATCH_WINDOW_DAYS = 14;
+  // Allow for owners misremembering when they last saw the item
+  const GRACE_DAYS = 1;
+  const MIN_MATCH_SCORE = 0.3;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const STOP_WORDS = new Set(
+    "a an and at by for from in is it my of on or near the to with".split(" ")
+  );
+
+  function tokens(text) {
+    return new Set(
+      String(text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        // Single digits stay: "Room 5" and "Room 3" are different places
+        .filter((t) => (t.length > 1 || /\d/.test(t)) && !STOP_WORDS.has(t))
+    );
+  }
+
+  // Shared words, measured against the shorter side so a terse report is not penalised
+  function sharedWords(a, b) {
+    const shared = [...a].filter((t) => b.has(t));
+    const size = Math.min(a.size, b.size);
+    return { shared, ratio: size ? shared.length / size : 0 };
+  }
+
+  // 1 when found right after it went missing, tapering to 0.25 at the window's end;
+  // null when it was found before it went missing. Unknown times count as neutral.
+  function timeScore(lostAt, foundAt) {
+    const lost = Date.parse(lostAt);
+    const found = Date.parse(foundAt);
+    if (Number.isNaN(lost) || Number.isNaN(found)) return 0.5;
+    const days = (found - lost) / DAY_MS;
+    if (days < -GRACE_DAYS) return null;
+    if (days > MATCH_WINDOW_DAYS) return 0;
+    return 1 - 0.75 * (Math.max(0, days) / MATCH_WINDOW_DAYS);
+  }
+
+  // { score, reasons } for one candidate, or null when it cannot be the lost item
+  function scoreMatch(lost, candidate) {
+    const time = timeScore(lost.at, candidate.at);
+    if (time === null) return null;
+    // A tagged find belongs to exactly one registered item
+    if (candidate.itemId) {
+      if (lost.itemId !== candidate.itemId) return null;
+      return { score: 1, reasons: ["Same registered item"] };
+    }
+    const reasons = [];
+    let score = WEIGHTS.time * time;
+    if (time >= 0.5 && lost.at && candidate.at) {
+      reasons.push("Found soon after it went missing");
+    }
+    if (lost.category && lost.category === candidate.category) {
+      score += WEIGHTS.category;
+      reasons.push("Same category");
+    }
+    const words = sharedWords(tokens(lost.text), tokens(candidate.text));
+    if (words.shared.length) {
+      score += WEIGHTS.keywords * words.ratio;
+      reasons.push(`Keywords: ${words.shared.join(", ")}`);
+    }
+    const place = sharedWords(
+      tokens(lost.location),
+      tokens(candidate.location)
+    );
+    if (place.shared.length) {
+      score += WEIGHTS.location * place.ratio;
+      reasons.push(`Location: ${place.shared.join(", ")}`);
+    }
+    return { score: Math.round(score * 100) / 100, reasons };
+  }
+
+  // Candidates scoring at least MIN_MATCH_SCORE, best first: [{ candidate, score, reasons }]
+  function rankMatches(lost, candidates, { limit = 10 } = {}) {
+    return candidates
+      .map((candidate) => ({ candidate, ...scoreMatch(lost, candidate) }))
+      .filter((m) => m.score >= MIN_MATCH_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  window.ifoundMatching = {
+    scoreMatch,
+    rankMatches,
+    MATCH_WINDOW_DAYS,
+    MIN_MATCH_SCORE,
+  };
+})();
@@ -0,0 +1,1137 @@
+/*
+  sync-server.js
+  Reference sync server for ifound (storage.js serverAdapter). Plain Node, no dependencies;
+  run it on one machine on the campus LAN and point every device's config.js at it:
+
+    node server/sync-server.js --admin-key <long random string> [--port 8787] [--host 0.0.0.0]
+                               [--data ./ifound-data] [--cert cert.pem --tls-key key.pem]
+
+  Every device has its own key. A super-admin registers the device under Sync Device in
+  admin.html by typing the admin key once; the server answers with a device key that the device
+  keeps in its localStorage and sends in the X-Ifound-Key header. No key is part of the served
+  files, and removing a device (DELETE /api/devices/<id>) locks it out. Browsers only allow
+  sign-in (Web Crypto) and the offline service worker on https or localhost, so give the server a
+  certificate when devices load the pages from it.
+
+  Devices are registered as "staff" (staff desks: every change is accepted) or "kiosk" (public
+  pages: only what the kiosk flows do is accepted, see kioskRefusal()). A refused change comes
+  back with the server's record and the device goes back to it. Kiosks never receive the owners
+  collection; owners sign in through POST /api/owners/sign-in, which hands the device that one
+  owner's record after checking the PIN, with an owner session token. A kiosk's changes to an
+  existing item beyond a finder's report, and its deletions, need the item owner's token on the
+  op; it vouches for that student for OWNER_SESSION_MS.
+
+  Every record of the synced collections is kept with a revision number and the feed sequence of
+  its last change; deleted records stay as tombstones ({ record: null }) so the deletion reaches
+  every device. A change is applied as is when it was made against the current revision.
+  Otherwise mergeRecord() combines it with the server's version field by field (see there).
+
+  Reports, found items and claims had per-device counter ids before schema 11. When the first
+  device on schema 11 connects, records still filed under counter ids move to the global ids
+  localdb.js gives them (legacyRecordId(), the same rule on both sides) and the old ids become
+  tombstones. Changes devices still had queued under an old id are filed under the new one.
+
+  Endpoints (JSON), with a device key:
+  - GET  /api/status: { ok, seq, schemaVersion, device: { id, name, role } }
+  - GET  /api/changes?since=&limit=: change feed { changes: [{ seq, collection, id, rev, record }],
+    cursor, more }, one entry per record at its latest revision
+  - POST /api/changes { schemaVersion, ops: [{ opId, collection, id, baseRev, base, record,
+    ownerToken? }] }: { results: [{ opId, id, rev, record, merged?, conflicts?, refused?,
+    ownerToken? }] }, in order; id is the record's global id when the change was queued under a
+    counter id, and a kiosk that creates an owner account gets that owner's session token
+  - PUT  /api/photos/<ref>, GET /api/photos/<ref>: photo blobs by their "idb:<uuid>" reference;
+    only PHOTO_TYPES are served as images
+  - GET  /api/owners/<student id>: { exists }
+  - POST /api/owners/sign-in { studentId, pin }: { record, rev, token }, or { record: null } for a
+    wrong PIN; MAX_ATTEMPTS wrong PINs lock the student ID for LOCK_MS
+  - POST /api/claims/check { itemId, answers }: { check: { asked, correct } | null } for a
+    claimant's answers to an item in custody; MAX_ATTEMPTS wrong tries lock the item for LOCK_MS.
+    Kiosks get items' secret questions as text only, so they check answers here; a claim from a
+    kiosk keeps its secretCheck only when it is the result this server gave that kiosk.
+  With the admin key (X-Ifound-Admin-Key header):
+  - POST /api/devices { name, role }: { id, name, role, createdAt, key }; the key is only shown here
+  - GET  /api/devices: [{ id, name, role, createdAt }]
+  - DELETE /api/devices/<id>
+  Other GET requests serve the app itself from the repository root ("public/..." maps onto it,
+  as on the web host).
+
+  State lives in <data>/store.json (rewritten atomically after each change) and <data>/photos/.
+*/
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const path = require("path");
+const crypto = require("crypto");
+
+const COLLECTIONS = [
+  "items",
+  "found_reports",
+  "found_items",
+  "lost_reports",
+  "claims",
+  "categories",
+  "owners",
+];
+// Collections whose ids were per-device counters before GLOBAL_IDS_SCHEMA
+const LEGACY_ID_COLLECTIONS = [
+  "found_reports",
+  "found_items",
+  "lost_reports",
+  "claims",
+];
+const GLOBAL_IDS_SCHEMA = 11;
+const DEVICE_ROLES = ["kiosk", "staff"];
+// Statuses a record created on a kiosk may have by its first push (later offline changes fold
+// into it), per collection
+const KIOSK_NEW_STATES = {
+  items: ["registered", "reported-found", "archived"],
+  found_reports: ["pending"],
+  found_items: ["reported-found"],
+  lost_reports: ["open", "withdrawn"],
+  claims: ["pending"],
+};
+// Item moves a finder's report makes on a kiosk
+const KIOSK_FINDER_MOVES = {
+  registered: ["reported-found"],
+  "returned-to-owner": ["reported-found"],
+};
+// Item moves an owner signed in on a kiosk makes: archiving and restoring
+const KIOSK_OWNER_MOVES = {
+  registered: ["archived"],
+  "reported-found": ["archived"],
+  "returned-to-owner": ["archived"],
+  archived: ["registered"],
+};
+// Item fields a kiosk may change without and with the owner's session
+const KIOSK_FINDER_ITEM_FIELDS = ["status", "history"];
+const KIOSK_OWNER_ITEM_FIELDS = [
+  ...KIOSK_FINDER_ITEM_FIELDS,
+  "itemName",
+  "ownerName",
+  "strand",
+  "email",
+  "contact",
+  "category",
+  "attributes",
+  "colour",
+  "brand",
+  "model",
+  "serial",
+  "marks",
+  "secretQuestions",
+  "photos",
+];
+const STAFF_HELD_STATES = ["in-custody", "claimed"];
+// Records an owner's item deletion takes along
+const ITEM_LINKED_COLLECTIONS = ["found_reports", "claims", "lost_reports"];
+const LOST_REPORT_CLOSE_FIELDS = [
+  "status",
+  "closedBy",
+  "closedAt",
+  "closeNote",
+];
+// Owner PIN and secret answer hashing as in localdb.js pbkdf2Hex and hashAnswer
+const OWNER_PIN_ITERATIONS = 210000;
+const SECRET_ANSWER_ITERATIONS = 210000;
+const ANSWER_NORMALIZATION = 2;
+// Wrong PINs or secret answers in a row before the student ID or item is locked
+const MAX_ATTEMPTS = 5;
+const LOCK_MS = 5 * 60 * 1000;
+// How long an owner session handed out by sign-in vouches for that owner's changes
+const OWNER_SESSION_MS = 24 * 60 * 60 * 1000;
+// Fields whose differences never count as a conflict
+const QUIET_FIELDS = ["createdAt", "updatedAt"];
+const MAX_JSON_BYTES = 20 * 1024 * 1024;
+const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+const PHOTO_REF = /^idb:[0-9a-f-]{36}$/i;
+// Photo types served inline; anything else is sent as a download, so an uploaded page or
+// script never runs on the server's origin
+const PHOTO_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const APP_ROOT = path.resolve(__dirname, "..");
+const STATIC_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".webmanifest": "application/manifest+json",
+  ".png": "image/png",
+};
+
+function parseArgs(argv) {
+  const opts = {
+    port: Number(process.env.IFOUND_SYNC_PORT) || 8787,
+    host: process.env.IFOUND_SYNC_HOST || "0.0.0.0",
+    data: process.env.IFOUND_SYNC_DATA || "./ifound-data",
+    adminKey: process.env.IFOUND_SYNC_ADMIN_KEY || "",
+    cert: process.env.IFOUND_SYNC_CERT || "",
+    tlsKey: process.env.IFOUND_SYNC_TLS_KEY || "",
+  };
+  const names = { "--tls-key": "tlsKey", "--admin-key": "adminKey" };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = names[argv[i]] || argv[i].replace(/^--/, "");
+    if (!(name in opts)) throw new Error(`Unknown option: ${argv[i]}`);
+    opts[name] = name === "port" ? Number(argv[i + 1]) : argv[i + 1] || "";
+  }
+  return opts;
+}
+
+function isLegacyId(id) {
+  return /^\d+$/.test(String(id));
+}
+
+// Same rule as legacyRecordId() in localdb.js, so devices and the server agree on new ids
+function legacyRecordId(collection, record) {
+  const hex = crypto
+    .createHash("sha256")
+    .update(`${collection}:${record.id}:${record.createdAt || ""}`)
+    .digest("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20, 32),
+  ].join("-");
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function sha256Hex(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+// Fields that differ between two versions of a record, leaving out the updatedAt stamp
+function changedFields(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].filter((k) => k !== "updatedAt" && !sameJson(a[k], b[k]));
+}
+
+function pbkdf2Hex(secret, salt, iterations) {
+  return new Promise((resolve, reject) =>
+    crypto.pbkdf2(
+      String(secret || ""),
+      Buffer.from(String(salt), "utf8"),
+      iterations,
+      32,
+      "sha256",
+      (err, bits) => (err ? reject(err) : resolve(bits.toString("hex")))
+    )
+  );
+}
+
+function normalizeAnswer(answer, normalization) {
+  const text = String(answer || "");
+  if (normalization < 2) {
+    return text
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+  return text
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+function hashAnswer({ salt, iterations, normalization = 1 }, answer) {
+  const legacy = sha256Hex(
+    `${salt}\n${normalizeAnswer(answer, normalization)}`
+  );
+  return iterations ? pbkdf2Hex(legacy, salt, iterations) : legacy;
+}
+
+// Items as kiosks get them: secret questions keep their text only
+function forDevice(device, collection, record) {
+  if (device.role !== "kiosk" || collection !== "items" || !record) {
+    return record;
+  }
+  if (!record.secretQuestions) return record;
+  return {
+    ...record,
+    secretQuestions: record.secretQuestions.map(({ question }) => ({
+      question,
+    })),
+  };
+}
+
+// A kiosk's copy of an item with the answer hashes put back from the server's copy, for each
+// question the kiosk left as it was (new questions come with their own hashes)
+function withServerSecrets(record, server) {
+  if (!record || !record.secretQuestions) return record;
+  const known = (server && server.secretQuestions) || [];
+  return {
+    ...record,
+    secretQuestions: record.secretQuestions.map((q, i) =>
+      !q.answerHash && known[i] && known[i].question === q.question
+        ? known[i]
+        : q
+    ),
+  };
+}
+
+// Wrong guesses per key (student ID, item id) { failures, lockedUntil }; kept in memory only
+function createLimiter() {
+  const attempts = new Map();
+  return {
+    // Minutes until `key` may be tried again, or 0
+    lockedFor(key) {
+      const lockedUntil = attempts.get(key)?.lockedUntil || 0;
+      return Date.now() < lockedUntil
+        ? Math.ceil((lockedUntil - Date.now()) / 60000)
+        : 0;
+    },
+    record(key, ok) {
+      if (ok) {
+        attempts.delete(key);
+        return;
+      }
+      const entry = attempts.get(key) || { failures: 0, lockedUntil: 0 };
+      entry.failures += 1;
+      if (entry.failures >= MAX_ATTEMPTS) {
+        entry.lockedUntil = Date.now() + LOCK_MS;
+        entry.failures = 0;
+      }
+      attempts.set(key, entry);
+    },
+  };
+}
+
+function lockedError(message) {
+  const err = new Error(message);
+  err.status = 429;
+  return err;
+}
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// A pushed change has the shape of storage.js's queue entries: records are objects or null
+function isChange(op) {
+  return (
+    isObject(op) &&
+    ["string", "number"].includes(typeof op.id) &&
+    (op.baseRev == null || Number.isInteger(op.baseRev)) &&
+    [op.base, op.record].every((r) => r == null || isObject(r))
+  );
+}
+
+// Three-way merge of one record. Fields only this device changed take its value, fields only
+// the server changed keep the server's. Where both changed a field differently the server's
+// value stays and the field is reported as a conflict, except history, where both sides'
+// entries are kept in time order, and updatedAt, which keeps the later stamp. With no base
+// (two devices sent the same record as new) every differing field counts as changed on both
+// sides.
+function mergeRecord(base, local, server) {
+  const merged = { ...server };
+  const conflicts = [];
+  const keys = new Set([
+    ...Object.keys(base || {}),
+    ...Object.keys(local),
+    ...Object.keys(server),
+  ]);
+  keys.forEach((k) => {
+    const was = base ? base[k] : undefined;
+    const localChanged = !sameJson(was, local[k]);
+    const serverChanged = !sameJson(was, server[k]);
+    if (!localChanged || sameJson(local[k], server[k])) return;
+    if (!serverChanged) {
+      if (local[k] === undefined) delete merged[k];
+      else merged[k] = local[k];
+      return;
+    }
+    if (
+      k === "history" &&
+      Array.isArray(local[k]) &&
+      Array.isArray(server[k])
+    ) {
+      const seen = new Set();
+      merged[k] = server[k]
+        .concat(local[k])
+        .filter((entry) => {
+          const id = JSON.stringify(entry);
+          if (seen.has(id)) return false;
+          seen.add(id);
+          return true;
+        })
+        .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+      return;
+    }
+    if (k === "updatedAt") {
+      merged[k] = String(local[k]) > String(server[k]) ? local[k] : server[k];
+      return;
+    }
+    if (!QUIET_FIELDS.includes(k)) conflicts.push(k);
+  });
+  return { record: merged, conflicts };
+}
+
+function createSyncStore(dataDir) {
+  const file = path.join(dataDir, "store.json");
+  const photoDir = path.join(dataDir, "photos");
+  fs.mkdirSync(photoDir, { recursive: true });
+  // { seq, schemaVersion, records: { "<collection>/<id>": { collection, id, rev, seq, record } },
+  //   legacyIds: { "<collection>/<counter id>": { id, rev, movedRev } } }
+  //   devices: { "<id>": { id, name, role, keyHash, createdAt } } }
+  //   ownerSessions: { "<token hash>": { studentId, expiresAt } } }
+  let state = {
+    seq: 0,
+    schemaVersion: 0,
+    records: {},
+    legacyIds: {},
+    devices: {},
+    ownerSessions: {},
+  };
+  if (fs.existsSync(file)) state = JSON.parse(fs.readFileSync(file, "utf8"));
+  state.legacyIds = state.legacyIds || {};
+  state.devices = state.devices || {};
+  state.ownerSessions = state.ownerSessions || {};
+  const ownerAttempts = createLimiter();
+  const answerAttempts = createLimiter();
+  // "<device id>/<item id>" -> the last { asked, correct } worked out for that kiosk
+  const answerChecks = new Map();
+
+  function persist() {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+  }
+
+  function write(collection, id, record) {
+    const k = `${collection}/${id}`;
+    const entry = state.records[k] || { collection, id, rev: 0 };
+    entry.rev += 1;
+    entry.seq = ++state.seq;
+    entry.record = record;
+    state.records[k] = entry;
+    return entry;
+  }
+
+  // A record with its counter id and its links to other records replaced by global ids, as
+  // migration 11 in localdb.js does
+  function globalRecord(collection, record) {
+    if (!record) return record;
+    const moved = (c, id) => state.legacyIds[`${c}/${id}`]?.id ?? id;
+    const copy = { ...record };
+    if (isLegacyId(record.id)) {
+      copy.id =
+        state.legacyIds[`${collection}/${record.id}`]?.id ??
+        legacyRecordId(collection, record);
+      copy.legacyId = record.id;
+    }
+    if (collection === "found_reports" && isLegacyId(copy.duplicateOf)) {
+      copy.duplicateOf = moved("found_reports", copy.duplicateOf);
+    }
+    if (collection === "claims" && isLegacyId(copy.foundItemId)) {
+      copy.foundItemId = moved("found_items", copy.foundItemId);
+    }
+    return copy;
+  }
+
+  // Move every record still filed under a counter id to its global id
+  function upgradeLegacyIds() {
+    const entries = Object.values(state.records).filter(
+      (e) =>
+        LEGACY_ID_COLLECTIONS.includes(e.collection) &&
+        isLegacyId(e.id) &&
+        e.record
+    );
+    // Map every id first, so links between moving records follow along
+    entries.forEach((e) => {
+      state.legacyIds[`${e.collection}/${e.id}`] = {
+        id: legacyRecordId(e.collection, e.record),
+        rev: e.rev,
+      };
+    });
+    entries.forEach((e) => {
+      const record = globalRecord(e.collection, e.record);
+      const entry = write(e.collection, record.id, record);
+      state.legacyIds[`${e.collection}/${e.id}`].movedRev = entry.rev;
+      write(e.collection, e.id, null);
+    });
+  }
+
+  // A change a device queued under a counter id before it upgraded, filed under the global id.
+  // Its base revision carries over when it was the one that moved; an older one makes it
+  // merge against the base it sent.
+  function globalOp(op) {
+    const k = `${op.collection}/${op.id}`;
+    const moved = state.legacyIds[k];
+    const source = op.record || op.base;
+    if (!moved && !source) return op;
+    const id = moved ? moved.id : legacyRecordId(op.collection, source);
+    if (!moved) state.legacyIds[k] = { id, rev: 0, movedRev: 0 };
+    let baseRev = null;
+    if (moved && op.baseRev != null) {
+      baseRev = op.baseRev === moved.rev ? moved.movedRev : 0;
+    }
+    return {
+      ...op,
+      id,
+      baseRev,
+      base: globalRecord(op.collection, op.base),
+      record: globalRecord(op.collection, op.record),
+    };
+  }
+
+  function liveRecord(collection, id) {
+    return state.records[`${collection}/${id}`]?.record || null;
+  }
+
+  // A new owner session token for the student; only its hash is kept. The caller persists.
+  function startOwnerSession(studentId) {
+    const now = Date.now();
+    Object.entries(state.ownerSessions).forEach(([hash, s]) => {
+      if (s.expiresAt <= now) delete state.ownerSessions[hash];
+    });
+    const token = crypto.randomBytes(32).toString("base64url");
+    state.ownerSessions[sha256Hex(token)] = {
+      studentId,
+      expiresAt: now + OWNER_SESSION_MS,
+    };
+    return token;
+  }
+
+  // The student ID an op's owner session token vouches for, or null
+  function sessionOwner(token) {
+    if (typeof token !== "string" || !token) return null;
+    const session = state.ownerSessions[sha256Hex(token)];
+    return session && session.expiresAt > Date.now() ? session.studentId : null;
+  }
+
+  // Why a kiosk may not turn `current` (the server's entry) into `next`, or null when the
+  // change is one the public pages make: new records in their first status, a finder's report
+  // moving the item, and, with the owner's session token (op.ownerToken), the owner's item
+  // edits, archive, restore and deletion (with the reports and claims pointing at the item) and
+  // withdrawing a lost report. Categories the server does not have yet are let through, so the
+  // seeded taxonomy reaches a fresh server from whichever device syncs first.
+  function kioskRefusal(op, current, next) {
+    const { collection } = op;
+    const was = current ? current.record : null;
+    const byOwner = (studentId) =>
+      studentId != null && sessionOwner(op.ownerToken) === studentId;
+    if (collection === "owners") return ownerRefusal(op, current, next);
+    if (collection === "categories") {
+      return !was && next ? null : "Kiosks cannot change categories";
+    }
+    if (
+      collection === "items" &&
+      next &&
+      (next.secretQuestions || []).some(
+        (q) =>
+          !q.salt ||
+          !q.answerHash ||
+          ![undefined, SECRET_ANSWER_ITERATIONS].includes(q.iterations) ||
+          ![undefined, ANSWER_NORMALIZATION].includes(q.normalization)
+      )
+    ) {
+      return "Secret questions need their answers";
+    }
+    if (!was) {
+      if (!next) return null;
+      if (!KIOSK_NEW_STATES[collection].includes(next.status)) {
+        return `Kiosks cannot create records in "${next.status}"`;
+      }
+      if (
+        collection === "items" &&
+        (next.qrSig || next.lastClaimedAt || (next.foundPhotos || []).length)
+      ) {
+        return "Only staff sign tags or add finder photos";
+      }
+      return null;
+    }
+    if (!next) {
+      if (collection === "items") {
+        if (!byOwner(was.studentId)) {
+          return "Sign in as the item's owner to delete it";
+        }
+        return STAFF_HELD_STATES.includes(was.status)
+          ? "Staff are holding this item"
+          : null;
+      }
+      if (
+        ITEM_LINKED_COLLECTIONS.includes(collection) &&
+        was.itemId &&
+        !liveRecord("items", was.itemId)
+      ) {
+        return null;
+      }
+      return "Kiosks cannot delete this record";
+    }
+    const changed = changedFields(was, next);
+    if (collection === "items") {
+      const owner = byOwner(was.studentId);
+      const fields = owner ? KIOSK_OWNER_ITEM_FIELDS : KIOSK_FINDER_ITEM_FIELDS;
+      const other = changed.filter((f) => !fields.includes(f));
+      if (other.length) {
+        return owner
+          ? `Kiosks cannot change ${other.join(", ")}`
+          : `Sign in as the item's owner to change ${other.join(", ")}`;
+      }
+      const kept = new Set((next.history || []).map((e) => JSON.stringify(e)));
+      if (!(was.history || []).every((e) => kept.has(JSON.stringify(e)))) {
+        return "Kiosks can only add to an item's history";
+      }
+      const moves = [
+        ...(KIOSK_FINDER_MOVES[was.status] || []),
+        ...((owner && KIOSK_OWNER_MOVES[was.status]) || []),
+      ];
+      if (next.status !== was.status && !moves.includes(next.status)) {
+        return `Kiosks cannot move items from "${was.status}" to "${next.status}"`;
+      }
+      return null;
+    }
+    if (
+      collection === "lost_reports" &&
+      byOwner(was.studentId) &&
+      was.status === "open" &&
+      next.status === "withdrawn" &&
+      changed.every((f) => LOST_REPORT_CLOSE_FIELDS.includes(f))
+    ) {
+      return null;
+    }
+    return "Kiosks cannot change this record";
+  }
+
+  // Kiosks create accounts for unused student IDs and change a PIN only from the exact record
+  // they got by signing in (POST /api/owners/sign-in), so they never overwrite an account blind
+  function ownerRefusal(op, current, next) {
+    const was = current ? current.record : null;
+    if (!next) return "Kiosks cannot delete owner accounts";
+    if (
+      next.id !== op.id ||
+      next.iterations !== OWNER_PIN_ITERATIONS ||
+      next.mustChange
+    ) {
+      return "Not a valid owner account";
+    }
+    if (!was) {
+      // Students with items from before PINs get their first PIN from staff (a reset code)
+      const older = Object.values(state.records).some(
+        (e) =>
+          e.collection === "items" && e.record && e.record.studentId === next.id
+      );
+      return older ? "Ask staff for a one-time code to set this PIN" : null;
+    }
+    if (current.rev !== op.baseRev || !sameJson(op.base, was)) {
+      return "This student ID already has a PIN";
+    }
+    const changed = changedFields(was, next);
+    return changed.every((f) =>
+      ["salt", "hash", "iterations", "mustChange"].includes(f)
+    )
+      ? null
+      : "Kiosks can only change an owner's PIN";
+  }
+
+  function applyOp(op, device) {
+    if (
+      LEGACY_ID_COLLECTIONS.includes(op.collection) &&
+      isLegacyId(op.id) &&
+      state.schemaVersion >= GLOBAL_IDS_SCHEMA
+    ) {
+      op = globalOp(op);
+    }
+    const { opId, collection, id, baseRev = null } = op;
+    if (!COLLECTIONS.includes(collection) || id == null || id === "") {
+      return { opId, error: "Unknown collection or missing id" };
+    }
+    const current = state.records[`${collection}/${id}`];
+    let { base } = op;
+    let record = op.record || null;
+    // The kiosk's claim differs from what it sent, so it takes the server's copy
+    let adjusted = false;
+    if (device.role === "kiosk" && collection === "items") {
+      record = withServerSecrets(record, current?.record);
+      base = withServerSecrets(base, current?.record);
+    }
+    if (
+      device.role === "kiosk" &&
+      collection === "claims" &&
+      record?.secretCheck &&
+      !sameJson(
+        record.secretCheck,
+        answerChecks.get(`${device.id}/${record.itemId}`)
+      )
+    ) {
+      record = { ...record };
+      delete record.secretCheck;
+      adjusted = true;
+    }
+    const answer = (entry, extra = {}) => ({
+      opId,
+      id: entry.id,
+      rev: entry.rev,
+      record: forDevice(device, collection, entry.record),
+      ...extra,
+    });
+    // Store `next` unless the device's role does not allow it. A refused kiosk change gets the
+    // server's record back, except for owner accounts, which kiosks only see by signing in.
+    const accept = (next, extra) => {
+      const reason =
+        device.role === "kiosk" &&
+        kioskRefusal({ ...op, id, baseRev }, current, next);
+      if (!reason) return answer(write(collection, id, next), extra);
+      return {
+        opId,
+        id,
+        rev: current ? current.rev : 0,
+        record:
+          current && collection !== "owners"
+            ? forDevice(device, collection, current.record) ?? null
+            : null,
+        refused: reason,
+      };
+    };
+    // Never merged: a merge would hand a kiosk the account it could not sign in to
+    if (collection === "owners" && device.role === "kiosk") {
+      if (current && sameJson(current.record, record)) return answer(current);
+      const result = accept(record);
+      // Whoever just made the account is its owner on that kiosk
+      if (!current && !result.refused) {
+        result.ownerToken = startOwnerSession(id);
+      }
+      return result;
+    }
+    // Nothing changed here since the device last saw the record (or it is new everywhere)
+    if (!current || current.rev === baseRev) {
+      if (current && sameJson(current.record, record)) return answer(current);
+      return accept(record, adjusted ? { merged: true } : undefined);
+    }
+    // A resent change that already made it here
+    if (sameJson(current.record, record)) return answer(current);
+    // Deleted here while the device still had it: the deletion wins over any edit
+    if (!current.record) {
+      return answer(current, {
+        merged: true,
+        conflicts: record ? Object.keys(record) : [],
+      });
+    }
+    // The device deleted it after this side changed it: deletions win as well
+    if (!record) return accept(null);
+    const { record: merged, conflicts } = mergeRecord(
+      baseRev == null ? null : base,
+      record,
+      current.record
+    );
+    if (sameJson(merged, current.record)) {
+      return answer(current, { merged: true, conflicts });
+    }
+    return accept(merged, { merged: true, conflicts });
+  }
+
+  function publicDevice({ id, name, role, createdAt }) {
+    return { id, name, role, createdAt };
+  }
+
+  return {
+    status: (device) => ({
+      ok: true,
+      seq: state.seq,
+      schemaVersion: state.schemaVersion,
+      device: publicDevice(device),
+    }),
+    addDevice({ name, role }) {
+      if (!DEVICE_ROLES.includes(role)) {
+        const err = new Error(`Role must be one of ${DEVICE_ROLES.join(", ")}`);
+        err.status = 400;
+        throw err;
+      }
+      const key = crypto.randomBytes(32).toString("base64url");
+      const device = {
+        id: crypto.randomUUID(),
+        name: String(name || "").trim() || "Unnamed device",
+        role,
+        keyHash: sha256Hex(key),
+        createdAt: new Date().toISOString(),
+      };
+      state.devices[device.id] = device;
+      persist();
+      return { ...publicDevice(device), key };
+    },
+    listDevices: () => Object.values(state.devices).map(publicDevice),
+    removeDevice(id) {
+      if (!state.devices[id]) return false;
+      delete state.devices[id];
+      persist();
+      return true;
+    },
+    deviceForKey(key) {
+      const hash = sha256Hex(key || "");
+      return (
+        Object.values(state.devices).find((d) => keyMatches(d.keyHash, hash)) ||
+        null
+      );
+    },
+    // Devices on an older schema would write records this app version no longer reads
+    checkSchema(version) {
+      version = Number(version) || 0;
+      if (version < state.schemaVersion) {
+        const err = new Error(
+          "This device runs an older version of ifound. Reload the page to update, then sync again."
+        );
+        err.status = 409;
+        throw err;
+      }
+      if (version > state.schemaVersion) {
+        if (
+          state.schemaVersion < GLOBAL_IDS_SCHEMA &&
+          version >= GLOBAL_IDS_SCHEMA
+        ) {
+          upgradeLegacyIds();
+        }
+        state.schemaVersion = version;
+        persist();
+      }
+    },
+    // Kiosks get everything but owner accounts
+    changes(since, limit, device) {
+      const all = Object.values(state.records)
+        .filter((e) => e.seq > since)
+        .filter((e) => device.role !== "kiosk" || e.collection !== "owners")
+        .sort((a, b) => a.seq - b.seq);
+      const page = all.slice(0, limit);
+      return {
+        changes: page.map(({ seq, collection, id, rev, record }) => ({
+          seq,
+          collection,
+          id,
+          rev,
+          record: forDevice(device, collection, record),
+        })),
+        cursor: page.length ? page[page.length - 1].seq : Math.max(since, 0),
+        more: all.length > page.length,
+      };
+    },
+    push(ops, device) {
+      // Owner accounts go first: a student's first registration pushes the new account with
+      // its item, which would otherwise look like an item from before PINs
+      const first = (op) => (op.collection === "owners" ? 0 : 1);
+      const results = new Map(
+        [...ops]
+          .sort((a, b) => first(a) - first(b))
+          .map((op) => [op, applyOp(op, device)])
+      );
+      persist();
+      return ops.map((op) => results.get(op));
+    },
+    ownerExists: (studentId) => Boolean(liveRecord("owners", studentId)),
+    // { record, rev, token } of the owner's account when the PIN is right, else null; the token
+    // is the owner session kiosks send along with that owner's changes (op.ownerToken)
+    async ownerSignIn(studentId, pin) {
+      const id = String(studentId || "").trim();
+      const minutes = ownerAttempts.lockedFor(id);
+      if (minutes) {
+        throw lockedError(
+          `Too many wrong PINs. Try again in ${minutes} minute(s) or ask staff to reset it.`
+        );
+      }
+      const entry = state.records[`owners/${id}`];
+      const owner = entry?.record;
+      // Hash even for unknown IDs so timing does not reveal which accounts exist
+      const hash = await pbkdf2Hex(
+        pin,
+        owner ? owner.salt : "",
+        owner ? owner.iterations : OWNER_PIN_ITERATIONS
+      );
+      const ok = Boolean(owner) && keyMatches(owner.hash, hash);
+      ownerAttempts.record(id, ok);
+      if (!ok) return null;
+      const token = startOwnerSession(id);
+      persist();
+      return { record: owner, rev: entry.rev, token };
+    },
+    // { asked, correct } for a claimant's answers, or null when the item is not in custody or
+    // has no secret questions
+    async checkSecretAnswers(itemId, answers, device) {
+      const item = liveRecord("items", itemId);
+      const questions = (item && item.secretQuestions) || [];
+      if (!questions.length || item.status !== "in-custody") return null;
+      const minutes = answerAttempts.lockedFor(item.id);
+      if (minutes) {
+        throw lockedError(
+          `Too many wrong answers for this item. Try again in ${minutes} minute(s) or ask staff.`
+        );
+      }
+      const given = Array.isArray(answers) ? answers : [];
+      const hashes = await Promise.all(
+        questions.map((q, i) => hashAnswer(q, given[i]))
+      );
+      const check = {
+        asked: questions.length,
+        correct: questions.filter((q, i) => keyMatches(q.answerHash, hashes[i]))
+          .length,
+      };
+      answerAttempts.record(item.id, check.correct === check.asked);
+      answerChecks.set(`${device.id}/${item.id}`, check);
+      return check;
+    },
+    photoPath: (ref) => path.join(photoDir, ref.slice("idb:".length)),
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  const json = typeof body === "string" ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    ...headers,
+  });
+  res.end(json);
+}
+
+function readBody(req, max) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > max) {
+        const err = new Error("Request too large");
+        err.status = 413;
+        reject(err);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function keyMatches(expected, given) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The app's own files; dotfiles, the server folder and anything not listed in STATIC_TYPES stay private
+// A path segment with its %-escapes decoded; a malformed escape is a 400
+function decodePath(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    throw badRequest("Malformed URL");
+  }
+}
+
+function serveStatic(res, pathname) {
+  let rel = decodePath(pathname).replace(/^\/+/, "");
+  if (!rel) rel = "index.html";
+  rel = rel.replace(/^public\//, "");
+  const file = path.resolve(APP_ROOT, rel);
+  const type = STATIC_TYPES[path.extname(file)];
+  const inside = path.relative(APP_ROOT, file);
+  if (
+    !type ||
+    inside.startsWith("..") ||
+    inside.split(path.sep).some((part) => part.startsWith(".")) ||
+    inside.split(path.sep)[0] === "server" ||
+    !fs.existsSync(file)
+  ) {
+    return send(res, 404, { error: "Not found" });
+  }
+  res.writeHead(200, { "Content-Type": type });
+  fs.createReadStream(file).pipe(res);
+}
+
+// The request's JSON body, which every endpoint expects to be an object
+async function readJson(req) {
+  const body = JSON.parse(
+    (await readBody(req, MAX_JSON_BYTES)).toString("utf8")
+  );
+  if (!isObject(body)) throw badRequest("Expected a JSON object");
+  return body;
+}
+
+function createHandler(store, { adminKey }) {
+  return async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, X-Ifound-Key, X-Ifound-Admin-Key"
+    );
+    res.setHeader(
+      "Access-Control-Allow-Methods",
+      "GET, POST, PUT, DELETE, OPTIONS"
+    );
+    if (req.method === "OPTIONS") return send(res, 204, "");
+    const url = new URL(req.url, "http://localhost");
+    try {
+      if (!url.pathname.startsWith("/api/")) {
+        if (req.method !== "GET")
+          return send(res, 405, { error: "Not allowed" });
+        return serveStatic(res, url.pathname);
+      }
+      const devicePath = url.pathname.match(/^\/api\/devices(?:\/([^/]+))?$/);
+      if (devicePath) {
+        if (
+          !adminKey ||
+          !keyMatches(adminKey, req.headers["x-ifound-admin-key"])
+        ) {
+          return send(res, 401, { error: "Wrong or missing admin key" });
+        }
+        const id = devicePath[1] && decodePath(devicePath[1]);
+        if (!id && req.method === "POST") {
+          return send(res, 200, store.addDevice(await readJson(req)));
+        }
+        if (!id && req.method === "GET") {
+          return send(res, 200, store.listDevices());
+        }
+        if (id && req.method === "DELETE") {
+          return store.removeDevice(id)
+            ? send(res, 200, { ok: true })
+            : send(res, 404, { error: "No such device" });
+        }
+        return send(res, 404, { error: "Not found" });
+      }
+      const device = store.deviceForKey(req.headers["x-ifound-key"]);
+      if (!device) {
+        return send(res, 401, {
+          error:
+            "This device is not registered with the sync server. A super-admin can register it under Sync Device.",
+        });
+      }
+      if (url.pathname === "/api/status" && req.method === "GET") {
+        return send(res, 200, store.status(device));
+      }
+      if (url.pathname === "/api/changes" && req.method === "GET") {
+        store.checkSchema(url.searchParams.get("schema"));
+        const since = Number(url.searchParams.get("since")) || 0;
+        const limit = Math.min(
+          1000,
+          Math.max(1, Number(url.searchParams.get("limit")) || 500)
+        );
+        return send(res, 200, store.changes(since, limit, device));
+      }
+      if (url.pathname === "/api/changes" && req.method === "POST") {
+        const body = await readJson(req);
+        store.checkSchema(body.schemaVersion);
+        if (!Array.isArray(body.ops) || !body.ops.every(isChange)) {
+          return send(res, 400, { error: "ops must be a list of changes" });
+        }
+        return send(res, 200, { results: store.push(body.ops, device) });
+      }
+      if (url.pathname === "/api/owners/sign-in" && req.method === "POST") {
+        const { studentId, pin } = await readJson(req);
+        return send(
+          res,
+          200,
+          (await store.ownerSignIn(studentId, pin)) || { record: null }
+        );
+      }
+      if (url.pathname === "/api/claims/check" && req.method === "POST") {
+        const { itemId, answers } = await readJson(req);
+        return send(res, 200, {
+          check: await store.checkSecretAnswers(itemId, answers, device),
+        });
+      }
+      const owner = url.pathname.match(/^\/api\/owners\/([^/]+)$/);
+      if (owner && req.method === "GET") {
+        return send(res, 200, {
+          exists: store.ownerExists(decodePath(owner[1]).trim()),
+        });
+      }
+      const photo = url.pathname.match(/^\/api\/photos\/(.+)$/);
+      if (photo) {
+        const ref = decodePath(photo[1]);
+        if (!PHOTO_REF.test(ref)) {
+          return send(res, 400, { error: "Bad photo reference" });
+        }
+        const file = store.photoPath(ref);
+        if (req.method === "PUT") {
+          const bytes = await readBody(req, MAX_PHOTO_BYTES);
+          // References are random uuids, so an existing file already holds this photo
+          if (!fs.existsSync(file)) {
+            fs.writeFileSync(`${file}.tmp`, bytes);
+            fs.renameSync(`${file}.tmp`, file);
+            const type = String(req.headers["content-type"] || "")
+              .split(";")[0]
+              .trim()
+              .toLowerCase();
+            fs.writeFileSync(
+              `${file}.type`,
+              PHOTO_TYPES.includes(type) ? type : "application/octet-stream"
+            );
+          }
+          return send(res, 200, { ok: true });
+        }
+        if (req.method === "GET") {
+          if (!fs.existsSync(file))
+            return send(res, 404, { error: "No such photo" });
+          // Files stored before PHOTO_TYPES may name any type
+          const stored = fs.existsSync(`${file}.type`)
+            ? fs.readFileSync(`${file}.type`, "utf8")
+            : "";
+          const image = PHOTO_TYPES.includes(stored);
+          res.writeHead(200, {
+            "Content-Type": image ? stored : "application/octet-stream",
+            "X-Content-Type-Options": "nosniff",
+            "Content-Disposition": image ? "inline" : "attachment",
+            "Cache-Control": "private, max-age=31536000, immutable",
+          });
+          return fs.createReadStream(file).pipe(res);
+        }
+      }
+      return send(res, 404, { error: "Not found" });
+    } catch (err) {
+      if (!err.status) console.error(err);
+      return send(res, err.status || (err instanceof SyntaxError ? 400 : 500), {
+        error:
+          err.status || err instanceof SyntaxError
+            ? err.message
+            : "Server error",
+      });
+    }
+  };
+}
+
+function start(opts) {
+  if (!opts.adminKey) {
+    throw new Error(
+      "Set --admin-key (or IFOUND_SYNC_ADMIN_KEY): super-admins need it to register devices."
+    );
+  }
+  const store = createSyncStore(path.resolve(opts.data));
+  const handler = createHandler(store, opts);
+  const server =
+    opts.cert && opts.tlsKey
+      ? https.createServer(
+          {
+            cert: fs.readFileSync(opts.cert),
+            key: fs.readFileSync(opts.tlsKey),
+          },
+          handler
+        )
+      : http.createServer(handler);
+  server.listen(opts.port, opts.host, () => {
+    const scheme = opts.cert && opts.tlsKey ? "https" : "http";
+    console.log(
+      `ifound sync server on ${scheme}://${opts.host}:${
+        opts.port
+      } (data in ${path.resolve(opts.data)})`
+    );
+  });
+  return server;
+}
+
+if (require.main === module) {
+  start(parseArgs(process.argv.slice(2)));
+}
+
+module.exports = { createSyncStore, createHandler, mergeRecord, start };
@@ -0,0 +1,517 @@
+/*
+  storage.js
+  Storage adapters behind ifoundDB (localdb.js).
+
+  An adapter holds the working copy of the store as string keys, like localStorage, so reads and
+  writes stay synchronous, and hears about every committed record change:
+  - getItem(key), setItem(key, value), removeItem(key)
+  - recordChanges(changes): [{ collection, id, before, after }] after each commit; after is null
+    for a deleted record
+  - connect(handlers): start syncing, with localdb's hooks for changes made elsewhere (below)
+  - sync(): Promise of status(); status(): { mode, online, pending, lastSyncAt, lastError, conflicts }
+  - fetchPhoto(ref): Promise of a photo Blob held elsewhere, or null
+  - ownerExists(studentId), ownerSignIn(studentId, pin): Promise of the answer from elsewhere
+    (true or false), or null when only this device's copy can tell; ownerSignOut() when the
+    owner's session here ends
+  - checkSecretAnswers(itemId, answers): Promise of { asked, correct } checked elsewhere, or null
+
+  localAdapter() keeps everything in this browser's localStorage; it is used unless config.js
+  names a sync server. serverAdapter(url, { key }) keeps the same local working copy and syncs it
+  with the reference server (server/sync-server.js) on the campus LAN:
+  - `key` is this device's own key, issued when a super-admin registers the device
+    (registerDevice, admin.html Sync Device) and kept under DEVICE_KEY; it is never part of
+    config.js or any other served file.
+  - Changes are queued under QUEUE_KEY and pushed in order. The queue survives reloads and is
+    replayed whenever the server can be reached again (after each change, every POLL_MS and on
+    the browser's "online" event).
+  - The server keeps a revision per record. A change made against an older revision is merged
+    there field by field; fields changed on both sides keep the server's value and come back as
+    conflicts. Deletions win over edits. Changes a kiosk device may not make come back refused
+    with the server's record, which replaces ours.
+  - Kiosks do not receive owner accounts. ownerSignIn checks the PIN on the server, which hands
+    back that owner's record to keep here and an owner session token (so does pushing a new
+    account). Tokens are kept under OWNER_TOKENS_KEY in sessionStorage until ownerSignOut, and
+    each change to a record of that student carries the token, which the server needs before a
+    kiosk may edit or delete an existing item.
+  - Kiosks get items' secret questions as text only; the server checks claimants' answers
+    (checkSecretAnswers) and puts the answer hashes back into items kiosks send.
+  - Changes queued under a report's or claim's old counter id, from before global ids (schema
+    11), are filed by the server under the record's global id and settled under that id here.
+  - The change feed (GET /api/changes?since=) is pulled after every push and applied through
+    handlers.applyRemote, skipping records that still have local changes waiting to go out.
+  - Photos referenced by pushed records are uploaded first; photos missing here are fetched
+    on demand through fetchPhoto.
+  - The first sync on a device queues every record it already holds.
+  Each sync ends with an "ifound:sync" window event whose detail is status() plus `changed`,
+  the number of records changed by other devices.
+
+  Handlers given to connect(): schemaVersion, applyRemote([{ collection, id, record }]),
+  conflict({ collection, id, fields, local, kept }),
+  allRecords(), photoRefs(collection, record), getPhoto(ref)
+
+  Public API (window.ifoundStorage): localAdapter, serverAdapter, fromConfig, registerDevice,
+  currentDevice, forgetDevice
+*/
+
+(function () {
+  const QUEUE_KEY = "ifound_sync_queue_v1";
+  // { cursor, revs: { "<collection>/<id>": rev }, uploaded: { ref: true }, lastSyncAt, conflicts }
+  const STATE_KEY = "ifound_sync_state_v1";
+  // This device's registration with the sync server { id, name, role, createdAt, key }
+  const DEVICE_KEY = "ifound_sync_device_v1";
+  // Owner session tokens from the server for this tab { "<student id>": token }
+  const OWNER_TOKENS_KEY = "ifound_sync_owner_tokens_v1";
+  const POLL_MS = 15 * 1000;
+  // Let a burst of changes (e.g. a deletion touching several records) go out as one push
+  const CHANGE_DELAY_MS = 1000;
+  const PUSH_BATCH = 50;
+  const PULL_LIMIT = 500;
+
+  function localAdapter() {
+    return {
+      mode: "local",
+      getItem: (key) => localStorage.getItem(key),
+      setItem: (key, value) => localStorage.setItem(key, value),
+      removeItem: (key) => localStorage.removeItem(key),
+      recordChanges() {},
+      connect() {},
+      async sync() {
+        return this.status();
+      },
+      status: () => ({
+        mode: "local",
+        online: true,
+        pending: 0,
+        lastSyncAt: null,
+        lastError: null,
+        conflicts: 0,
+      }),
+      fetchPhoto: async () => null,
+      ownerExists: async () => null,
+      ownerSignIn: async () => null,
+      ownerSignOut() {},
+      checkSecretAnswers: async () => null,
+    };
+  }
+
+  function readJson(key, fallback, store = localStorage) {
+    try {
+      return JSON.parse(store.getItem(key)) || fallback;
+    } catch (e) {
+      return fallback;
+    }
+  }
+
+  function recordKey(collection, id) {
+    return `${collection}/${id}`;
+  }
+
+  function serverAdapter(url, { key = "", pollMs = POLL_MS } = {}) {
+    const adapter = localAdapter();
+    const baseUrl = String(url).replace(/\/+$/, "");
+    // Queued changes currently on their way to the server; later edits must not fold into them
+    const inFlight = new Set();
+    let handlers = null;
+    let running = null;
+    let again = false;
+    let timer = null;
+    let online = true;
+    let lastError = null;
+    let opCounter = 0;
+
+    const loadQueue = () => readJson(QUEUE_KEY, []);
+    const saveQueue = (queue) =>
+      localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+    const loadState = () => ({
+      cursor: 0,
+      revs: {},
+      uploaded: {},
+      lastSyncAt: null,
+      conflicts: 0,
+      ...readJson(STATE_KEY, {}),
+    });
+    const saveState = (state) =>
+      localStorage.setItem(STATE_KEY, JSON.stringify(state));
+    const ownerTokens = () => readJson(OWNER_TOKENS_KEY, {}, sessionStorage);
+    const saveOwnerToken = (studentId, token) =>
+      sessionStorage.setItem(
+        OWNER_TOKENS_KEY,
+        JSON.stringify({ ...ownerTokens(), [studentId]: token })
+      );
+    // The owner session that vouches for a change to a student's record, if this tab has one
+    const ownerTokenFor = (record) =>
+      record && record.studentId != null
+        ? ownerTokens()[record.studentId]
+        : undefined;
+
+    async function request(method, path, body) {
+      const headers = {};
+      if (key) headers["X-Ifound-Key"] = key;
+      const init = { method, headers, cache: "no-store" };
+      if (body instanceof Blob) {
+        headers["Content-Type"] = body.type || "application/octet-stream";
+        init.body = body;
+      } else if (body !== undefined) {
+        headers["Content-Type"] = "application/json";
+        init.body = JSON.stringify(body);
+      }
+      const res = await fetch(baseUrl + path, init);
+      if (!res.ok) {
+        let message = `Sync server error ${res.status}`;
+        try {
+          message = (await res.json()).error || message;
+        } catch (e) {}
+        const err = new Error(message);
+        err.status = res.status;
+        throw err;
+      }
+      return res;
+    }
+
+    function enqueue(changes) {
+      const queue = loadQueue();
+      changes.forEach(({ collection, id, before, after }) => {
+        const k = recordKey(collection, id);
+        const last = queue.filter((op) => op.key === k).pop();
+        // Kept with the change, so it still goes out after the owner signs out
+        const ownerToken = ownerTokenFor(before || after);
+        // Fold into the change still waiting for this record: same base, newer record
+        if (last && !inFlight.has(last.opId)) {
+          last.record = after;
+          if (ownerToken) last.ownerToken = ownerToken;
+          return;
+        }
+        queue.push({
+          opId: `${Date.now().toString(36)}-${++opCounter}`,
+          key: k,
+          collection,
+          id,
+          base: before,
+          record: after,
+          ownerToken,
+        });
+      });
+      saveQueue(queue);
+    }
+
+    function schedule(delay) {
+      clearTimeout(timer);
+      timer = setTimeout(() => adapter.sync(), delay);
+    }
+
+    async function uploadPhotos(op) {
+      if (!op.record) return;
+      const state = loadState();
+      for (const ref of handlers.photoRefs(op.collection, op.record)) {
+        if (state.uploaded[ref]) continue;
+        const blob = await handlers.getPhoto(ref);
+        // Not here means it came from another device, so the server has it already
+        if (blob) {
+          await request("PUT", `/api/photos/${encodeURIComponent(ref)}`, blob);
+        }
+        state.uploaded[ref] = true;
+        saveState(state);
+      }
+    }
+
+    // Settle one queued change from the server's answer; returns the records to apply here
+    function settle(op, result) {
+      if (result.error) {
+        console.warn("Sync server refused a change", op.key, result.error);
+        saveQueue(loadQueue().filter((o) => o.opId !== op.opId));
+        return [];
+      }
+      // Differs from op.id for a change queued under a legacy counter id
+      const id = result.id ?? op.id;
+      const k = recordKey(op.collection, id);
+      const queue = loadQueue().filter((o) => o.opId !== op.opId);
+      saveQueue(queue);
+      const state = loadState();
+      state.revs[k] = result.rev;
+      if (result.ownerToken) saveOwnerToken(id, result.ownerToken);
+      // Not allowed from this device: go back to the server's version
+      if (result.refused) {
+        console.warn("Sync server refused a change", op.key, result.refused);
+        saveState(state);
+        return [{ collection: op.collection, id, record: result.record }];
+      }
+      if (result.conflicts && result.conflicts.length) {
+        state.conflicts += 1;
+        handlers.conflict({
+          collection: op.collection,
+          id,
+          fields: result.conflicts,
+          local: op.record,
+          kept: result.record,
+        });
+      }
+      saveState(state);
+      // The server's version replaces ours unless newer local edits are still waiting
+      if (result.merged && !queue.some((o) => o.key === k)) {
+        return [{ collection: op.collection, id, record: result.record }];
+      }
+      return [];
+    }
+
+    async function push() {
+      for (;;) {
+        const batch = loadQueue().slice(0, PUSH_BATCH);
+        if (!batch.length) return 0;
+        for (const op of batch) await uploadPhotos(op);
+        const revs = loadState().revs;
+        batch.forEach((op) => inFlight.add(op.opId));
+        let results;
+        try {
+          const res = await request("POST", "/api/changes", {
+            schemaVersion: handlers.schemaVersion,
+            ops: batch.map((op) => ({
+              opId: op.opId,
+              collection: op.collection,
+              id: op.id,
+              baseRev: revs[op.key] ?? null,
+              base: op.base,
+              record: op.record,
+              ownerToken: op.ownerToken || ownerTokenFor(op.base || op.record),
+            })),
+          });
+          results = (await res.json()).results;
+        } finally {
+          batch.forEach((op) => inFlight.delete(op.opId));
+        }
+        const applied = [];
+        results.forEach((result) => {
+          const op = batch.find((o) => o.opId === result.opId);
+          if (op) applied.push(...settle(op, result));
+        });
+        if (applied.length) handlers.applyRemote(applied);
+      }
+    }
+
+    // Apply the change feed since the last cursor; resolves to the number of records changed
+    async function pull() {
+      let changed = 0;
+      for (;;) {
+        const state = loadState();
+        const res = await request(
+          "GET",
+          `/api/changes?since=${state.cursor}&limit=${PULL_LIMIT}&schema=${handlers.schemaVersion}`
+        );
+        const { changes, cursor, more } = await res.json();
+        const waiting = new Set(loadQueue().map((op) => op.key));
+        const incoming = changes.filter((c) => {
+          const k = recordKey(c.collection, c.id);
+          return !waiting.has(k) && c.rev > (state.revs[k] || 0);
+        });
+        if (incoming.length) {
+          handlers.applyRemote(
+            incoming.map(({ collection, id, record }) => ({
+              collection,
+              id,
+              record,
+            }))
+          );
+        }
+        incoming.forEach((c) => {
+          state.revs[recordKey(c.collection, c.id)] = c.rev;
+        });
+        state.cursor = cursor;
+        saveState(state);
+        changed += incoming.length;
+        if (!more) return changed;
+      }
+    }
+
+    Object.assign(adapter, {
+      mode: "server",
+      recordChanges(changes) {
+        if (!changes.length) return;
+        enqueue(changes);
+        if (handlers) schedule(CHANGE_DELAY_MS);
+      },
+      connect(hooks) {
+        handlers = hooks;
+        if (!localStorage.getItem(STATE_KEY)) {
+          saveState(loadState());
+          enqueue(
+            handlers.allRecords().map(({ collection, record }) => ({
+              collection,
+              id: record.id,
+              before: null,
+              after: record,
+            }))
+          );
+        }
+        window.addEventListener("online", () => adapter.sync());
+        setInterval(() => adapter.sync(), pollMs);
+        return adapter.sync();
+      },
+      sync() {
+        if (!handlers) return Promise.resolve(adapter.status());
+        if (running) {
+          again = true;
+          return running;
+        }
+        running = (async () => {
+          let changed = 0;
+          try {
+            do {
+              again = false;
+              await push();
+              changed += await pull();
+            } while (again);
+            online = true;
+            lastError = null;
+            const state = loadState();
+            state.lastSyncAt = new Date().toISOString();
+            saveState(state);
+          } catch (e) {
+            // A refused request (bad key, outdated app) is not the network being down
+            online = Boolean(e.status);
+            lastError = e.message;
+            console.warn("Sync failed", e);
+          } finally {
+            running = null;
+          }
+          const status = adapter.status();
+          window.dispatchEvent(
+            new CustomEvent("ifound:sync", { detail: { ...status, changed } })
+          );
+          return status;
+        })();
+        return running;
+      },
+      status() {
+        const state = loadState();
+        return {
+          mode: "server",
+          url: baseUrl,
+          online,
+          pending: loadQueue().length,
+          lastSyncAt: state.lastSyncAt,
+          lastError,
+          conflicts: state.conflicts,
+        };
+      },
+      async fetchPhoto(ref) {
+        try {
+          const res = await request(
+            "GET",
+            `/api/photos/${encodeURIComponent(ref)}`
+          );
+          return await res.blob();
+        } catch (e) {
+          return null;
+        }
+      },
+      // null while the server cannot be reached, so the caller falls back to this device's copy
+      async ownerExists(studentId) {
+        try {
+          const res = await request(
+            "GET",
+            `/api/owners/${encodeURIComponent(studentId)}`
+          );
+          return (await res.json()).exists;
+        } catch (e) {
+          return null;
+        }
+      },
+      // A right PIN brings the owner's record here, so this device can check later PIN changes
+      async ownerSignIn(studentId, pin) {
+        let answer;
+        try {
+          const res = await request("POST", "/api/owners/sign-in", {
+            studentId,
+            pin,
+          });
+          answer = await res.json();
+        } catch (e) {
+          // Locked after too many wrong PINs
+          if (e.status === 429) throw e;
+          return null;
+        }
+        if (!answer.record) return false;
+        const state = loadState();
+        state.revs[recordKey("owners", answer.record.id)] = answer.rev;
+        saveState(state);
+        if (handlers) {
+          handlers.applyRemote([
+            {
+              collection: "owners",
+              id: answer.record.id,
+              record: answer.record,
+            },
+          ]);
+        }
+        // After applying the record, which ends any earlier session of this owner here
+        saveOwnerToken(answer.record.id, answer.token);
+        return true;
+      },
+      ownerSignOut() {
+        sessionStorage.removeItem(OWNER_TOKENS_KEY);
+      },
+      async checkSecretAnswers(itemId, answers) {
+        try {
+          const res = await request("POST", "/api/claims/check", {
+            itemId,
+            answers,
+          });
+          return (await res.json()).check;
+        } catch (e) {
+          // Locked after too many wrong answers
+          if (e.status === 429) throw e;
+          return null;
+        }
+      },
+    });
+    return adapter;
+  }
+
+  // { id, name, role, createdAt } of this device's sync registration, or null
+  function currentDevice() {
+    const device = readJson(DEVICE_KEY, null);
+    if (!device) return null;
+    const { id, name, role, createdAt } = device;
+    return { id, name, role, createdAt };
+  }
+
+  // Register this device with the sync server using its admin key (which is not kept) and store
+  // the device key it issues. Takes effect on the next page load.
+  async function registerDevice(url, adminKey, { name, role }) {
+    const res = await fetch(`${String(url).replace(/\/+$/, "")}/api/devices`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Ifound-Admin-Key": adminKey,
+      },
+      body: JSON.stringify({ name, role }),
+      cache: "no-store",
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok)
+      throw new Error(body.error || `Sync server error ${res.status}`);
+    localStorage.setItem(DEVICE_KEY, JSON.stringify(body));
+    return currentDevice();
+  }
+
+  function forgetDevice() {
+    localStorage.removeItem(DEVICE_KEY);
+  }
+
+  // The adapter config.js asks for: a sync server when syncServerUrl is set, else local only
+  function fromConfig(config = {}) {
+    return config.syncServerUrl
+      ? serverAdapter(config.syncServerUrl, {
+          key: readJson(DEVICE_KEY, {}).key,
+        })
+      : localAdapter();
+  }
+
+  window.ifoundStorage = {
+    localAdapter,
+    serverAdapter,
+    fromConfig,
+    registerDevice,
+    currentDevice,
+    forgetDevice,
+  };
+})();
@@ -0,0 +1,114 @@
+/*
+  sw.js
+  Service worker that keeps ifound working with no network (e.g. on a school network without
+  internet access).
+
+  On install it precaches both pages, the manifest and icon, the stylesheet and every script,
+  including the vendored QR libraries (libs/qrcode.js encodes, libs/jsQR.js decodes). Assets are
+  listed with the same "?v=" query strings the pages use, and the cache name is derived from that
+  list: bumping a "?v=" here (and in the pages) installs a fresh cache and drops the old one.
+
+  - Versioned assets: served from the cache, falling back to the network (and caching the reply)
+  - Pages: served from the cache at once, refreshed from the network in the background
+  - Anything else (other origins, non-GET, the sync server's /api/): left to the network
+
+  Registered by registerServiceWorker() in utils.js.
+*/
+
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "admin.html",
+  "manifest.webmanifest",
+  "icon.svg",
+  "styles.css?v=20261033",
+  "public/libs/qrcode.js?v=20251105",
+  "public/libs/jsQR.js?v=20261019",
+  "public/config.js?v=20261025",
+  "public/auth.js?v=20251103",
+  "public/matching.js?v=20251103",
+  "public/imagehash.js?v=20251103",
+  "public/storage.js?v=20261042",
+  "public/backup.js?v=20261045",
+  "public/localdb.js?v=20261048",
+  "public/utils.js?v=20261041",
+  "public/tags.js?v=20261024",
+  "public/csv.js?v=20261046",
+  "public/app.js?v=20261049",
+  "public/admin.js?v=20261044",
+];
+const CACHE_PREFIX = "ifound-";
+// Checksum of the asset list, so adding, removing or bumping any asset renames the cache
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_URLS.join(" ")
+  .split("")
+  .reduce((sum, c) => (Math.imul(sum, 31) + c.charCodeAt(0)) >>> 0, 7)
+  .toString(36)}`;
+const PAGES = ["./", "index.html", "admin.html"].map(
+  (path) => new URL(path, self.location).href
+);
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop caches left by earlier versions and take over open pages straight away
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.pathname.includes("/api/"))
+    return;
+  if (request.mode === "navigate" || PAGES.includes(url.href.split("#")[0])) {
+    event.respondWith(fromCacheThenRefresh(event, request));
+  } else {
+    event.respondWith(fromCacheOrNetwork(request));
+  }
+});
+
+async function fromCacheOrNetwork(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+// Pages are matched without their query string so "index.html?x" still opens offline
+async function fromCacheThenRefresh(event, request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => null);
+  if (cached) {
+    event.waitUntil(refresh);
+    return cached;
+  }
+  return (await refresh) || Response.error();
+}
@@ -0,0 +1,280 @@
+/*
+  tags.js
+  Printable QR tag sheets for My Items (students) and the admin Items list.
+
+  Lays the selected items out on A4 or Letter sticker templates as one SVG per page.
+  Each tag holds the item's QR (generateQrDataUrl + qrPayloadFor), its name, a short code
+  and a "Found this?" instruction. Pages can be printed through the browser or saved as SVG.
+
+  Exposes functions on the global window scope:
+  - TAG_SHEETS, TAG_SIZES: available paper templates and sticker sizes (millimetres)
+  - tagShortCode(item): code printed under the item name
+  - buildTagSheets(items, { sheet, size }): Promise of SVG strings, one per page
+  - printTagSheets(items, opts), downloadTagSheets(items, opts)
+  - tagPick(itemId), pickedTagItems(container, items): per-card "include on sheet" checkboxes
+  - tagSheetControls(getItems): template/size selects with Print and Download SVG buttons
+
+  Depends on utils.js (h, generateQrDataUrl, qrPayloadFor, formatShortCode).
+*/
+
+const TAG_SHEETS = {
+  a4: { label: "A4", width: 210, height: 297 },
+  letter: { label: "Letter", width: 215.9, height: 279.4 },
+};
+// Common sticker label sizes (Avery L7651 / L7160 / L7165 footprints)
+const TAG_SIZES = {
+  small: { label: "Small (38 × 21 mm)", width: 38.1, height: 21.2 },
+  medium: { label: "Medium (63.5 × 38.1 mm)", width: 63.5, height: 38.1 },
+  large: { label: "Large (99.1 × 67.7 mm)", width: 99.1, height: 67.7 },
+};
+const TAG_SHEET_MARGIN = 4.5;
+const TAG_GAP = 2.5;
+const TAG_INSTRUCTION = ["Found this?", "Scan at ifound"];
+
+function tagShortCode(item) {
+  return formatShortCode(item.shortCode);
+}
+
+// Grid of tags that fits the sheet, centred horizontally
+function tagSheetLayout(sheetKey, sizeKey) {
+  const sheet = TAG_SHEETS[sheetKey] || TAG_SHEETS.a4;
+  const size = TAG_SIZES[sizeKey] || TAG_SIZES.medium;
+  const usableW = sheet.width - 2 * TAG_SHEET_MARGIN;
+  const usableH = sheet.height - 2 * TAG_SHEET_MARGIN;
+  const cols = Math.max(
+    1,
+    Math.floor((usableW + TAG_GAP) / (size.width + TAG_GAP))
+  );
+  const rows = Math.max(
+    1,
+    Math.floor((usableH + TAG_GAP) / (size.height + TAG_GAP))
+  );
+  const gridW = cols * size.width + (cols - 1) * TAG_GAP;
+  const left = (sheet.width - gridW) / 2;
+  return {
+    sheet,
+    size,
+    cols,
+    rows,
+    perPage: cols * rows,
+    position(i) {
+      const col = i % cols;
+      const row = Math.floor(i / cols) % rows;
+      return {
+        x: left + col * (size.width + TAG_GAP),
+        y: TAG_SHEET_MARGIN + row * (size.height + TAG_GAP),
+      };
+    },
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(
+    /[<>&"']/g,
+    (c) =>
+      ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[
+        c
+      ])
+  );
+}
+
+// Cut text to roughly fit maxWidth (mm) at fontSize (mm); SVG text does not wrap
+function fitText(text, maxWidth, fontSize) {
+  const max = Math.max(1, Math.floor(maxWidth / (fontSize * 0.55)));
+  const str = String(text || "");
+  return str.length > max ? `${str.slice(0, max - 1)}…` : str;
+}
+
+function tagSvg(item, qrUrl, x, y, size) {
+  const pad = size.height * 0.08;
+  const qr = size.height - 2 * pad;
+  const textX = x + qr + 2 * pad;
+  const textW = size.width - qr - 3 * pad;
+  const nameSize = size.height * 0.13;
+  const codeSize = size.height * 0.1;
+  const noteSize = size.height * 0.07;
+  const n = (v) => Math.round(v * 100) / 100;
+  const text = (dy, fontSize, attrs, value) =>
+    `<text x="${n(textX)}" y="${n(y + dy)}" font-size="${n(
+      fontSize
+    )}" ${attrs}>${escapeXml(value)}</text>`;
+  return [
+    `<g>`,
+    `<rect x="${n(x)}" y="${n(y)}" width="${size.width}" height="${
+      size.height
+    }" rx="1.5" fill="#fff" stroke="#cbd5e1" stroke-width="0.2" stroke-dasharray="1 1"/>`,
+    `<image href="${qrUrl}" x="${n(x + pad)}" y="${n(y + pad)}" width="${n(
+      qr
+    )}" height="${n(qr)}"/>`,
+    text(
+      pad + nameSize,
+      nameSize,
+      'font-weight="700"',
+      fitText(item.itemName, textW, nameSize)
+    ),
+    text(
+      pad + nameSize + codeSize * 1.4,
+      codeSize,
+      'font-family="monospace" letter-spacing="0.3"',
+      tagShortCode(item)
+    ),
+    ...TAG_INSTRUCTION.map((line, i) =>
+      text(
+        size.height - pad - (TAG_INSTRUCTION.length - 1 - i) * noteSize * 1.25,
+        noteSize,
+        'fill="#374151"',
+        fitText(line, textW, noteSize)
+      )
+    ),
+    `</g>`,
+  ].join("");
+}
+
+// Render the items onto as many sheets as needed; resolves to one SVG document per page
+async function buildTagSheets(items, { sheet = "a4", size = "medium" } = {}) {
+  const layout = tagSheetLayout(sheet, size);
+  const { width, height } = layout.sheet;
+  const pages = [];
+  for (let i = 0; i < items.length; i++) {
+    const page = Math.floor(i / layout.perPage);
+    if (!pages[page]) pages[page] = [];
+    const qrUrl = await generateQrDataUrl(await qrPayloadFor(items[i]), 300);
+    const { x, y } = layout.position(i);
+    pages[page].push(tagSvg(items[i], qrUrl, x, y, layout.size));
+  }
+  return pages.map(
+    (tags) =>
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}" font-family="Arial, Helvetica, sans-serif" fill="#0f172a">${tags.join(
+        ""
+      )}</svg>`
+  );
+}
+
+// Print through a hidden iframe so the current page and its state stay untouched
+async function printTagSheets(items, opts = {}) {
+  const pages = await buildTagSheets(items, opts);
+  const sheet = TAG_SHEETS[opts.sheet] || TAG_SHEETS.a4;
+  const frame = h("iframe", {
+    style: "position:fixed;right:0;bottom:0;width:0;height:0;border:0",
+  });
+  document.body.appendChild(frame);
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(
+    `<!DOCTYPE html><html><head><title>ifound tags</title><style>` +
+      `@page { size: ${sheet.width}mm ${sheet.height}mm; margin: 0 }` +
+      `body { margin: 0 } svg { display: block; page-break-after: always }` +
+      `</style></head><body>${pages.join("")}</body></html>`
+  );
+  doc.close();
+  // Let the QR images decode before opening the print dialog
+  setTimeout(() => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  }, 300);
+}
+
+// Save each page as its own SVG file
+async function downloadTagSheets(items, opts = {}) {
+  const pages = await buildTagSheets(items, opts);
+  pages.forEach((svg, i) => {
+    const obj = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml" }));
+    const a = document.createElement("a");
+    a.href = obj;
+    a.download = `ifound-tags-${opts.sheet || "a4"}-${opts.size || "medium"}${
+      pages.length > 1 ? `-p${i + 1}` : ""
+    }.svg`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(obj);
+  });
+}
+
+// Checkbox for an item card; pickedTagItems() collects the ticked ones
+function tagPick(itemId) {
+  return h("label", { style: "font-size:12px;display:inline-flex;gap:4px" }, [
+    h("input", {
+      type: "checkbox",
+      class: "tag-pick",
+      "data-id": itemId,
+      checked: "",
+      style: "width:auto",
+    }),
+    "Include on tag sheet",
+  ]);
+}
+
+function pickedTagItems(container, items) {
+  const ids = new Set(
+    Array.from(container.querySelectorAll("input.tag-pick:checked")).map(
+      (el) => el.dataset.id
+    )
+  );
+  return items.filter((item) => ids.has(item.id));
+}
+
+// Template/size pickers plus Print and Download SVG; getItems() returns the items to lay out
+function tagSheetControls(getItems) {
+  const sheetSel = h(
+    "select",
+    { style: "width:auto" },
+    Object.entries(TAG_SHEETS).map(([key, s]) =>
+      h("option", { value: key }, s.label)
+    )
+  );
+  const sizeSel = h(
+    "select",
+    { style: "width:auto" },
+    Object.entries(TAG_SIZES).map(([key, s]) =>
+      h("option", { value: key }, s.label)
+    )
+  );
+  sizeSel.value = "medium";
+  const hint = h("span", { style: "font-size:12px;color:#6b7280" });
+  const updateHint = () => {
+    const { perPage } = tagSheetLayout(sheetSel.value, sizeSel.value);
+    hint.textContent = `${perPage} tags per page`;
+  };
+  sheetSel.addEventListener("change", updateHint);
+  sizeSel.addEventListener("change", updateHint);
+  updateHint();
+
+  const run = async (action, btn) => {
+    const items = getItems();
+    if (!items.length) return alert("Select at least one item.");
+    btn.disabled = true;
+    try {
+      await action(items, { sheet: sheetSel.value, size: sizeSel.value });
+    } catch (e) {
+      console.error("Tag sheet error", e);
+      alert("Failed to generate tag sheet.");
+    } finally {
+      btn.disabled = false;
+    }
+  };
+  return h("div", { class: "tag-sheet-controls" }, [
+    sheetSel,
+    sizeSel,
+    h(
+      "button",
+      {
+        type: "button",
+        class: "btn primary",
+        onclick: (e) => run(printTagSheets, e.currentTarget),
+      },
+      "Print Tags"
+    ),
+    h(
+      "button",
+      {
+        type: "button",
+        class: "btn",
+        onclick: (e) => run(downloadTagSheets, e.currentTarget),
+      },
+      "Download SVG"
+    ),
+    hint,
+  ]);
+}
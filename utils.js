@@ -5,9 +5,30 @@
   Exposes functions on the global window scope:
   - h(tag, attrs, children): create a DOM node quickly
   - assetUrl(path): passthrough, kept for future hosting tweaks
-  - categoryLabel(key), inferCategoryFromName(name)
+  - categoryLabel(key), inferCategoryFromName(name): read the category taxonomy in ifoundDB
+  - fillCategorySelect(select, { placeholder, allLabel }): category options, children indented
+  - recordDetailsText(record, { sensitive }): descriptors and category field values as one line;
+    sensitive ones (serial, marks, IMEI...) only with { sensitive: true }
+  - statusLabel(status), statusTimeline(history): item lifecycle display
   - fileToDataUrl(file, maxWidth): downscale image to JPEG data URL
-  - downloadQr(itemId): generate and download a QR image as a file
+  - photoImg(ref, attrs): <img> whose src is resolved from a stored photo reference once it nears the viewport
+  - photoGallery(refs, attrs): first photo of a gallery plus thumbnails; clicking any opens the lightbox
+  - openLightbox(refs, index): full-screen photo viewer with previous/next and keyboard navigation
+  - photoPicker(container, { max, photos }): ordered photo list for forms with add, remove and
+    reorder, optionally starting from stored photos; returns { add(dataUrl), values(), clear() }
+  - whenVisible(el, fn): run fn once el scrolls near the viewport (immediately without IntersectionObserver)
+  - pagedList(container, { fetchPage, renderRow, pageSize, emptyText }): list that renders a page of
+    cards at a time and appends the next page when scrolled to the end (or on "Show more")
+  - highlightText(text, tokens): <span> with words matching search tokens wrapped in <mark>
+  - downloadQr(item): generate and download a QR image as a file (needs the bundled qrcode.js)
+  - formatShortCode(code): item short code for display ("7KQ2-M9XD")
+  - recordNumber(id): report, found item or claim number for display ("3F9A2C1B")
+  - qrPayloadFor(item), parseQrPayload(text): signed QR tag format "ifound:v2:<id>:<sig>"
+  - signQrTag(privateKey, itemId), verifyQrTag(key, itemId, sig), qrVerifyKey(): ECDSA tag
+    signatures; only staff devices hold a private key
+  - registerServiceWorker(): install sw.js so both pages work offline
+  - syncStatusBadge(): header badge with the sync server state; hidden when there is no server
+  - storeErrorNotice(): warning for the top of the page while the stored data is read-only, or null
 */
 
 // Minimal DOM element helper with safe event binding
@@ -33,22 +54,82 @@ function assetUrl(p) {
   return p;
 }
 
-// Category helpers
+// Category helpers (the taxonomy itself is stored and edited through ifoundDB)
 function categoryLabel(key) {
+  const category =
+    ifoundDB.getCategory(key) ||
+    ifoundDB.getCategory(ifoundDB.FALLBACK_CATEGORY);
+  return category ? category.label : "Other";
+}
+function inferCategoryFromName(name) {
+  return ifoundDB.inferCategory(name);
+}
+
+// "Colour: red · Brand: Aquaflask" from ifoundDB.describeRecord; public fields unless opts.sensitive
+function recordDetailsText(record, opts) {
+  return ifoundDB
+    .describeRecord(record, opts)
+    .map((d) => `${d.label}: ${d.value}`)
+    .join(" · ");
+}
+
+// Replace a select's options with the taxonomy. `placeholder` adds an empty first option,
+// `allLabel` an "all" option; the current value is kept when it still exists.
+function fillCategorySelect(select, { placeholder, allLabel } = {}) {
+  const current = select.value;
+  select.innerHTML = "";
+  if (placeholder) select.appendChild(h("option", { value: "" }, placeholder));
+  if (allLabel) select.appendChild(h("option", { value: "all" }, allLabel));
+  ifoundDB.listCategories().forEach((c) => {
+    const indent = "\u00a0\u00a0".repeat(c.depth);
+    select.appendChild(
+      h(
+        "option",
+        { value: c.id },
+        `${indent}${c.icon ? `${c.icon} ` : ""}${c.label}`
+      )
+    );
+  });
+  if (Array.from(select.options).some((o) => o.value === current)) {
+    select.value = current;
+  }
+}
+
+// Item lifecycle helpers
+function statusLabel(status) {
   const map = {
-    phones: "Phone",
-    wallets: "Wallet",
-    tumblers: "Tumbler",
-    other: "Other",
+    registered: "Registered",
+    "reported-found": "Reported found",
+    "in-custody": "In custody",
+    claimed: "Claimed",
+    "returned-to-owner": "Returned to owner",
+    disposed: "Disposed",
+    archived: "Archived",
   };
-  return map[key] || "Other";
+  return map[status] || status || "Unknown";
 }
-function inferCategoryFromName(name) {
-  if (!name) return "other";
-  if (/phone|iphone|android|samsung|oppo|vivo/i.test(name)) return "phones";
-  if (/wallet/i.test(name)) return "wallets";
-  if (/tumbler|bottle|hydro/i.test(name)) return "tumblers";
-  return "other";
+// Render an item's status history (oldest first) as a compact timeline
+function statusTimeline(history) {
+  const entries = history || [];
+  if (!entries.length) return null;
+  return h(
+    "ol",
+    { class: "timeline" },
+    entries.map((entry) => {
+      const when = entry.at
+        ? new Date(entry.at).toLocaleString()
+        : "date unknown";
+      return h("li", {}, [
+        h("span", { class: `status-${entry.to}` }, statusLabel(entry.to)),
+        h(
+          "span",
+          { class: "timeline-meta" },
+          ` ${when} · ${entry.actor || "system"}`
+        ),
+        entry.note ? h("div", { class: "timeline-note" }, entry.note) : null,
+      ]);
+    })
+  );
 }
 
 // Image helpers
@@ -77,15 +158,426 @@ function fileToDataUrl(file, maxWidth) {
   });
 }
 
-async function downloadQr(itemId) {
+// Create an <img> and fill its src once the photo reference resolves (see ifoundDB.photoUrl)
+function photoImg(ref, attrs = {}) {
+  const img = h("img", { loading: "lazy", ...attrs });
+  whenVisible(img, () =>
+    ifoundDB
+      .photoUrl(ref)
+      .then((url) => {
+        if (url) img.setAttribute("src", assetUrl(url));
+        else img.setAttribute("alt", "Photo unavailable");
+      })
+      .catch(() => {
+        img.setAttribute("alt", "Photo unavailable");
+      })
+  );
+  return img;
+}
+
+// Main photo with the rest of the gallery as thumbnails; null when there are no photos
+function photoGallery(refs, attrs = {}) {
+  if (!refs || !refs.length) return null;
+  const open = (index) => () => openLightbox(refs, index);
+  return h("div", { class: "photo-gallery" }, [
+    photoImg(refs[0], { ...attrs, onclick: open(0) }),
+    refs.length > 1
+      ? h(
+          "div",
+          { class: "gallery-thumbs" },
+          refs.map((ref, i) =>
+            photoImg(ref, { alt: `Photo ${i + 1}`, onclick: open(i) })
+          )
+        )
+      : null,
+  ]);
+}
+
+// Overlay showing one photo of the gallery at a time; Escape or a click outside the photo closes it
+function openLightbox(refs, index = 0) {
+  if (!refs || !refs.length) return;
+  let current = index;
+  const img = h("img", { class: "lightbox-img", alt: "" });
+  const counter = h("div", { class: "lightbox-counter" });
+  function show(i) {
+    current = (i + refs.length) % refs.length;
+    const shown = current;
+    img.removeAttribute("src");
+    counter.textContent = `${current + 1} / ${refs.length}`;
+    ifoundDB
+      .photoUrl(refs[shown])
+      .then((url) => {
+        if (shown !== current) return;
+        if (url) img.setAttribute("src", assetUrl(url));
+        else img.setAttribute("alt", "Photo unavailable");
+      })
+      .catch(() => img.setAttribute("alt", "Photo unavailable"));
+  }
+  function close() {
+    overlay.remove();
+    document.removeEventListener("keydown", onKey);
+  }
+  function onKey(e) {
+    if (e.key === "Escape") close();
+    else if (e.key === "ArrowLeft") show(current - 1);
+    else if (e.key === "ArrowRight") show(current + 1);
+  }
+  const stepButton = (step, cls, label, text) =>
+    h(
+      "button",
+      {
+        type: "button",
+        class: cls,
+        "aria-label": label,
+        onclick: () => show(current + step),
+      },
+      text
+    );
+  const many = refs.length > 1;
+  const overlay = h(
+    "div",
+    {
+      class: "lightbox",
+      role: "dialog",
+      "aria-modal": "true",
+      onclick: (e) => {
+        if (e.target === overlay) close();
+      },
+    },
+    [
+      img,
+      many ? stepButton(-1, "lightbox-prev", "Previous photo", "‹") : null,
+      many ? stepButton(1, "lightbox-next", "Next photo", "›") : null,
+      many ? counter : null,
+      h(
+        "button",
+        {
+          type: "button",
+          class: "lightbox-close",
+          "aria-label": "Close",
+          onclick: close,
+        },
+        "×"
+      ),
+    ]
+  );
+  document.addEventListener("keydown", onKey);
+  document.body.appendChild(overlay);
+  show(current);
+}
+
+// Photos chosen in a form (data URLs, or references of photos already stored), kept in order;
+// the first one is the main photo
+function photoPicker(
+  container,
+  { max = ifoundDB.MAX_PHOTOS, photos: initial } = {}
+) {
+  let photos = (initial || []).slice();
+  const button = (label, text, onclick) =>
+    h(
+      "button",
+      {
+        type: "button",
+        class: "btn",
+        title: label,
+        "aria-label": label,
+        onclick,
+      },
+      text
+    );
+  function move(from, to) {
+    photos.splice(to, 0, photos.splice(from, 1)[0]);
+    render();
+  }
+  function render() {
+    container.innerHTML = "";
+    photos.forEach((src, i) => {
+      container.appendChild(
+        h("div", { class: "picker-photo" }, [
+          photoImg(src, { alt: `Photo ${i + 1}` }),
+          h("div", { class: "picker-actions" }, [
+            i > 0 ? button("Move earlier", "‹", () => move(i, i - 1)) : null,
+            i < photos.length - 1
+              ? button("Move later", "›", () => move(i, i + 1))
+              : null,
+            button("Remove photo", "×", () => {
+              photos.splice(i, 1);
+              render();
+            }),
+          ]),
+          i === 0 ? h("div", { class: "hint" }, "Main photo") : null,
+        ])
+      );
+    });
+  }
+  render();
+  return {
+    // False (after telling the user) once the gallery is full
+    add(dataUrl) {
+      if (photos.length >= max) {
+        alert(`You can add up to ${max} photos.`);
+        return false;
+      }
+      photos.push(dataUrl);
+      render();
+      return true;
+    },
+    values: () => photos.slice(),
+    clear() {
+      photos = [];
+      render();
+    },
+  };
+}
+
+// One shared observer for every lazily loaded element; callbacks fire once
+const visibleCallbacks = new WeakMap();
+let visibilityObserver = null;
+
+function whenVisible(el, fn) {
+  if (typeof IntersectionObserver === "undefined") {
+    fn();
+    return;
+  }
+  if (!visibilityObserver) {
+    visibilityObserver = new IntersectionObserver(
+      (entries) => {
+        entries.forEach((entry) => {
+          if (!entry.isIntersecting) return;
+          visibilityObserver.unobserve(entry.target);
+          const cb = visibleCallbacks.get(entry.target);
+          visibleCallbacks.delete(entry.target);
+          if (cb) cb();
+        });
+      },
+      { rootMargin: "300px" }
+    );
+  }
+  visibleCallbacks.set(el, fn);
+  visibilityObserver.observe(el);
+}
+
+// Cards per page in pagedList
+const PAGE_SIZE = 24;
+
+// Render fetchPage({ offset, limit }) -> { rows, total } a page at a time into `container`.
+// The next page is appended when the footer nears the viewport, or when "Show more" is pressed.
+function pagedList(
+  container,
+  {
+    fetchPage,
+    renderRow,
+    pageSize = PAGE_SIZE,
+    emptyText = "Nothing here yet.",
+  }
+) {
+  container.innerHTML = "";
+  const status = h("span", { class: "paged-status" });
+  const more = h("button", { type: "button", class: "btn" }, "Show more");
+  const footer = h("div", { class: "paged-footer" }, [status, more]);
+  let offset = 0;
+  let total = 0;
+
+  const render = (page) => {
+    total = page.total;
+    page.rows.forEach((row) => container.insertBefore(renderRow(row), footer));
+    offset += page.rows.length;
+    status.textContent = `Showing ${offset} of ${total}`;
+    if (offset >= total || !page.rows.length) more.remove();
+    // Without IntersectionObserver whenVisible fires at once, so rely on "Show more"
+    else if (typeof IntersectionObserver !== "undefined") {
+      whenVisible(footer, next);
+    }
+  };
+  const next = () => {
+    try {
+      render(fetchPage({ offset, limit: pageSize }));
+    } catch (e) {
+      console.error(e);
+      status.textContent = "Failed to load more.";
+    }
+  };
+  more.addEventListener("click", next);
+
+  const first = fetchPage({ offset: 0, limit: pageSize });
+  if (!first.total) {
+    container.appendChild(h("div", { class: "card" }, emptyText));
+    return;
+  }
+  container.appendChild(footer);
+  render(first);
+}
+
+// Wrap whole words whose normalised form is in `tokens` (as returned by the search index) in <mark>
+function highlightText(text, tokens) {
+  const wanted = new Set(tokens || []);
+  const span = h("span");
+  String(text || "")
+    .split(/([\p{L}\p{N}]+)/u)
+    .forEach((part, i) => {
+      const key = part
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+      // Odd indexes are the captured words, even ones the text between them
+      if (i % 2 && wanted.has(key)) span.appendChild(h("mark", {}, part));
+      else if (part) span.appendChild(document.createTextNode(part));
+    });
+  return span;
+}
+
+// QR tag payloads
+// v2: "ifound:v2:<itemId>:<sig>", sig = ECDSA P-256 / SHA-256 signature of "ifound:v2:<itemId>"
+// (raw r and s, base64url). Only a staff device holding the private key signs (admin.js); the
+// signature is kept on the item (qrSig) so any device can print the tag, and every device checks
+// it with the public key in config.js (qrVerifyKey).
+// v1 tags were signed with a shared secret that is no longer trusted, so they count as legacy
+// (unsigned) tags, like those printed before signing existed or before staff signed the item,
+// which hold the bare item UUID.
+const QR_PREFIX = "ifound:v2:";
+const QR_PREFIX_V1 = "ifound:v1:";
+const QR_KEY_ALGORITHM = { name: "ECDSA", namedCurve: "P-256" };
+const QR_SIGN_ALGORITHM = { name: "ECDSA", hash: "SHA-256" };
+const BARE_UUID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+let qrKeyPromise = null;
+
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+// Public verify key (JWK) from config.js, or null when the deployment has not set one
+function qrVerifyKey() {
+  const jwk = window.IFOUND_CONFIG && IFOUND_CONFIG.qrVerifyKey;
+  if (!jwk) return Promise.resolve(null);
+  if (!qrKeyPromise) {
+    qrKeyPromise = crypto.subtle.importKey(
+      "jwk",
+      jwk,
+      QR_KEY_ALGORITHM,
+      false,
+      ["verify"]
+    );
+  }
+  return qrKeyPromise;
+}
+
+// Signature for an item's tag with a private ECDSA key (staff devices only)
+async function signQrTag(privateKey, itemId) {
+  const sig = await crypto.subtle.sign(
+    QR_SIGN_ALGORITHM,
+    privateKey,
+    new TextEncoder().encode(QR_PREFIX + itemId)
+  );
+  return toBase64Url(sig);
+}
+
+async function verifyQrTag(key, itemId, sig) {
+  try {
+    return await crypto.subtle.verify(
+      QR_SIGN_ALGORITHM,
+      key,
+      fromBase64Url(sig),
+      new TextEncoder().encode(QR_PREFIX + itemId)
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+// Text to encode in an item's QR tag (bare id until staff have signed the item)
+async function qrPayloadFor(item) {
+  return item.qrSig ? `${QR_PREFIX}${item.id}:${item.qrSig}` : String(item.id);
+}
+
+// Classify decoded QR text: { status, id }
+// status: "valid" (signature checks out), "legacy" (bare UUID or v1 tag), "unverified" (no
+// verify key configured here), "forged" (bad signature) or "unknown" (not an ifound tag)
+async function parseQrPayload(text) {
+  const raw = String(text || "").trim();
+  if (BARE_UUID_RE.test(raw)) return { status: "legacy", id: raw };
+  const prefix = [QR_PREFIX, QR_PREFIX_V1].find((p) => raw.startsWith(p));
+  if (!prefix) return { status: "unknown", id: null };
+  const sep = raw.lastIndexOf(":");
+  const id = raw.slice(prefix.length, sep);
+  const sig = raw.slice(sep + 1);
+  if (sep < prefix.length || !id || !sig) {
+    return { status: "unknown", id: null };
+  }
+  if (prefix === QR_PREFIX_V1) return { status: "legacy", id };
+  const key = await qrVerifyKey();
+  if (!key) return { status: "unverified", id };
+  return (await verifyQrTag(key, id, sig))
+    ? { status: "valid", id }
+    : { status: "forged", id: null };
+}
+
+// "Synced 10:32", "Offline · 3 changes waiting"...; tapping it syncs straight away
+function syncStatusBadge() {
+  const badge = h("button", {
+    type: "button",
+    class: "sync-status",
+    title: "Sync now",
+    onclick: () => ifoundDB.syncNow(),
+  });
+  const render = (status) => {
+    badge.style.display = status.mode === "server" ? "" : "none";
+    const waiting = status.pending
+      ? ` · ${status.pending} change${status.pending === 1 ? "" : "s"} waiting`
+      : "";
+    badge.classList.toggle("offline", Boolean(status.lastError));
+    if (!status.online) badge.textContent = `Offline${waiting}`;
+    else if (status.lastError)
+      badge.textContent = `Sync error: ${status.lastError}`;
+    else if (status.lastSyncAt)
+      badge.textContent = `Synced ${new Date(
+        status.lastSyncAt
+      ).toLocaleTimeString([], {
+        hour: "2-digit",
+        minute: "2-digit",
+      })}${waiting}`;
+    else badge.textContent = `Syncing…${waiting}`;
+  };
+  render(ifoundDB.syncStatus());
+  window.addEventListener("ifound:sync", (e) => render(e.detail));
+  return badge;
+}
+
+// The stored data could not be upgraded (ifoundDB.storeError); null when all is well
+function storeErrorNotice() {
+  const message = ifoundDB.storeError();
+  return message
+    ? h("div", { class: "store-error", role: "alert" }, message)
+    : null;
+}
+
+// Split a short code in two halves so it is easier to read and retype
+function formatShortCode(code) {
+  const str = String(code || "");
+  return str.length > 4 ? `${str.slice(0, 4)}-${str.slice(4)}` : str;
+}
+
+function recordNumber(id) {
+  return ifoundDB.recordNumber(id);
+}
+
+async function downloadQr(item) {
   try {
-    const dataUrl = await generateQrDataUrl(String(itemId), 200);
+    const dataUrl = await generateQrDataUrl(await qrPayloadFor(item), 200);
     const res = await fetch(dataUrl);
     const blob = await res.blob();
     const obj = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = obj;
-    a.download = `item-${itemId}-qr.png`;
+    a.download = `item-${item.id}-qr.png`;
     document.body.appendChild(a);
     a.click();
     a.remove();
@@ -137,3 +629,12 @@ function generateQrDataUrl(text, size = 200) {
     }
   });
 }
+
+// Install the offline service worker. Browsers only allow it over https or on localhost,
+// so opening the pages straight from disk simply skips it.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker
+    .register("sw.js")
+    .catch((err) => console.warn("Service worker registration failed", err));
+}